@@ -0,0 +1,161 @@
+/**
+ * Account Deletion - eBay Marketplace Account Deletion notifications
+ *
+ * eBay requires every app that stores eBay user data to subscribe to these.
+ *
+ * GET  - Endpoint validation: respond with
+ *        SHA-256(challengeCode + verificationToken + endpointUrl) as hex
+ * POST - Notification: verify the X-EBAY-SIGNATURE header against eBay's
+ *        public key, then delete the user's stored tokens
+ *
+ *   EBAY_VERIFICATION_TOKEN       - Token entered in the developer portal (32-80 chars)
+ *   EBAY_DELETION_ENDPOINT_URL    - Exact endpoint URL registered with eBay
+ */
+
+const crypto = require('crypto');
+const tokenManager = require('./tokenManager');
+const audit = require('./audit');
+const { createStore } = require('./stores');
+const { getApiBaseUrl } = require('./ebayClient');
+const { listApps } = require('./apps');
+const { ENVIRONMENTS } = require('./config');
+const { createError } = require('./errors');
+
+const TOPIC = 'MARKETPLACE_ACCOUNT_DELETION';
+
+// eBay asks clients to cache public keys rather than fetch one per message
+const PUBLIC_KEY_TTL_SECONDS = 60 * 60;
+
+// eBay retries notifications we fail to acknowledge, so don't hang on a key fetch
+const PUBLIC_KEY_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Compute the challenge response for endpoint validation
+ * @param {string} challengeCode - challenge_code query parameter
+ * @param {string} endpointUrl - Endpoint URL registered with eBay
+ * @returns {string} Hex digest
+ */
+function challengeResponse(challengeCode, endpointUrl) {
+  const verificationToken = process.env.EBAY_VERIFICATION_TOKEN;
+  if (!verificationToken) {
+    throw new Error('EBAY_VERIFICATION_TOKEN is not configured');
+  }
+
+  return crypto
+    .createHash('sha256')
+    .update(challengeCode)
+    .update(verificationToken)
+    .update(endpointUrl)
+    .digest('hex');
+}
+
+/**
+ * Fetch (and cache) the public key eBay signed a notification with
+ * @param {string} kid - Key ID from the signature header
+ * @returns {Promise<Object>} { key, algorithm, digest }
+ */
+async function getPublicKey(kid) {
+  const cache = createStore('notification_key');
+  const cached = await cache.get(kid);
+  if (cached) return cached;
+
+  const { accessToken } = await tokenManager.getApplicationToken(['https://api.ebay.com/oauth/api_scope']);
+  const path = `commerce/notification/v1/public_key/${encodeURIComponent(kid)}`;
+  const response = await fetch(`${getApiBaseUrl(path)}/${path}`, {
+    headers: { 'Authorization': `Bearer ${accessToken}` },
+    signal: AbortSignal.timeout(PUBLIC_KEY_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch notification public key ${kid}: ${response.status}`);
+  }
+
+  const data = await response.json();
+  const publicKey = { key: data.key, algorithm: data.algorithm, digest: data.digest };
+  await cache.save(kid, publicKey, { ttlSeconds: PUBLIC_KEY_TTL_SECONDS });
+  return publicKey;
+}
+
+/**
+ * eBay returns PEM keys on a single line; restore the line breaks
+ * @param {string} key - Public key from eBay
+ * @returns {string} PEM-formatted key
+ */
+function formatPem(key) {
+  return key
+    .replace(/-----BEGIN PUBLIC KEY-----\s*/, '-----BEGIN PUBLIC KEY-----\n')
+    .replace(/\s*-----END PUBLIC KEY-----/, '\n-----END PUBLIC KEY-----');
+}
+
+/**
+ * Verify a notification's X-EBAY-SIGNATURE header
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @param {string} signatureHeader - Base64-encoded JSON { alg, kid, signature, digest }
+ * @throws {Error} With code SIGNATURE_INVALID if verification fails
+ */
+async function verifySignature(rawBody, signatureHeader) {
+  if (!signatureHeader || !rawBody) {
+    throw createError('SIGNATURE_INVALID', 'Missing X-EBAY-SIGNATURE header or body');
+  }
+
+  let signature;
+  try {
+    signature = JSON.parse(Buffer.from(signatureHeader, 'base64').toString('utf8'));
+  } catch (error) {
+    throw createError('SIGNATURE_INVALID', 'Malformed X-EBAY-SIGNATURE header');
+  }
+  if (!signature.kid || !signature.signature) {
+    throw createError('SIGNATURE_INVALID', 'X-EBAY-SIGNATURE header is missing kid or signature');
+  }
+
+  const publicKey = await getPublicKey(signature.kid);
+  const verifier = crypto.createVerify((publicKey.digest || signature.digest || 'SHA1').toLowerCase());
+  verifier.update(rawBody);
+
+  if (!verifier.verify(formatPem(publicKey.key), signature.signature, 'base64')) {
+    throw createError('SIGNATURE_INVALID', 'Notification signature verification failed');
+  }
+}
+
+/**
+ * Delete the tokens of the user named in a verified notification
+ * @param {Object} payload - Parsed notification body
+ * @returns {Promise<Object>} The audit entry recorded for the deletion
+ */
+async function handleNotification(payload) {
+  const topic = payload && payload.metadata && payload.metadata.topic;
+  const notification = (payload && payload.notification) || {};
+  const data = notification.data || {};
+
+  if (topic !== TOPIC || !data.username) {
+    throw createError('NOTIFICATION_INVALID', 'Not a marketplace account deletion notification');
+  }
+
+  // The eBay account is gone for every app and environment we hold it in
+  let tokensDeleted = false;
+  for (const app of listApps()) {
+    for (const environment of ENVIRONMENTS) {
+      // Look up by user ID first: the username may have changed since
+      const found = (data.userId && await tokenManager.findTokens(data.userId, environment, app.name)) ||
+        await tokenManager.findTokens(data.username, environment, app.name);
+      if (found) {
+        await tokenManager.deleteTokens(found.key, { reason: 'account_deletion' });
+        tokensDeleted = true;
+      }
+    }
+  }
+
+  return audit.record('account_deletion', {
+    username: data.username,
+    userId: data.userId || null,
+    notificationId: notification.notificationId,
+    eventDate: notification.eventDate,
+    tokensDeleted
+  });
+}
+
+module.exports = {
+  challengeResponse,
+  verifySignature,
+  handleNotification
+};
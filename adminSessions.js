@@ -0,0 +1,114 @@
+/**
+ * Admin Sessions - Browser sessions for the /admin dashboard
+ *
+ * Administrators sign in with API_SECRET or an API key holding the admin
+ * permission. The session ID lives in an HttpOnly, SameSite=Strict cookie;
+ * only its SHA-256 hash is stored ("admin_session" store), and the record
+ * expires after ADMIN_SESSION_HOURS (default 8). Each session carries a
+ * CSRF token that every dashboard form posts back.
+ *
+ * Sessions of API keys end as soon as the key is revoked or loses the
+ * admin permission.
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./stores');
+const apiKeys = require('./apiKeys');
+
+const DEFAULT_SESSION_HOURS = 8;
+
+/**
+ * Get the session store
+ * @returns {Object} Storage adapter
+ */
+function getStore() {
+  return createStore('admin_session');
+}
+
+/**
+ * Hash a session ID for storage
+ * @param {string} sessionId - Session ID from the cookie
+ * @returns {string} Hex digest
+ */
+function hash(sessionId) {
+  return crypto.createHash('sha256').update(sessionId).digest('hex');
+}
+
+/**
+ * Read the session lifetime
+ * @returns {number} Lifetime in seconds
+ */
+function sessionTtlSeconds() {
+  const hours = Number(process.env.ADMIN_SESSION_HOURS);
+  return Math.round((Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_SESSION_HOURS) * 60 * 60);
+}
+
+/**
+ * Check whether a client may use the dashboard
+ * @param {Object} client - Authenticated client
+ * @returns {boolean} True if it holds the admin permission
+ */
+function isAdmin(client) {
+  return client.permissions.includes(apiKeys.PERMISSIONS.ADMIN);
+}
+
+/**
+ * Sign in with a credential
+ * @param {string} credential - API_SECRET or an admin API key
+ * @returns {Promise<Object|null>} { sessionId, client, csrfToken, expiresAt },
+ *                                 or null if the credential is invalid or not admin
+ */
+async function createSession(credential) {
+  const client = await apiKeys.verifyCredential(credential);
+  if (!client || !isAdmin(client)) return null;
+
+  const sessionId = crypto.randomBytes(32).toString('base64url');
+  const ttlSeconds = sessionTtlSeconds();
+  const session = {
+    client: { id: client.id, name: client.name },
+    csrfToken: crypto.randomBytes(16).toString('base64url'),
+    createdAt: Date.now(),
+    expiresAt: Date.now() + ttlSeconds * 1000
+  };
+
+  await getStore().save(hash(sessionId), session, { ttlSeconds });
+  return { sessionId, ...session };
+}
+
+/**
+ * Look up a session
+ * @param {string|null} sessionId - Session ID from the cookie
+ * @returns {Promise<Object|null>} { client, csrfToken, createdAt, expiresAt }, or
+ *                                 null if unknown, expired or its key was revoked
+ */
+async function getSession(sessionId) {
+  if (!sessionId) return null;
+
+  const session = await getStore().get(hash(sessionId));
+  if (!session || Date.now() >= session.expiresAt) return null;
+
+  if (session.client.id !== 'root') {
+    const key = await apiKeys.getKey(session.client.id);
+    if (!key || !isAdmin(key)) {
+      await getStore().delete(hash(sessionId));
+      return null;
+    }
+  }
+  return session;
+}
+
+/**
+ * Sign out
+ * @param {string|null} sessionId - Session ID from the cookie
+ */
+async function destroySession(sessionId) {
+  if (sessionId) {
+    await getStore().delete(hash(sessionId));
+  }
+}
+
+module.exports = {
+  createSession,
+  getSession,
+  destroySession
+};
@@ -0,0 +1,284 @@
+/**
+ * API Keys - Named, scoped credentials for backend clients
+ *
+ * Each key is restricted to a set of usernames ("*" for all) and a set of
+ * permissions. Only a SHA-256 hash of the key is stored ("api_key" store);
+ * the key itself is shown once, when created. Keys look like:
+ *
+ *   ek_<id>_<secret>
+ *
+ * API_SECRET remains a root credential with every permission, used to
+ * bootstrap key management. Credentials are accepted in headers only
+ * (X-API-Key, or X-API-Secret for the root secret) - never in the query
+ * string, where they would end up in access logs.
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./stores');
+const { API_SECRET } = require('./config');
+const { createError } = require('./errors');
+
+const PERMISSIONS = {
+  LIST: 'list',             // List authorized users
+  READ_TOKEN: 'read_token', // Read (and refresh) user access tokens, test calls
+  PROXY: 'proxy',           // Call eBay through /api/proxy
+  DELETE: 'delete',         // Delete a user's tokens
+  APP_TOKEN: 'app_token',   // Get application tokens
+  INVITE: 'invite',         // Create and revoke tenant invite links
+  ADMIN: 'admin'            // Manage keys and server-wide maintenance
+};
+
+const ALL_USERS = '*';
+
+// Avoid a store write on every request just to track usage
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Get the API key store
+ * @returns {Object} Storage adapter
+ */
+function getStore() {
+  return createStore('api_key');
+}
+
+/**
+ * Hash a key secret for storage/comparison
+ * @param {string} secret - Key secret
+ * @returns {string} Hex digest
+ */
+function hash(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+  return crypto.timingSafeEqual(Buffer.from(hash(a), 'hex'), Buffer.from(hash(b), 'hex'));
+}
+
+/**
+ * Strip secrets from a stored key record
+ * @param {Object} record - Stored key record
+ * @returns {Object} Public view of the key
+ */
+function describe(record) {
+  const { hash: _, ...rest } = record;
+  return rest;
+}
+
+/**
+ * Create a new API key
+ * @param {Object} options
+ * @param {string} options.name - Who/what the key is for
+ * @param {string[]} options.usernames - eBay usernames or user IDs the key may access ("*" for all)
+ * @param {string[]} options.permissions - Permissions from PERMISSIONS
+ * @returns {Promise<Object>} { key, ...description } - key is only returned here
+ * @throws {Error} With code INVALID_API_KEY if the options are invalid
+ */
+async function createKey({ name, usernames, permissions }) {
+  const validPermissions = Object.values(PERMISSIONS);
+
+  if (!name || typeof name !== 'string') {
+    throw createError('INVALID_API_KEY', 'name is required');
+  }
+  if (!Array.isArray(usernames) || usernames.length === 0) {
+    throw createError('INVALID_API_KEY', `usernames must be a non-empty array (use ["${ALL_USERS}"] for all users)`);
+  }
+  if (!Array.isArray(permissions) || permissions.length === 0) {
+    throw createError('INVALID_API_KEY', `permissions must be a non-empty array of: ${validPermissions.join(', ')}`);
+  }
+  const unknown = permissions.filter(p => !validPermissions.includes(p));
+  if (unknown.length > 0) {
+    throw createError('INVALID_API_KEY', `Unknown permissions: ${unknown.join(', ')} (expected: ${validPermissions.join(', ')})`);
+  }
+
+  const id = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const record = {
+    id,
+    name,
+    hash: hash(secret),
+    usernames: [...new Set(usernames)],
+    permissions: [...new Set(permissions)],
+    createdAt: Date.now(),
+    lastUsedAt: null,
+    revokedAt: null
+  };
+
+  await getStore().save(id, record);
+  return { key: `ek_${id}_${secret}`, ...describe(record) };
+}
+
+/**
+ * List all API keys (without hashes)
+ * @returns {Promise<Object[]>} Key descriptions
+ */
+async function listKeys() {
+  const records = await getStore().list();
+  return Object.values(records)
+    .map(describe)
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Revoke an API key. The record is kept so past usage stays attributable.
+ * @param {string} id - Key ID
+ * @returns {Promise<Object|null>} Revoked key description, or null if not found
+ */
+async function revokeKey(id) {
+  const record = await getStore().update(id, { revokedAt: Date.now() });
+  return record ? describe(record) : null;
+}
+
+/**
+ * Get an active (unrevoked) API key
+ * @param {string} id - Key ID
+ * @returns {Promise<Object|null>} Key description, or null if unknown or revoked
+ */
+async function getKey(id) {
+  const record = await getStore().get(id);
+  return record && !record.revokedAt ? describe(record) : null;
+}
+
+/**
+ * The client API_SECRET authenticates as
+ * @returns {Object} Client with every permission
+ */
+function rootClient() {
+  return {
+    id: 'root',
+    name: 'API_SECRET',
+    usernames: [ALL_USERS],
+    permissions: Object.values(PERMISSIONS)
+  };
+}
+
+/**
+ * Look up the client an API key belongs to
+ * @param {string} apiKey - Key as issued ("ek_<id>_<secret>")
+ * @returns {Promise<Object|null>} Key description, or null if invalid or revoked
+ */
+async function resolveKey(apiKey) {
+  const match = /^ek_([0-9a-f]+)_([A-Za-z0-9_-]+)$/.exec(apiKey);
+  const record = match ? await getStore().get(match[1]) : null;
+  if (!record || record.revokedAt || !safeEqual(hash(match[2]), record.hash)) {
+    return null;
+  }
+
+  if (!record.lastUsedAt || Date.now() - record.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+    getStore().update(record.id, { lastUsedAt: Date.now() }).catch(() => {});
+  }
+  return describe(record);
+}
+
+/**
+ * Check a credential typed into a form (API_SECRET or an API key)
+ * @param {string} credential - Credential
+ * @returns {Promise<Object|null>} Authenticated client, or null if invalid
+ */
+async function verifyCredential(credential) {
+  if (!credential || typeof credential !== 'string') return null;
+  if (credential.startsWith('ek_')) return resolveKey(credential);
+  return API_SECRET && safeEqual(credential, API_SECRET) ? rootClient() : null;
+}
+
+/**
+ * Resolve the credentials on a request
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { client } on success, or { status, error, hint }
+ */
+async function authenticate(req) {
+  const apiKey = req.headers['x-api-key'];
+  const rootSecret = req.headers['x-api-secret'];
+
+  if (!apiKey && !rootSecret) {
+    const inQuery = req.query.secret !== undefined || req.query.key !== undefined;
+    return {
+      status: 401,
+      error: 'Authentication required',
+      hint: inQuery
+        ? 'Credentials in the query string are not accepted; send them in the X-API-Key header'
+        : 'Provide an API key via the X-API-Key header'
+    };
+  }
+
+  if (rootSecret) {
+    if (!API_SECRET) {
+      return {
+        status: 500,
+        error: 'API_SECRET not configured on server',
+        hint: 'Set API_SECRET environment variable, or use an X-API-Key'
+      };
+    }
+    if (!safeEqual(rootSecret, API_SECRET)) {
+      return { status: 403, error: 'Invalid API secret' };
+    }
+    return { client: rootClient() };
+  }
+
+  const client = await resolveKey(apiKey);
+  if (!client) {
+    return { status: 403, error: 'Invalid or revoked API key' };
+  }
+  return { client };
+}
+
+/**
+ * Check whether a client may act on a given eBay user. Keys may name a user
+ * by username or eBay user ID, and a user ID still matches after a rename.
+ * @param {Object} client - Authenticated client (req.apiClient)
+ * @param {Object} tokens - The user's token record ({ username, userId })
+ * @returns {boolean} True if allowed
+ */
+function canAccessUser(client, tokens) {
+  return client.usernames.includes(ALL_USERS) ||
+    client.usernames.includes(tokens.username) ||
+    Boolean(tokens.userId && client.usernames.includes(tokens.userId));
+}
+
+/**
+ * Middleware factory: require a credential with the given permission.
+ * The authenticated client is attached as req.apiClient. Routes check access
+ * to a user with canAccessUser() once they have found the user's record, as
+ * the path may name the user either way.
+ * @param {string} permission - Permission from PERMISSIONS
+ * @returns {Function} Express middleware
+ */
+function requirePermission(permission) {
+  return async (req, res, next) => {
+    try {
+      const result = await authenticate(req);
+      if (!result.client) {
+        const { status, ...body } = result;
+        return res.status(status).json(body);
+      }
+
+      const { client } = result;
+      if (!client.permissions.includes(permission) && !client.permissions.includes(PERMISSIONS.ADMIN)) {
+        return res.status(403).json({ error: `API key "${client.name}" lacks the "${permission}" permission` });
+      }
+
+      req.apiClient = client;
+      next();
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+module.exports = {
+  PERMISSIONS,
+  ALL_USERS,
+  createKey,
+  listKeys,
+  revokeKey,
+  getKey,
+  verifyCredential,
+  authenticate,
+  canAccessUser,
+  requirePermission
+};
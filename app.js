@@ -0,0 +1,1993 @@
+/**
+ * eBay OAuth Server - Shared Express App
+ * 
+ * Used by both entry points: server.js (local) and api/index.js (Vercel).
+ * Token storage is pluggable, see tokenManager.js and stores/index.js.
+ * 
+ * SECURE TOKEN COLLECTION PORTAL
+ * - Public: OAuth flow (login/callback) - shows success/failure only
+ * - Protected: Token access requires a scoped API key (X-API-Key header)
+ * 
+ * Flow:
+ * 1. User visits /auth/login (or /auth/login/:app) → redirected to eBay
+ * 2. User authorizes → eBay redirects to /auth/callback with code
+ * 3. Server exchanges code for tokens → stores securely
+ * 4. User sees success/failure message (no token details)
+ * 5. Backend systems use their API keys to retrieve tokens
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const tokenManager = require('./tokenManager');
+const oauthState = require('./oauthState');
+const refresher = require('./refresher');
+const tokenHealth = require('./tokenHealth');
+const accountDeletion = require('./accountDeletion');
+const audit = require('./audit');
+const webhooks = require('./webhooks');
+const { getAuthClient, getApiBaseUrl, parseTokenResponse, getEbayIdentity } = require('./ebayClient');
+const ebayProxy = require('./ebayProxy');
+const { ENVIRONMENTS, ENVIRONMENT, parseScopes, parseEnvironment } = require('./config');
+const { DEFAULT_APP, DEFAULT_PROFILE, getApp, getScopeProfile, listApps } = require('./apps');
+const apiKeys = require('./apiKeys');
+const defaultAccounts = require('./defaultAccounts');
+const invites = require('./invites');
+const returnTo = require('./returnTo');
+const adminSessions = require('./adminSessions');
+const tokenBundles = require('./tokenBundles');
+const tokenCrypto = require('./tokenCrypto');
+const { createError } = require('./errors');
+const { ping } = require('./stores');
+
+const { PERMISSIONS, requirePermission, canAccessUser } = apiKeys;
+
+const app = express();
+
+// Cookie tying an OAuth state value to the browser that started the flow
+const STATE_COOKIE = 'ebay_oauth_state';
+
+// Cookie holding the anti-forgery token for the disconnect form
+const DISCONNECT_COOKIE = 'ebay_disconnect_csrf';
+
+// Cookie holding the admin dashboard session ID
+const ADMIN_COOKIE = 'ebay_admin_session';
+
+// Users shown per dashboard page
+const DASHBOARD_PAGE_SIZE = 50;
+
+// How long a test call waits for eBay
+const TEST_CALL_TIMEOUT_MS = 10 * 1000;
+
+// Vercel terminates TLS at its proxy; trust it so req.secure reflects HTTPS
+app.set('trust proxy', 1);
+// Keep the raw bytes too - eBay notification signatures are computed over them.
+// Token imports (POST /api/tokens/import) carry every user's record, hence the limit.
+app.use(express.json({
+  limit: '5mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+
+/**
+ * Middleware: Allow Vercel Cron (Authorization: Bearer CRON_SECRET),
+ * otherwise fall back to requiring an admin API key
+ */
+function requireCronSecret(req, res, next) {
+  const cronSecret = process.env.CRON_SECRET;
+  if (cronSecret && req.headers.authorization === `Bearer ${cronSecret}`) {
+    return next();
+  }
+  requirePermission(PERMISSIONS.ADMIN)(req, res, next);
+}
+
+/**
+ * Read the eBay app (?app=, default "default") and environment (?env=,
+ * default EBAY_ENVIRONMENT) a request targets. Sends a 400 response and
+ * returns null if either is unknown.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|null} { app, environment } or null
+ */
+function requestTarget(req, res) {
+  const app = req.query.app || DEFAULT_APP;
+  if (!listApps().some(candidate => candidate.name === app)) {
+    res.status(400).json({ error: 'Unknown app', apps: listApps().map(candidate => candidate.name) });
+    return null;
+  }
+  
+  const environment = parseEnvironment(req.query.env);
+  if (!environment) {
+    res.status(400).json({
+      error: 'Unknown environment',
+      environments: ENVIRONMENTS.map(name => name.toLowerCase())
+    });
+    return null;
+  }
+  return { app, environment };
+}
+
+/**
+ * Build the URL of an /auth page for an app and environment
+ * @param {string} app - App name
+ * @param {string} environment - "PRODUCTION" or "SANDBOX"
+ * @param {Object} [options]
+ * @param {string} [options.action] - "login" (default) or "disconnect"
+ * @param {string} [options.profile] - Scope profile to request
+ * @returns {string} Relative URL, e.g. "/auth/login/listings?env=sandbox"
+ */
+function authUrl(app, environment, { action = 'login', profile } = {}) {
+  const path = app === DEFAULT_APP ? `/auth/${action}` : `/auth/${action}/${app}`;
+  const params = new URLSearchParams();
+  if (environment !== ENVIRONMENT) params.set('env', environment.toLowerCase());
+  if (profile && profile !== DEFAULT_PROFILE) params.set('profile', profile);
+  const query = params.toString();
+  return query ? `${path}?${query}` : path;
+}
+
+/**
+ * Build a token key filter for listings: only ?app= and ?env= given on the
+ * request narrow it, so a listing without them covers every app and environment
+ * @param {Object} req - Express request
+ * @param {Object} target - { app, environment } from requestTarget()
+ * @returns {Function} (key) => boolean
+ */
+function listFilter(req, target) {
+  return key => {
+    const user = tokenManager.parseTokenKey(key);
+    return (req.query.app === undefined || user.app === target.app) &&
+      (req.query.env === undefined || user.environment === target.environment);
+  };
+}
+
+/**
+ * Find the stored tokens for the request's user in the requested app and
+ * environment, falling back to the configured default account (see
+ * /api/default-account). Without either, the caller gets a 400 listing the
+ * users it may pick from. Sends an error response and resolves to null when
+ * no user or tokens are found.
+ * @param {Object} req - Express request (after requirePermission)
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} { username, userId, app, environment, key, tokens } or null
+ */
+async function findUser(req, res) {
+  const { username } = req.params;
+  const target = requestTarget(req, res);
+  if (!target) return null;
+  const { app, environment } = target;
+  
+  // Users of this app and environment the API key may access
+  const prefix = tokenManager.tokenKey('', environment, app);
+  const availableUsers = async () => {
+    const { records } = await tokenManager.listTokens({
+      matchKey: key => key.startsWith(prefix),
+      match: (key, tokens) => canAccessUser(req.apiClient, tokens),
+      limit: 1000
+    });
+    return records.map(({ record }) => record.username);
+  };
+  
+  let targetUser = username;
+  let setting = null;
+  if (!targetUser) {
+    setting = await defaultAccounts.getDefaultAccount(app, environment);
+    if (!setting) {
+      res.status(400).json({
+        error: `No username given and no default account is configured for ${app} ${environment}`,
+        hint: 'Name the user in the path, or set a default with PUT /api/default-account',
+        availableUsers: await availableUsers()
+      });
+      return null;
+    }
+    // Stored user IDs survive a change of eBay username
+    targetUser = setting.userId || setting.username;
+  }
+  
+  // Usernames are aliases; the record is keyed by the eBay user ID
+  const found = await tokenManager.findTokens(targetUser, environment, app);
+  
+  if (!found) {
+    res.status(404).json({ 
+      error: username
+        ? `No ${app} ${environment} tokens for user: ${targetUser}`
+        : `No ${app} ${environment} tokens for the default user: ${setting.username}. Set another with PUT /api/default-account`,
+      availableUsers: await availableUsers()
+    });
+    return null;
+  }
+  
+  const { key, tokens } = found;
+  if (!canAccessUser(req.apiClient, tokens)) {
+    res.status(403).json({ error: `API key "${req.apiClient.name}" may not access user: ${tokens.username}` });
+    return null;
+  }
+  
+  return { username: tokens.username, userId: tokens.userId, app, environment, key, tokens };
+}
+
+/**
+ * Identify the API key behind a request for the audit log
+ * @param {Object} req - Express request (after requirePermission)
+ * @returns {Object|null} { id, name } or null (e.g. Vercel Cron)
+ */
+function auditClient(req) {
+  return req.apiClient ? { id: req.apiClient.id, name: req.apiClient.name } : null;
+}
+
+/**
+ * Send a JSON error, mapping known error codes to meaningful statuses
+ * @param {Object} res - Express response
+ * @param {Error} error - Error to report
+ */
+function sendApiError(res, error) {
+  if (error.code === 'NEEDS_REAUTH') {
+    return res.status(409).json({
+      error: error.message,
+      code: 'needs_reauth',
+      username: error.username,
+      app: error.app,
+      environment: error.environment,
+      reauthUrl: authUrl(error.app, error.environment)
+    });
+  }
+  if (error.code === 'SCOPE_MISSING') {
+    const { scopeProfiles } = getApp(error.app);
+    const profile = Object.keys(scopeProfiles)
+      .find(name => error.requiredScopes.every(scope => scopeProfiles[name].includes(scope)));
+    return res.status(403).json({
+      error: error.message,
+      code: 'scope_missing',
+      username: error.username,
+      app: error.app,
+      environment: error.environment,
+      missingScopes: error.missingScopes,
+      grantedScopes: error.grantedScopes,
+      reauthUrl: profile ? authUrl(error.app, error.environment, { profile }) : null
+    });
+  }
+  if ([
+    'ENVIRONMENT_NOT_CONFIGURED', 'APP_UNKNOWN', 'SCOPE_PROFILE_UNKNOWN', 'INVALID_LIST_OPTION', 'INVALID_INVITE',
+    'INVALID_IMPORT', 'PASSPHRASE_INVALID', 'BUNDLE_INVALID', 'BUNDLE_DECRYPT_FAILED', 'INVALID_API_KEY'
+  ].includes(error.code)) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (['USER_NOT_FOUND', 'WEBHOOK_DELIVERY_UNKNOWN'].includes(error.code)) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.code === 'AUDIT_NOT_QUERYABLE') {
+    return res.status(501).json({ error: error.message });
+  }
+  if (error.code === 'UPSTREAM_TIMEOUT') {
+    return res.status(504).json({ error: error.message });
+  }
+  if (error.code === 'UPSTREAM_ERROR') {
+    return res.status(502).json({ error: error.message });
+  }
+  res.status(500).json({ error: error.message });
+}
+
+/**
+ * Read a cookie from the request (no cookie-parser dependency needed)
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value or null
+ */
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(rest.join('='));
+  }
+  return null;
+}
+
+/**
+ * Escape text for HTML output
+ * @param {*} value - Text (null/undefined render as "")
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+  return String(value === null || value === undefined ? '' : value).replace(/[&<>"']/g, char => entities[char]);
+}
+
+/**
+ * Whether stored tokens are encrypted at rest, so the portal pages only
+ * promise encryption when TOKEN_ENCRYPTION_KEY is configured
+ * @returns {boolean} True if new tokens are encrypted
+ */
+function tokensEncrypted() {
+  try {
+    return tokenCrypto.isEnabled();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Common page styles
+ */
+const pageStyles = `
+  * { box-sizing: border-box; }
+  body {
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    max-width: 700px;
+    margin: 0 auto;
+    padding: 40px 20px;
+    background: linear-gradient(135deg, #1a1a2e 0%, #16213e 100%);
+    min-height: 100vh;
+    color: #e8e8e8;
+  }
+  h1 {
+    color: #fff;
+    font-size: 2.5rem;
+    margin-bottom: 0.5rem;
+  }
+  .subtitle {
+    color: #8892b0;
+    margin-bottom: 2rem;
+  }
+  .login-btn {
+    display: inline-block;
+    background: linear-gradient(135deg, #e5383b 0%, #ba181b 100%);
+    color: white;
+    padding: 14px 28px;
+    text-decoration: none;
+    border-radius: 8px;
+    font-weight: 600;
+    font-size: 1.1rem;
+    transition: transform 0.2s, box-shadow 0.2s;
+    box-shadow: 0 4px 15px rgba(229, 56, 59, 0.3);
+  }
+  .login-btn:hover {
+    transform: translateY(-2px);
+    box-shadow: 0 6px 20px rgba(229, 56, 59, 0.4);
+  }
+  .info-box {
+    margin-top: 2rem;
+    background: rgba(255, 255, 255, 0.03);
+    border-radius: 12px;
+    padding: 20px;
+    border: 1px solid rgba(255, 255, 255, 0.08);
+  }
+  .info-box h3 { margin-top: 0; color: #8892b0; }
+  .info-box p { color: #a8b2c1; line-height: 1.6; }
+  .success-icon { font-size: 4rem; margin-bottom: 1rem; }
+  .error-icon { font-size: 4rem; margin-bottom: 1rem; }
+  .center { text-align: center; }
+  .success-title { color: #64ffda; }
+  .error-title { color: #e5383b; }
+  .user-badge {
+    display: inline-block;
+    background: rgba(100, 255, 218, 0.1);
+    color: #64ffda;
+    padding: 8px 16px;
+    border-radius: 20px;
+    font-weight: 500;
+    margin: 1rem 0;
+  }
+  .home-link {
+    display: inline-block;
+    margin-top: 2rem;
+    color: #8892b0;
+    text-decoration: none;
+  }
+  .home-link:hover { color: #64ffda; }
+  .security-note {
+    margin-top: 2rem;
+    padding: 15px;
+    background: rgba(100, 255, 218, 0.05);
+    border-left: 3px solid #64ffda;
+    border-radius: 0 8px 8px 0;
+  }
+  .security-note p { margin: 0; color: #8892b0; font-size: 0.9rem; }
+`;
+
+// ============================================
+// PUBLIC ROUTES - No authentication required
+// ============================================
+
+// Home page - simple authorization portal
+app.get('/', async (req, res) => {
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>eBay OAuth Portal</title>
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <style>${pageStyles}</style>
+    </head>
+    <body>
+      <h1>🛒 eBay OAuth Portal</h1>
+      <p class="subtitle">Secure OAuth 2.0 authorization for eBay API access</p>
+      
+      <a href="/auth/login" class="login-btn">🔐 Authorize eBay Account</a>
+      <br>
+      <a href="/auth/disconnect" class="home-link">🔌 Disconnect my account</a>
+      
+      <div class="info-box">
+        <h3>How it works</h3>
+        <p>
+          Click the button above to securely connect your eBay account. 
+          You'll be redirected to eBay to sign in and grant permissions.
+          Once complete, you'll see a confirmation message.
+        </p>
+      </div>
+      
+      <div class="security-note">
+        <p>🔒 <strong>Security:</strong> Your credentials are ${tokensEncrypted() ? 'encrypted and ' : ''}stored securely. 
+        Token access is restricted to authorized backend systems only.</p>
+      </div>
+    </body>
+    </html>
+  `);
+});
+
+// Start OAuth flow for the default app or a named one
+// (?env=sandbox to authorize a sandbox account, ?profile=name to request a scope profile,
+// ?return_to=url to send the browser back to an allowed origin afterwards)
+app.get('/auth/login/:app?', (req, res) => startAuthorization(req, res));
+
+/**
+ * Redirect the browser to eBay's consent page with a fresh state value.
+ * The app (from the :app route parameter), environment (from ?env=),
+ * scope profile (from ?profile=) and return URL (from ?return_to=) are
+ * carried through the state.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} [stateData] - Context carried through to /auth/callback
+ * @param {Object} [target] - { app, environment, scopeProfile } to use instead
+ *                            of the request's (e.g. from an invite)
+ */
+async function startAuthorization(req, res, stateData = {}, target = {}) {
+  try {
+    const environment = target.environment || parseEnvironment(req.query.env);
+    if (!environment) {
+      throw createError('ENVIRONMENT_UNKNOWN', 'Unknown eBay environment. Use "production" or "sandbox".');
+    }
+    
+    const app = getApp(target.app || req.params.app || DEFAULT_APP);
+    const profile = getScopeProfile(app.name, target.scopeProfile || req.query.profile || DEFAULT_PROFILE);
+    
+    const { state, nonce } = await oauthState.createState({
+      ...stateData,
+      app: app.name,
+      environment,
+      scopeProfile: profile.name,
+      scopes: profile.scopes,
+      returnTo: returnTo.parseReturnTo(req.query.return_to)
+    });
+    const authUrl = getAuthClient(environment, app.name)
+      .generateUserAuthorizationUrl(environment, profile.scopes, { state });
+    
+    res.cookie(STATE_COOKIE, nonce, {
+      httpOnly: true,
+      secure: req.secure,
+      sameSite: 'lax',
+      maxAge: oauthState.STATE_TTL_SECONDS * 1000
+    });
+    console.log('🔗 Auth URL:', authUrl);
+    res.redirect(authUrl);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    const unavailable = [
+      'APP_UNKNOWN',
+      'ENVIRONMENT_UNKNOWN',
+      'ENVIRONMENT_NOT_CONFIGURED',
+      'SCOPE_PROFILE_UNKNOWN',
+      'RETURN_TO_NOT_ALLOWED'
+    ].includes(error.code);
+    res.status(unavailable ? 400 : 500).send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>Error - eBay OAuth</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+        <style>${pageStyles}</style>
+      </head>
+      <body class="center">
+        <div class="error-icon">❌</div>
+        <h1 class="error-title">Configuration Error</h1>
+        <p style="color: #8892b0;">${unavailable ? escapeHtml(error.message) : 'Unable to start OAuth flow. Please contact support.'}</p>
+        <a href="/" class="home-link">← Back to Home</a>
+      </body>
+      </html>
+    `);
+  }
+}
+
+// Invite link - start an authorization that belongs to the invite's tenant.
+// The invite is only used up once the authorization completes.
+app.get('/auth/invite/:token', async (req, res) => {
+  let invite;
+  try {
+    invite = await invites.findInvite(req.params.token);
+  } catch (error) {
+    if (!['INVITE_INVALID', 'INVITE_EXPIRED'].includes(error.code)) {
+      console.error('❌ Error:', error.message);
+    }
+    return res.status(error.code === 'INVITE_EXPIRED' ? 410 : 404).send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>Invalid Invite - eBay OAuth</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+        <style>${pageStyles}</style>
+      </head>
+      <body class="center">
+        <div class="error-icon">✉️</div>
+        <h1 class="error-title">Invite Unavailable</h1>
+        <p style="color: #8892b0;">${error.code ? escapeHtml(error.message) : 'Unable to open this invite. Please try again later.'}</p>
+        <a href="/" class="home-link">← Back to Home</a>
+      </body>
+      </html>
+    `);
+  }
+  
+  startAuthorization(req, res, {
+    invite: invite.id,
+    tenantId: invite.tenantId,
+    expectedUsername: invite.expectedUsername
+  }, invite);
+});
+
+// Disconnect - public page letting sellers remove their own authorization.
+// Ownership is proven by signing in with eBay again (state-protected flow).
+app.get('/auth/disconnect/:app?', (req, res) => {
+  const appName = req.params.app || DEFAULT_APP;
+  const environment = parseEnvironment(req.query.env);
+  if (!environment || !listApps().some(candidate => candidate.name === appName)) {
+    return res.redirect('/auth/disconnect');
+  }
+  const action = authUrl(appName, environment, { action: 'disconnect' });
+  
+  const csrfToken = crypto.randomBytes(16).toString('base64url');
+  res.cookie(DISCONNECT_COOKIE, csrfToken, {
+    httpOnly: true,
+    secure: req.secure,
+    sameSite: 'strict',
+    maxAge: oauthState.STATE_TTL_SECONDS * 1000
+  });
+  
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Disconnect - eBay OAuth</title>
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <style>${pageStyles}</style>
+    </head>
+    <body class="center">
+      <div class="error-icon">🔌</div>
+      <h1>Disconnect Your eBay Account</h1>
+      <p style="color: #8892b0; max-width: 400px; margin: 1rem auto;">
+        This deletes the credentials we store for your eBay account.
+        To confirm you own the account, you'll sign in with eBay once more.
+      </p>
+      <form method="POST" action="${action}">
+        <input type="hidden" name="csrf" value="${csrfToken}">
+        <button type="submit" class="login-btn" style="border: none; cursor: pointer; margin-top: 1.5rem;">
+          Disconnect My Account
+        </button>
+      </form>
+      <a href="/" class="home-link">← Back to Home</a>
+    </body>
+    </html>
+  `);
+});
+
+// Disconnect - confirmed from the form above; start a disconnect sign-in
+app.post('/auth/disconnect/:app?', express.urlencoded({ extended: false }), (req, res) => {
+  const expected = readCookie(req, DISCONNECT_COOKIE);
+  res.clearCookie(DISCONNECT_COOKIE);
+  
+  if (!expected || !req.body || req.body.csrf !== expected) {
+    return res.redirect(req.originalUrl);
+  }
+  startAuthorization(req, res, { action: 'disconnect' });
+});
+
+// OAuth callback - receives authorization code from eBay. Apps may point
+// their RuName at /auth/callback/:app; the state says which app started it.
+app.get('/auth/callback/:app?', async (req, res) => {
+  const { code, error, state } = req.query;
+  
+  console.log('\n📥 Callback received');
+  res.clearCookie(STATE_COOKIE);
+  
+  // Handle eBay error response
+  if (error) {
+    console.error('❌ Error from eBay:', error);
+    await audit.record('authorization_denied', { error: String(error) });
+    const returnUrl = await stateReturnTo(req, state);
+    if (returnUrl) {
+      return res.redirect(returnTo.buildReturnUrl(returnUrl, returnTo.STATUS_DENIED, { error: String(error) }));
+    }
+    return res.status(400).send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>Authorization Denied - eBay OAuth</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+        <style>${pageStyles}</style>
+      </head>
+      <body class="center">
+        <div class="error-icon">🚫</div>
+        <h1 class="error-title">Authorization Denied</h1>
+        <p style="color: #8892b0;">You declined to authorize access to your eBay account.</p>
+        <p style="color: #666; font-size: 0.9rem;">If this was a mistake, you can try again.</p>
+        <a href="/auth/login" class="login-btn" style="margin-top: 1.5rem;">Try Again</a>
+        <br>
+        <a href="/" class="home-link">← Back to Home</a>
+      </body>
+      </html>
+    `);
+  }
+  
+  // No authorization code received
+  if (!code) {
+    const returnUrl = await stateReturnTo(req, state);
+    if (returnUrl) {
+      return res.redirect(returnTo.buildReturnUrl(returnUrl, returnTo.STATUS_ERROR, { error: 'missing_code' }));
+    }
+    return res.status(400).send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>Error - eBay OAuth</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+        <style>${pageStyles}</style>
+      </head>
+      <body class="center">
+        <div class="error-icon">⚠️</div>
+        <h1 class="error-title">Missing Authorization Code</h1>
+        <p style="color: #8892b0;">No authorization code was received from eBay.</p>
+        <a href="/auth/login" class="login-btn" style="margin-top: 1.5rem;">Try Again</a>
+        <br>
+        <a href="/" class="home-link">← Back to Home</a>
+      </body>
+      </html>
+    `);
+  }
+  
+  // Verify the state issued by /auth/login (signed, unexpired, unused, same browser)
+  let stateData;
+  try {
+    stateData = await oauthState.consumeState(state);
+    if (readCookie(req, STATE_COOKIE) !== stateData.nonce) {
+      throw createError('STATE_MISMATCH', 'This authorization was started from a different browser session.');
+    }
+    if (req.params.app && req.params.app !== (stateData.app || DEFAULT_APP)) {
+      throw createError('STATE_MISMATCH', 'This authorization was started for a different eBay app.');
+    }
+  } catch (stateError) {
+    console.warn(`⚠️ Rejected callback: ${stateError.code || 'STATE_ERROR'} - ${stateError.message}`);
+    await audit.record('authorization_rejected', { reason: stateError.code || 'STATE_ERROR', ip: req.ip });
+    return res.status(403).send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>Invalid Request - eBay OAuth</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+        <style>${pageStyles}</style>
+      </head>
+      <body class="center">
+        <div class="error-icon">🛡️</div>
+        <h1 class="error-title">Invalid Authorization Request</h1>
+        <p style="color: #8892b0;">${escapeHtml(stateError.message)}</p>
+        <p style="color: #666; font-size: 0.9rem;">
+          For your security, authorizations must be started from this portal and completed once.
+        </p>
+        <a href="/auth/login" class="login-btn" style="margin-top: 1.5rem;">Start Again</a>
+        <br>
+        <a href="/" class="home-link">← Back to Home</a>
+      </body>
+      </html>
+    `);
+  }
+  
+  const appName = stateData.app || DEFAULT_APP;
+  const environment = stateData.environment || ENVIRONMENT;
+  
+  try {
+    console.log(`🔄 Exchanging code for ${appName} ${environment} tokens...`);
+    const response = await getAuthClient(environment, appName).exchangeCodeForAccessToken(environment, code);
+    const tokenData = parseTokenResponse(response);
+    
+    const { access_token, refresh_token, expires_in, refresh_token_expires_in } = tokenData;
+    
+    if (!access_token || !refresh_token) {
+      throw new Error('Invalid token response from eBay');
+    }
+    
+    // Records are keyed by the seller's eBay user ID, so without it there is
+    // nowhere safe to put the tokens: drop them rather than guess
+    console.log('🔍 Fetching eBay identity...');
+    let identity;
+    try {
+      identity = await getEbayIdentity(access_token, environment);
+    } catch (identityError) {
+      console.error('❌ Could not identify the eBay account:', identityError.message);
+      throw new Error('Could not identify your eBay account. Please try again.');
+    }
+    const { username } = identity;
+    
+    if (stateData.action === 'disconnect') {
+      return await completeDisconnect(res, { identity, app: appName, environment });
+    }
+    
+    // An invite binds the tokens to its tenant, but only for the account it
+    // names; otherwise the tokens are dropped unsaved
+    let tenantId = null;
+    if (stateData.invite) {
+      tenantId = await redeemInvite(stateData, { identity, app: appName, environment });
+    }
+    
+    // Save tokens securely, updating the seller's record if they authorized before
+    // eBay grants all requested scopes or none; prefer its list if it sends one
+    const scopes = tokenData.scope ? parseScopes(tokenData.scope) : stateData.scopes;
+    const { key, mergedFrom } = await tokenManager.saveAuthorization(identity, environment, appName, {
+      accessToken: access_token,
+      refreshToken: refresh_token,
+      expiresIn: expires_in
+    }, {
+      refreshTokenExpiresIn: refresh_token_expires_in,
+      scopes,
+      scopeProfile: stateData.scopeProfile,
+      tenantId
+    });
+    // Re-authorizing through /auth/login keeps the seller's tenant
+    const saved = await tokenManager.getTokens(key);
+    
+    await audit.record('authorization', {
+      username,
+      userId: identity.userId,
+      app: appName,
+      environment,
+      tenantId: saved.tenantId,
+      inviteId: stateData.invite || null,
+      accountType: identity.accountType,
+      scopeProfile: stateData.scopeProfile || null,
+      scopes: scopes || null,
+      mergedFrom
+    });
+    await webhooks.notify('authorization', {
+      username,
+      userId: identity.userId,
+      app: appName,
+      environment,
+      tenantId: saved.tenantId,
+      accountType: identity.accountType,
+      scopeProfile: stateData.scopeProfile || null,
+      scopes: scopes || null
+    });
+    console.log('✅ Tokens obtained and saved!');
+    console.log(`   Username: ${username} (${key})`);
+    
+    if (stateData.returnTo) {
+      return res.redirect(returnTo.buildReturnUrl(stateData.returnTo, returnTo.STATUS_SUCCESS, {
+        username,
+        app: appName,
+        environment
+      }));
+    }
+    
+    // SUCCESS PAGE - No token details shown!
+    res.send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>Success - eBay OAuth</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+        <style>${pageStyles}</style>
+      </head>
+      <body class="center">
+        <div class="success-icon">✅</div>
+        <h1 class="success-title">Authorization Successful!</h1>
+        
+        <div class="user-badge">@${escapeHtml(username)}${environment === 'SANDBOX' ? ' · sandbox' : ''}</div>
+        
+        <p style="color: #8892b0; max-width: 400px; margin: 1rem auto;">
+          Your eBay account has been successfully connected. 
+          Your credentials are now securely stored.
+        </p>
+        
+        <div class="security-note" style="max-width: 400px; margin: 2rem auto; text-align: left;">
+          <p>🔒 Your tokens are ${tokensEncrypted() ? 'encrypted and ' : ''}only accessible to authorized backend systems.</p>
+        </div>
+        
+        <a href="/" class="home-link">← Back to Home</a>
+      </body>
+      </html>
+    `);
+    
+  } catch (error) {
+    console.error('❌ Token exchange error:', error.message);
+    const inviteRejected = ['INVITE_INVALID', 'INVITE_USERNAME_MISMATCH', 'TENANT_CONFLICT'].includes(error.code);
+    await audit.record('authorization_failed', {
+      app: appName,
+      environment,
+      action: stateData.action || 'connect',
+      inviteId: stateData.invite || null,
+      tenantId: stateData.tenantId || null,
+      reason: error.code || null,
+      error: error.message
+    });
+    if (stateData.returnTo) {
+      return res.redirect(returnTo.buildReturnUrl(stateData.returnTo, returnTo.STATUS_ERROR, {
+        error: (error.code || 'authorization_failed').toLowerCase()
+      }));
+    }
+    res.status(inviteRejected ? 403 : 500).send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>Error - eBay OAuth</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+        <style>${pageStyles}</style>
+      </head>
+      <body class="center">
+        <div class="error-icon">❌</div>
+        <h1 class="error-title">Authorization Failed</h1>
+        <p style="color: #8892b0;">There was a problem completing the authorization.</p>
+        <p style="color: #666; font-size: 0.9rem;">Error: ${escapeHtml(error.message)}</p>
+        ${stateData.invite ? '' : `
+        <a href="/auth/login" class="login-btn" style="margin-top: 1.5rem;">Try Again</a>
+        <br>`}
+        <a href="/" class="home-link">← Back to Home</a>
+      </body>
+      </html>
+    `);
+  }
+});
+
+/**
+ * Recover the return URL of a callback that ended before the code exchange
+ * (seller declined, no code). The state is verified and used up as usual;
+ * if it doesn't verify there is nowhere safe to send the browser.
+ * @param {Object} req - Express request
+ * @param {string} [state] - State value from the callback
+ * @returns {Promise<string|null>} Return URL, or null
+ */
+async function stateReturnTo(req, state) {
+  try {
+    const stateData = await oauthState.consumeState(state);
+    return readCookie(req, STATE_COOKIE) === stateData.nonce ? stateData.returnTo || null : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check that the seller who signed in may take up the invite from the
+ * state, then use it up
+ * @param {Object} stateData - State from /auth/invite ({ invite, tenantId, expectedUsername })
+ * @param {Object} account - { identity, app, environment } of the signed-in seller
+ * @returns {Promise<string>} The invite's tenant ID
+ * @throws {Error} With code INVITE_USERNAME_MISMATCH, TENANT_CONFLICT or INVITE_INVALID
+ */
+async function redeemInvite(stateData, account) {
+  const { identity, app, environment } = account;
+  const { expectedUsername, tenantId } = stateData;
+  if (expectedUsername && expectedUsername.toLowerCase() !== identity.username.toLowerCase()) {
+    throw createError('INVITE_USERNAME_MISMATCH',
+      `This invite is for the eBay account ${expectedUsername}, but you signed in as ${identity.username}. Sign out of eBay and open the invite link again.`);
+  }
+  
+  // One seller record belongs to one tenant; moving it takes a delete first
+  const existing = await tokenManager.findTokens(identity.userId, environment, app) ||
+    await tokenManager.findTokens(identity.username, environment, app);
+  if (existing && existing.tokens.tenantId && existing.tokens.tenantId !== tenantId) {
+    throw createError('TENANT_CONFLICT', 'This eBay account is already connected for another customer.');
+  }
+  
+  if (!(await invites.redeemInvite(stateData.invite))) {
+    throw createError('INVITE_INVALID', 'This invite link has expired, been revoked or already been used.');
+  }
+  return tenantId;
+}
+
+/**
+ * Finish a disconnect sign-in: delete the stored record and confirm to the
+ * seller. The tokens issued for the sign-in itself are never saved. Only the
+ * seller can withdraw the app's grant, in their eBay account settings.
+ * @param {Object} res - Express response
+ * @param {Object} account - { identity, app, environment } of the signed-in seller
+ */
+async function completeDisconnect(res, account) {
+  const { identity, app, environment } = account;
+  const { username, userId } = identity;
+  // Records saved before identities were tracked are keyed by username
+  const found = await tokenManager.findTokens(userId, environment, app) ||
+    await tokenManager.findTokens(username, environment, app);
+  if (found) await tokenManager.deleteTokens(found.key, { reason: 'disconnected' });
+  
+  await audit.record('account_disconnected', {
+    username,
+    userId,
+    app,
+    environment,
+    hadStoredTokens: Boolean(found)
+  });
+  console.log(`🔌 Account disconnected: ${username} (${app}, ${environment})`);
+  
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Disconnected - eBay OAuth</title>
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <style>${pageStyles}</style>
+    </head>
+    <body class="center">
+      <div class="success-icon">🔌</div>
+      <h1 class="success-title">Account Disconnected</h1>
+      
+      <div class="user-badge">@${escapeHtml(username)}</div>
+      
+      <p style="color: #8892b0; max-width: 400px; margin: 1rem auto;">
+        ${found
+          ? 'Your stored credentials have been deleted.'
+          : 'There were no stored credentials for this account.'}
+      </p>
+      
+      <div class="security-note" style="max-width: 400px; margin: 2rem auto; text-align: left;">
+        <p>🔒 To withdraw this application's access to your eBay account completely, remove it from the
+        third-party app permissions in your eBay account settings.</p>
+      </div>
+      
+      <a href="/" class="home-link">← Back to Home</a>
+    </body>
+    </html>
+  `);
+}
+
+// eBay Marketplace Account Deletion - endpoint validation challenge
+app.get('/notifications/account-deletion', (req, res) => {
+  try {
+    const challengeCode = req.query.challenge_code;
+    if (!challengeCode) {
+      return res.status(400).json({ error: 'challenge_code is required' });
+    }
+    
+    const endpointUrl = process.env.EBAY_DELETION_ENDPOINT_URL
+      || `${req.protocol}://${req.get('host')}${req.path}`;
+    res.json({ challengeResponse: accountDeletion.challengeResponse(challengeCode, endpointUrl) });
+  } catch (error) {
+    console.error('❌ Account deletion challenge error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// eBay Marketplace Account Deletion - notification (signed by eBay)
+app.post('/notifications/account-deletion', async (req, res) => {
+  try {
+    await accountDeletion.verifySignature(req.rawBody, req.headers['x-ebay-signature']);
+    const entry = await accountDeletion.handleNotification(req.body);
+    console.log(`🗑️ Account deletion processed for ${entry.username} (tokens deleted: ${entry.tokensDeleted})`);
+    res.status(204).end();
+  } catch (error) {
+    console.error('❌ Account deletion notification rejected:', error.message);
+    if (error.code === 'SIGNATURE_INVALID') {
+      return res.status(412).json({ error: error.message });
+    }
+    if (error.code === 'NOTIFICATION_INVALID') {
+      return res.status(400).json({ error: error.message });
+    }
+    // Anything else is on our side - a 5xx makes eBay retry later
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Health check endpoint (public)
+// Liveness probe: cheap, but fails (503) when the token store is unreachable
+app.get('/health', async (req, res) => {
+  const store = await ping();
+  res.status(store.ok ? 200 : 503).json({
+    status: store.ok ? 'ok' : 'unavailable',
+    timestamp: new Date().toISOString(),
+    store
+  });
+});
+
+// ============================================
+// PROTECTED ROUTES - Require an API key (X-API-Key) with the right permission
+// ============================================
+
+// List authorized users (no tokens), a page at a time
+// ?app=name and ?env=production|sandbox limit the list to one app/environment
+// ?status=active|needs_reauth and ?expired=true|false filter on token state
+// ?refreshExpiresWithinDays=N limits the list to users whose refresh token
+// expires within N days (or already has), i.e. who will soon need to re-authorize
+// ?sort=username|environment|status|expiresAt|refreshTokenExpiresAt&order=asc|desc
+// ?limit=N (default 100, max 1000); pass nextCursor back as ?cursor= for the next page
+app.get('/api/users', requirePermission(PERMISSIONS.LIST), async (req, res) => {
+  try {
+    const target = requestTarget(req, res);
+    if (!target) return;
+    
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+      return res.status(400).json({ error: 'limit must be an integer between 1 and 1000' });
+    }
+    
+    const statuses = [tokenManager.STATUS_ACTIVE, tokenManager.STATUS_NEEDS_REAUTH];
+    if (req.query.status !== undefined && !statuses.includes(req.query.status)) {
+      return res.status(400).json({ error: `status must be one of: ${statuses.join(', ')}` });
+    }
+    if (req.query.expired !== undefined && !['true', 'false'].includes(req.query.expired)) {
+      return res.status(400).json({ error: 'expired must be true or false' });
+    }
+    
+    let refreshCutoff = null;
+    if (req.query.refreshExpiresWithinDays !== undefined) {
+      const days = Number(req.query.refreshExpiresWithinDays);
+      if (!Number.isFinite(days) || days < 0) {
+        return res.status(400).json({ error: 'refreshExpiresWithinDays must be a non-negative number' });
+      }
+      refreshCutoff = Date.now() + days * 24 * 60 * 60 * 1000;
+    }
+    
+    // Key filters are checked before a record is read
+    const matchKey = listFilter(req, target);
+    const match = (key, tokens) =>
+      canAccessUser(req.apiClient, tokens) &&
+      (req.query.tenantId === undefined || tokens.tenantId === req.query.tenantId) &&
+      (req.query.status === undefined || tokenManager.tokenStatus(tokens) === req.query.status) &&
+      (req.query.expired === undefined || tokenManager.hasExpired(tokens) === (req.query.expired === 'true')) &&
+      (refreshCutoff === null || (Boolean(tokens.refreshTokenExpiresAt) && tokens.refreshTokenExpiresAt <= refreshCutoff));
+    
+    const { records, nextCursor } = await tokenManager.listTokens({
+      matchKey,
+      match,
+      sort: req.query.sort,
+      order: req.query.order,
+      cursor: req.query.cursor,
+      limit
+    });
+    
+    const users = records.map(({ key, record }) => tokenManager.summarizeUser(key, record));
+    
+    res.json({ 
+      count: users.length, 
+      users,
+      nextCursor
+    });
+  } catch (error) {
+    sendApiError(res, error);
+  }
+});
+
+// Get valid access token for a specific user (auto-refreshes if expired)
+// ?requiredScopes=a,b fails with 403 unless the user granted all of them
+app.get('/api/get-token/:username?', requirePermission(PERMISSIONS.READ_TOKEN), async (req, res) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+    
+    const requiredScopes = parseScopes(req.query.requiredScopes);
+    const missingScopes = tokenManager.missingScopes(user.tokens, requiredScopes);
+    if (missingScopes.length > 0) {
+      throw createError('SCOPE_MISSING', `User ${user.username} has not granted ${missingScopes.length} required scope(s)`, {
+        username: user.username,
+        app: user.app,
+        environment: user.environment,
+        requiredScopes,
+        missingScopes,
+        grantedScopes: tokenManager.grantedScopes(user.tokens)
+      });
+    }
+    
+    const { accessToken, expiresAt, refreshed } = await tokenManager.getValidAccessToken(user.key);
+    await audit.record('token_read', {
+      username: user.username,
+      app: user.app,
+      environment: user.environment,
+      client: auditClient(req),
+      refreshed
+    });
+    res.json({ username: user.username, app: user.app, environment: user.environment, accessToken, expiresAt, refreshed });
+  } catch (error) {
+    sendApiError(res, error);
+  }
+});
+
+/**
+ * Make a test call to eBay (the Account API privilege endpoint) as a user
+ * @param {string} key - Token key
+ * @param {string} environment - "PRODUCTION" or "SANDBOX"
+ * @returns {Promise<Object>} { status, refreshed, data } - data is { body } when eBay didn't answer with JSON
+ * @throws {Error} With code UPSTREAM_TIMEOUT or UPSTREAM_ERROR if eBay can't be reached
+ */
+async function testCall(key, environment) {
+  const { accessToken, refreshed } = await tokenManager.getValidAccessToken(key);
+  
+  const path = 'sell/account/v1/privilege';
+  const apiUrl = `${getApiBaseUrl(path, environment)}/${path}`;
+  
+  let apiRes;
+  let body;
+  try {
+    apiRes = await fetch(apiUrl, {
+      headers: { 'Authorization': `Bearer ${accessToken}` },
+      signal: AbortSignal.timeout(TEST_CALL_TIMEOUT_MS)
+    });
+    body = await apiRes.text();
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw createError('UPSTREAM_TIMEOUT', `eBay did not respond within ${TEST_CALL_TIMEOUT_MS / 1000}s`);
+    }
+    throw createError('UPSTREAM_ERROR', `Could not reach eBay: ${error.cause ? error.cause.message : error.message}`);
+  }
+  
+  // Gateways in front of eBay answer errors with HTML
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch (error) {
+    data = { body: body.slice(0, 300) };
+  }
+  return { status: apiRes.status, refreshed, data };
+}
+
+// Test API call for specific user
+app.get('/api/test/:username?', requirePermission(PERMISSIONS.READ_TOKEN), async (req, res) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+    
+    const { refreshed, data } = await testCall(user.key, user.environment);
+    res.json({ success: true, username: user.username, app: user.app, environment: user.environment, refreshed, data });
+  } catch (error) {
+    sendApiError(res, error);
+  }
+});
+
+// Refresh a user's access token now, even if it is still valid. The new
+// token is not returned; fetch it with /api/get-token.
+app.post('/api/tokens/:username/refresh', requirePermission(PERMISSIONS.READ_TOKEN), async (req, res) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+    
+    const { expiresAt } = await tokenManager.getValidAccessToken(user.key, { force: true });
+    res.json({ success: true, username: user.username, app: user.app, environment: user.environment, expiresAt });
+  } catch (error) {
+    sendApiError(res, error);
+  }
+});
+
+// Check every stored user the API key may access, refreshing expired access
+// tokens, and classify each as healthy, expired_refreshable, needs_reauth,
+// scope_missing or error. ?app= and ?env= limit the check, ?requiredScopes=a,b
+// overrides the scopes users must have granted, ?refresh=false only inspects.
+app.get('/api/health/tokens', requirePermission(PERMISSIONS.LIST), async (req, res) => {
+  try {
+    const target = requestTarget(req, res);
+    if (!target) return;
+    
+    const result = await tokenHealth.checkTokens({
+      matchKey: listFilter(req, target),
+      match: (key, tokens) => canAccessUser(req.apiClient, tokens),
+      requiredScopes: parseScopes(req.query.requiredScopes),
+      refresh: req.query.refresh !== 'false'
+    });
+    res.json(result);
+  } catch (error) {
+    sendApiError(res, error);
+  }
+});
+
+// Get an application (client credentials) token for Browse/Taxonomy/Catalog APIs
+// ?scopes= narrows the request to a subset of the app's application scopes
+// (EBAY_APP_SCOPES for the default app), ?app= and ?env= pick the keyset
+app.get('/api/app-token', requirePermission(PERMISSIONS.APP_TOKEN), async (req, res) => {
+  try {
+    const target = requestTarget(req, res);
+    if (!target) return;
+    
+    const { appScopes } = getApp(target.app);
+    const scopes = req.query.scopes ? parseScopes(req.query.scopes) : appScopes;
+    const disallowed = scopes.filter(scope => !appScopes.includes(scope));
+    
+    if (scopes.length === 0 || disallowed.length > 0) {
+      return res.status(400).json({
+        error: 'Requested scopes are not configured for application tokens',
+        disallowed,
+        allowedScopes: appScopes
+      });
+    }
+    
+    const { accessToken, expiresAt, refreshed } = await tokenManager.getApplicationToken(
+      scopes,
+      target.environment,
+      target.app
+    );
+    await audit.record('app_token_read', {
+      app: target.app,
+      environment: target.environment,
+      scopes,
+      client: auditClient(req)
+    });
+    res.json({ accessToken, expiresAt, scopes, app: target.app, environment: target.environment, refreshed });
+  } catch (error) {
+    sendApiError(res, error);
+  }
+});
+
+// Proxy an eBay API call for a user: /api/proxy/:username/<eBay resource path>
+// Method, query, headers and body are forwarded; the access token is injected
+// here and never returned to the caller. ?app= and ?env= pick the user's
+// record and are not forwarded.
+app.all(
+  '/api/proxy/:username/*',
+  requirePermission(PERMISSIONS.PROXY),
+  express.raw({ type: () => true, limit: '10mb' }),
+  async (req, res) => {
+    try {
+      const user = await findUser(req, res);
+      if (!user) return;
+      
+      const request = ebayProxy.buildRequest(req, user.environment);
+      let { accessToken } = await tokenManager.getValidAccessToken(user.key);
+      let response = await ebayProxy.send(request, accessToken);
+      
+      // The token may have been revoked or expired early - refresh once and retry
+      if (response.status === 401) {
+        console.log(`🔄 eBay rejected token for ${user.username}, forcing refresh...`);
+        ({ accessToken } = await tokenManager.getValidAccessToken(user.key, { force: true }));
+        response = await ebayProxy.send(request, accessToken);
+      }
+      
+      await ebayProxy.relay(response, res);
+    } catch (error) {
+      sendApiError(res, error);
+    }
+  }
+);
+
+// View all stored tokens (full data)
+app.get('/api/tokens', requirePermission(PERMISSIONS.ADMIN), async (req, res) => {
+  try {
+    const tokens = await tokenManager.loadTokens();
+    await audit.record('tokens_exported', { count: Object.keys(tokens).length, client: auditClient(req) });
+    res.json(tokens);
+  } catch (error) {
+    sendApiError(res, error);
+  }
+});
+
+// Export every token record as a passphrase-encrypted bundle (see tokenBundles.js).
+// Body: { "passphrase": "..." }
+app.post('/api/tokens/export', requirePermission(PERMISSIONS.ADMIN), async (req, res) => {
+  try {
+    const bundle = await tokenBundles.exportBundle((req.body || {}).passphrase);
+    await audit.record('tokens_exported', { count: bundle.count, encrypted: true, client: auditClient(req) });
+    res.json(bundle);
+  } catch (error) {
+    sendApiError(res, error);
+  }
+});
+
+// Import token records: a bundle ({ "bundle": {...}, "passphrase": "..." }) or
+// records in the format GET /api/tokens returns. ?conflict=skip|overwrite|keep-newest
+// decides what happens to users that already exist (default skip);
+// ?dryRun=true only reports what would change.
+app.post('/api/tokens/import', requirePermission(PERMISSIONS.ADMIN), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const encrypted = body.bundle !== undefined;
+    const options = { conflict: req.query.conflict, dryRun: req.query.dryRun === 'true' };
+    const result = encrypted
+      ? await tokenBundles.importBundle(body.bundle, body.passphrase, options)
+      : await tokenManager.importTokens(body, options);
+    
+    await audit.record('tokens_imported', {
+      encrypted,
+      conflict: result.conflict,
+      dryRun: result.dryRun,
+      total: result.total,
+      created: result.created,
+      overwritten: result.overwritten,
+      skipped: result.skipped,
+      invalid: result.invalid.length,
+      client: auditClient(req)
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendApiError(res, error);
+  }
+});
+
+// Re-encrypt stored tokens with the current TOKEN_ENCRYPTION_KEY (after key rotation)
+app.post('/api/tokens/reencrypt', requirePermission(PERMISSIONS.ADMIN), async (req, res) => {
+  try {
+    const result = await tokenManager.reencryptTokens();
+    await audit.record('tokens_reencrypted', { ...result, client: auditClient(req) });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendApiError(res, error);
+  }
+});
+
+// Show the default account used when /api/get-token and /api/test are called
+// without a username (?app= and ?env= pick the app and environment)
+app.get('/api/default-account', requirePermission(PERMISSIONS.ADMIN), async (req, res) => {
+  try {
+    const target = requestTarget(req, res);
+    if (!target) return;
+    
+    const setting = await defaultAccounts.getDefaultAccount(target.app, target.environment);
+    res.json(setting || { username: null, app: target.app, environment: target.environment });
+  } catch (error) {
+    sendApiError(res, error);
+  }
+});
+
+// Set the default account: body { "username": "seller1" }. The user must
+// already be authorized in that app and environment.
+app.put('/api/default-account', requirePermission(PERMISSIONS.ADMIN), async (req, res) => {
+  try {
+    const target = requestTarget(req, res);
+    if (!target) return;
+    
+    const { username } = req.body || {};
+    if (typeof username !== 'string' || !username) {
+      return res.status(400).json({ error: 'username is required' });
+    }
+    
+    const found = await tokenManager.findTokens(username, target.environment, target.app);
+    if (!found) {
+      return res.status(404).json({ error: `No ${target.app} ${target.environment} tokens for user: ${username}` });
+    }
+    
+    const { tokens } = found;
+    const setting = await defaultAccounts.setDefaultAccount(target.app, target.environment, tokens, auditClient(req));
+    await audit.record('default_account_set', {
+      username: tokens.username,
+      userId: tokens.userId,
+      app: target.app,
+      environment: target.environment,
+      client: auditClient(req)
+    });
+    res.json({ success: true, ...setting });
+  } catch (error) {
+    sendApiError(res, error);
+  }
+});
+
+// Remove the default account, so callers must always name the user
+app.delete('/api/default-account', requirePermission(PERMISSIONS.ADMIN), async (req, res) => {
+  try {
+    const target = requestTarget(req, res);
+    if (!target) return;
+    
+    const removed = await defaultAccounts.clearDefaultAccount(target.app, target.environment);
+    if (!removed) {
+      return res.status(404).json({ error: `No default account is configured for ${target.app} ${target.environment}` });
+    }
+    await audit.record('default_account_cleared', {
+      username: removed.username,
+      app: target.app,
+      environment: target.environment,
+      client: auditClient(req)
+    });
+    res.json({ success: true, removed });
+  } catch (error) {
+    sendApiError(res, error);
+  }
+});
+
+// Delete a user's tokens. eBay keeps the seller's grant until they remove the
+// app in their eBay account settings.
+app.delete('/api/tokens/:username', requirePermission(PERMISSIONS.DELETE), async (req, res) => {
+  try {
+    const { username } = req.params;
+    const target = requestTarget(req, res);
+    if (!target) return;
+    
+    const { app, environment } = target;
+    const found = await tokenManager.findTokens(username, environment, app);
+    if (!found) {
+      throw createError('USER_NOT_FOUND', `No ${app} ${environment} tokens for user: ${username}`);
+    }
+    // The path may name the user by eBay user ID; check access against the record
+    const { key, tokens } = found;
+    if (!canAccessUser(req.apiClient, tokens)) {
+      return res.status(403).json({ error: `API key "${req.apiClient.name}" may not access user: ${tokens.username}` });
+    }
+    
+    await tokenManager.deleteTokens(key, { reason: 'api' });
+    
+    await audit.record('tokens_deleted', {
+      username: tokens.username,
+      app,
+      environment,
+      client: auditClient(req)
+    });
+    
+    res.json({
+      success: true,
+      message: `Tokens deleted for ${tokens.username} (${app}, ${environment})`,
+      username: tokens.username,
+      app,
+      environment
+    });
+  } catch (error) {
+    sendApiError(res, error);
+  }
+});
+
+// Proactively refresh tokens that expire soon (triggered by Vercel Cron)
+// ?windowMinutes=N overrides REFRESH_WINDOW_MINUTES for this run
+async function handleCronRefresh(req, res) {
+  try {
+    const options = {};
+    if (req.query.windowMinutes !== undefined) {
+      const windowMinutes = Number(req.query.windowMinutes);
+      if (!Number.isFinite(windowMinutes) || windowMinutes < 0) {
+        return res.status(400).json({ error: 'windowMinutes must be a non-negative number' });
+      }
+      options.windowMinutes = windowMinutes;
+    }
+    
+    const result = await refresher.refreshExpiringTokens(options);
+    // Piggyback webhook retries on the same schedule
+    const webhookRetries = await webhooks.processQueue();
+    res.json({ success: true, ...result, webhooks: webhookRetries });
+  } catch (error) {
+    sendApiError(res, error);
+  }
+}
+
+// Create an API key - the key is only ever returned in this response
+app.post('/api/keys', requirePermission(PERMISSIONS.ADMIN), async (req, res) => {
+  try {
+    const { name, usernames, permissions } = req.body || {};
+    const created = await apiKeys.createKey({ name, usernames, permissions });
+    await audit.record('api_key_created', {
+      keyId: created.id,
+      name: created.name,
+      usernames: created.usernames,
+      permissions: created.permissions,
+      client: auditClient(req)
+    });
+    res.status(201).json(created);
+  } catch (error) {
+    sendApiError(res, error);
+  }
+});
+
+// List API keys (never includes the keys themselves)
+app.get('/api/keys', requirePermission(PERMISSIONS.ADMIN), async (req, res) => {
+  try {
+    const keys = await apiKeys.listKeys();
+    res.json({ count: keys.length, keys });
+  } catch (error) {
+    sendApiError(res, error);
+  }
+});
+
+// Revoke an API key
+app.delete('/api/keys/:id', requirePermission(PERMISSIONS.ADMIN), async (req, res) => {
+  try {
+    const revoked = await apiKeys.revokeKey(req.params.id);
+    if (!revoked) {
+      return res.status(404).json({ error: `No API key: ${req.params.id}` });
+    }
+    await audit.record('api_key_revoked', { keyId: revoked.id, name: revoked.name, client: auditClient(req) });
+    res.json({ success: true, key: revoked });
+  } catch (error) {
+    sendApiError(res, error);
+  }
+});
+
+// Create a single-use invite link for a tenant - the link is only ever returned in this response
+app.post('/api/invites', requirePermission(PERMISSIONS.INVITE), async (req, res) => {
+  try {
+    const { tenantId, expectedUsername, app: appName, env, profile, expiresInHours } = req.body || {};
+    const invite = await invites.createInvite({
+      tenantId,
+      expectedUsername,
+      app: appName,
+      env,
+      profile,
+      expiresInHours,
+      createdBy: auditClient(req)
+    });
+    await audit.record('invite_created', {
+      inviteId: invite.id,
+      tenantId: invite.tenantId,
+      expectedUsername: invite.expectedUsername,
+      app: invite.app,
+      environment: invite.environment,
+      expiresAt: invite.expiresAt,
+      client: auditClient(req)
+    });
+    
+    const { token, ...description } = invite;
+    res.status(201).json({
+      url: `${req.protocol}://${req.get('host')}/auth/invite/${token}`,
+      ...description
+    });
+  } catch (error) {
+    sendApiError(res, error);
+  }
+});
+
+// List outstanding invites (?tenantId= for one tenant)
+app.get('/api/invites', requirePermission(PERMISSIONS.INVITE), async (req, res) => {
+  try {
+    const list = await invites.listInvites({ tenantId: req.query.tenantId });
+    res.json({ count: list.length, invites: list });
+  } catch (error) {
+    sendApiError(res, error);
+  }
+});
+
+// Revoke an invite that has not been used yet
+app.delete('/api/invites/:id', requirePermission(PERMISSIONS.INVITE), async (req, res) => {
+  try {
+    const revoked = await invites.revokeInvite(req.params.id);
+    if (!revoked) {
+      return res.status(404).json({ error: `No outstanding invite: ${req.params.id}` });
+    }
+    await audit.record('invite_revoked', { inviteId: revoked.id, tenantId: revoked.tenantId, client: auditClient(req) });
+    res.json({ success: true, invite: revoked });
+  } catch (error) {
+    sendApiError(res, error);
+  }
+});
+
+/**
+ * Parse an audit query time bound (milliseconds since epoch or an ISO date)
+ * @param {string} [value] - Query parameter
+ * @returns {number|undefined|null} Timestamp, undefined if absent, null if invalid
+ */
+function parseTimeBound(value) {
+  if (value === undefined || value === '') return undefined;
+  const timestamp = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(timestamp) ? null : timestamp;
+}
+
+// Query the audit log, newest first
+// ?username= ?type= ?client= (API key ID or name) ?from= ?to= (ms or ISO date) ?limit= (max 1000)
+app.get('/api/audit', requirePermission(PERMISSIONS.ADMIN), async (req, res) => {
+  try {
+    const from = parseTimeBound(req.query.from);
+    const to = parseTimeBound(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({ error: 'from and to must be timestamps in milliseconds or ISO dates' });
+    }
+    
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+      return res.status(400).json({ error: 'limit must be an integer between 1 and 1000' });
+    }
+    
+    const entries = await audit.query({
+      username: req.query.username,
+      type: req.query.type,
+      client: req.query.client,
+      from,
+      to,
+      limit
+    });
+    res.json({ count: entries.length, entries });
+  } catch (error) {
+    sendApiError(res, error);
+  }
+});
+
+// List configured webhook endpoints and queued deliveries (pending retries
+// and failures). Delivered webhooks are removed from the queue.
+app.get('/api/webhooks/deliveries', requirePermission(PERMISSIONS.ADMIN), async (req, res) => {
+  try {
+    const { status, endpoint, event } = req.query;
+    if (status !== undefined && ![webhooks.STATUS_PENDING, webhooks.STATUS_FAILED].includes(status)) {
+      return res.status(400).json({ error: `status must be "${webhooks.STATUS_PENDING}" or "${webhooks.STATUS_FAILED}"` });
+    }
+    if (event !== undefined && !webhooks.EVENTS.includes(event)) {
+      return res.status(400).json({ error: `event must be one of: ${webhooks.EVENTS.join(', ')}` });
+    }
+    
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+      return res.status(400).json({ error: 'limit must be an integer between 1 and 1000' });
+    }
+    
+    const deliveries = await webhooks.listDeliveries({ status, endpoint, event, limit });
+    res.json({ endpoints: webhooks.listEndpoints(), count: deliveries.length, deliveries });
+  } catch (error) {
+    sendApiError(res, error);
+  }
+});
+
+app.get('/api/webhooks/deliveries/:id', requirePermission(PERMISSIONS.ADMIN), async (req, res) => {
+  try {
+    const delivery = await webhooks.getDelivery(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Unknown webhook delivery (it may already have been delivered)' });
+    }
+    res.json(delivery);
+  } catch (error) {
+    sendApiError(res, error);
+  }
+});
+
+// Retry a delivery now with a fresh set of attempts
+app.post('/api/webhooks/deliveries/:id/replay', requirePermission(PERMISSIONS.ADMIN), async (req, res) => {
+  try {
+    const delivery = await webhooks.replayDelivery(req.params.id);
+    await audit.record('webhook_replayed', {
+      deliveryId: req.params.id,
+      endpoint: delivery.endpoint,
+      event: delivery.event,
+      delivered: delivery.status === 'delivered',
+      client: auditClient(req)
+    });
+    res.json({ success: delivery.status === 'delivered', delivery });
+  } catch (error) {
+    sendApiError(res, error);
+  }
+});
+
+app.get('/api/cron/refresh', requireCronSecret, handleCronRefresh);
+app.post('/api/cron/refresh', requireCronSecret, handleCronRefresh);
+
+// ============================================
+// ADMIN DASHBOARD - Browser session, signed in with an admin credential
+// ============================================
+
+/**
+ * Extra styles for the dashboard table (on top of pageStyles)
+ */
+const dashboardStyles = `
+  body.dashboard { max-width: 1200px; }
+  .toolbar { display: flex; gap: 12px; align-items: center; flex-wrap: wrap; margin-bottom: 1.5rem; }
+  .toolbar form { display: flex; gap: 8px; flex-wrap: wrap; margin: 0; }
+  .toolbar .spacer { flex: 1; }
+  input, select {
+    background: rgba(255, 255, 255, 0.05);
+    color: #e8e8e8;
+    border: 1px solid rgba(255, 255, 255, 0.15);
+    border-radius: 6px;
+    padding: 8px 10px;
+    font-size: 0.9rem;
+  }
+  button, .btn {
+    background: rgba(255, 255, 255, 0.08);
+    color: #e8e8e8;
+    border: 1px solid rgba(255, 255, 255, 0.15);
+    border-radius: 6px;
+    padding: 6px 10px;
+    font-size: 0.85rem;
+    cursor: pointer;
+    text-decoration: none;
+  }
+  button:hover, .btn:hover { border-color: #64ffda; color: #64ffda; }
+  button.danger:hover { border-color: #e5383b; color: #e5383b; }
+  table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+  th { text-align: left; color: #8892b0; font-weight: 500; padding: 8px; border-bottom: 1px solid rgba(255, 255, 255, 0.15); }
+  td { padding: 8px; border-bottom: 1px solid rgba(255, 255, 255, 0.06); vertical-align: top; }
+  td .muted, .muted { color: #8892b0; font-size: 0.8rem; }
+  .actions { display: flex; gap: 4px; flex-wrap: wrap; }
+  .actions form { margin: 0; }
+  .status-active { color: #64ffda; }
+  .status-needs_reauth { color: #e5383b; }
+  details summary { cursor: pointer; color: #8892b0; }
+  pre { white-space: pre-wrap; word-break: break-word; background: rgba(0, 0, 0, 0.25); padding: 12px; border-radius: 8px; text-align: left; font-size: 0.8rem; }
+`;
+
+/**
+ * Describe a timestamp relative to now, e.g. "in 1h 59m" or "3d ago"
+ * @param {number|null} timestamp - Timestamp (ms)
+ * @returns {string} HTML
+ */
+function formatExpiry(timestamp) {
+  if (!timestamp) return '<span class="muted">unknown</span>';
+  const diff = timestamp - Date.now();
+  const minutes = Math.round(Math.abs(diff) / 60000);
+  const text = minutes >= 2 * 24 * 60
+    ? `${Math.round(minutes / (24 * 60))}d`
+    : minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+  return `<span title="${new Date(timestamp).toISOString()}">${diff >= 0 ? `in ${text}` : `${text} ago`}</span>`;
+}
+
+/**
+ * Render a dashboard page
+ * @param {string} title - Page title
+ * @param {string} body - Page body (HTML)
+ * @param {Object} [options]
+ * @param {boolean} [options.wide] - Use the full-width dashboard layout
+ * @returns {string} HTML document
+ */
+function dashboardPage(title, body, { wide = false } = {}) {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>${escapeHtml(title)} - eBay OAuth</title>
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <meta name="robots" content="noindex">
+      <style>${pageStyles}${dashboardStyles}</style>
+    </head>
+    <body class="${wide ? 'dashboard' : 'center'}">
+      ${body}
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Middleware: require a dashboard session. Form posts must also carry the
+ * session's CSRF token. The session is attached as req.adminSession.
+ */
+async function requireAdminSession(req, res, next) {
+  try {
+    const session = await adminSessions.getSession(readCookie(req, ADMIN_COOKIE));
+    if (!session) {
+      res.clearCookie(ADMIN_COOKIE, { path: '/admin' });
+      return res.redirect(303, '/admin/login');
+    }
+    if (req.method === 'POST' && (!req.body || req.body.csrf !== session.csrfToken)) {
+      return res.status(403).send(dashboardPage('Forbidden', `
+        <div class="error-icon">🛡️</div>
+        <h1 class="error-title">Request Rejected</h1>
+        <p style="color: #8892b0;">The form was stale or did not come from the dashboard. Please try again.</p>
+        <a href="/admin" class="home-link">← Back to Dashboard</a>
+      `));
+    }
+    req.adminSession = session;
+    next();
+  } catch (error) {
+    res.status(500).send(dashboardPage('Error', `
+      <div class="error-icon">❌</div>
+      <h1 class="error-title">Dashboard Unavailable</h1>
+      <p style="color: #8892b0;">${escapeHtml(error.message)}</p>
+    `));
+  }
+}
+
+// Sign-in form
+app.get('/admin/login', (req, res) => {
+  res.send(dashboardPage('Admin Sign In', `
+    <h1>🛠️ Admin Dashboard</h1>
+    <p class="subtitle">Sign in with API_SECRET or an API key that has the admin permission.</p>
+    ${req.query.error ? '<p style="color: #e5383b;">Invalid credential, or the key lacks the admin permission.</p>' : ''}
+    <form method="POST" action="/admin/login" style="display: flex; flex-direction: column; gap: 12px; max-width: 360px; margin: 0 auto;">
+      <input type="password" name="credential" placeholder="ek_… or API_SECRET" autocomplete="current-password" required autofocus>
+      <button type="submit" class="login-btn" style="border: none;">Sign In</button>
+    </form>
+    <a href="/" class="home-link">← Back to Home</a>
+  `));
+});
+
+app.post('/admin/login', express.urlencoded({ extended: false }), async (req, res) => {
+  try {
+    const session = await adminSessions.createSession(req.body && req.body.credential);
+    if (!session) {
+      await audit.record('admin_login_failed', { ip: req.ip });
+      return res.redirect(303, '/admin/login?error=1');
+    }
+    
+    res.cookie(ADMIN_COOKIE, session.sessionId, {
+      httpOnly: true,
+      secure: req.secure,
+      sameSite: 'strict',
+      path: '/admin',
+      maxAge: session.expiresAt - Date.now()
+    });
+    await audit.record('admin_login', { client: session.client, ip: req.ip });
+    res.redirect(303, '/admin');
+  } catch (error) {
+    res.status(500).send(dashboardPage('Error', `
+      <div class="error-icon">❌</div>
+      <h1 class="error-title">Sign In Failed</h1>
+      <p style="color: #8892b0;">${escapeHtml(error.message)}</p>
+      <a href="/admin/login" class="home-link">← Try Again</a>
+    `));
+  }
+});
+
+app.post('/admin/logout', express.urlencoded({ extended: false }), requireAdminSession, async (req, res) => {
+  try {
+    await adminSessions.destroySession(readCookie(req, ADMIN_COOKIE));
+    res.clearCookie(ADMIN_COOKIE, { path: '/admin' });
+    res.redirect(303, '/admin/login');
+  } catch (error) {
+    res.status(500).send(dashboardPage('Error', `
+      <div class="error-icon">❌</div>
+      <h1 class="error-title">Sign Out Failed</h1>
+      <p style="color: #8892b0;">${escapeHtml(error.message)}</p>
+      <a href="/admin" class="home-link">← Back to Dashboard</a>
+    `));
+  }
+});
+
+// Authorized users, 50 per page (?env=, ?status=, ?tenantId= and ?q= filter)
+app.get('/admin', requireAdminSession, async (req, res) => {
+  try {
+    const { csrfToken, client } = req.adminSession;
+    const environment = req.query.env ? parseEnvironment(req.query.env) : null;
+    const status = [tokenManager.STATUS_ACTIVE, tokenManager.STATUS_NEEDS_REAUTH].includes(req.query.status)
+      ? req.query.status
+      : null;
+    const tenantId = req.query.tenantId || null;
+    const search = (req.query.q || '').toLowerCase();
+    
+    const { records, nextCursor } = await tokenManager.listTokens({
+      matchKey: key => !environment || tokenManager.parseTokenKey(key).environment === environment,
+      match: (key, tokens) =>
+        (!status || tokenManager.tokenStatus(tokens) === status) &&
+        (!tenantId || tokens.tenantId === tenantId) &&
+        (!search || String(tokens.username).toLowerCase().includes(search) ||
+          String(tokens.userId || '').toLowerCase().includes(search)),
+      sort: 'username',
+      cursor: req.query.cursor,
+      limit: DASHBOARD_PAGE_SIZE
+    });
+    
+    const action = (key, name, label, confirmText) => `
+      <form method="POST" action="/admin/users/${encodeURIComponent(key)}/${name}"
+        ${confirmText ? `onsubmit="return confirm(${escapeHtml(JSON.stringify(confirmText))})"` : ''}>
+        <input type="hidden" name="csrf" value="${csrfToken}">
+        <button type="submit"${confirmText ? ' class="danger"' : ''}>${label}</button>
+      </form>`;
+    
+    const rows = records.map(({ key, record: tokens }) => {
+      const { app: appName, environment: env } = tokenManager.parseTokenKey(key);
+      const tokenStatus = tokenManager.tokenStatus(tokens);
+      const scopes = tokenManager.grantedScopes(tokens);
+      const name = escapeHtml(tokens.username);
+      return `
+        <tr>
+          <td><strong>${name}</strong><br><span class="muted">${escapeHtml(tokens.userId || 'no user ID yet')}</span></td>
+          <td>${escapeHtml(appName)}<br><span class="muted">${escapeHtml(env.toLowerCase())}</span></td>
+          <td>${escapeHtml(tokens.tenantId || '—')}</td>
+          <td class="status-${tokenStatus}">${tokenStatus}${tokens.reauthReason && tokenStatus !== tokenManager.STATUS_ACTIVE
+            ? `<br><span class="muted">${escapeHtml(tokens.reauthReason)}</span>` : ''}</td>
+          <td>${formatExpiry(tokens.expiresAt)}</td>
+          <td>${formatExpiry(tokens.refreshTokenExpiresAt)}</td>
+          <td>
+            <details>
+              <summary>${escapeHtml(tokens.scopeProfile || DEFAULT_PROFILE)} (${scopes.length})</summary>
+              ${scopes.map(scope => `<div class="muted">${escapeHtml(scope.replace('https://api.ebay.com/oauth/api_scope', '') || 'api_scope')}</div>`).join('')}
+            </details>
+          </td>
+          <td class="actions">
+            ${action(key, 'refresh', 'Refresh')}
+            ${action(key, 'test', 'Test')}
+            ${action(key, 'delete', 'Delete', `Delete ${tokens.username}'s tokens?`)}
+          </td>
+        </tr>`;
+    }).join('');
+    
+    const filters = new URLSearchParams();
+    for (const name of ['env', 'status', 'tenantId', 'q']) {
+      if (req.query[name]) filters.set(name, req.query[name]);
+    }
+    if (nextCursor) filters.set('cursor', nextCursor);
+    const option = (value, label, current) =>
+      `<option value="${value}"${value === (current || '') ? ' selected' : ''}>${label}</option>`;
+    
+    res.send(dashboardPage('Admin Dashboard', `
+      <h1>🛠️ Admin Dashboard</h1>
+      <p class="subtitle">Signed in as ${escapeHtml(client.name)}</p>
+      
+      <div class="toolbar">
+        <form method="GET" action="/admin">
+          <input type="search" name="q" placeholder="Username or user ID" value="${escapeHtml(req.query.q)}">
+          <select name="env">
+            ${option('', 'All environments', req.query.env)}
+            ${option('production', 'Production', req.query.env)}
+            ${option('sandbox', 'Sandbox', req.query.env)}
+          </select>
+          <select name="status">
+            ${option('', 'Any status', status)}
+            ${option(tokenManager.STATUS_ACTIVE, 'Active', status)}
+            ${option(tokenManager.STATUS_NEEDS_REAUTH, 'Needs re-auth', status)}
+          </select>
+          <input type="text" name="tenantId" placeholder="Tenant ID" value="${escapeHtml(tenantId)}">
+          <button type="submit">Filter</button>
+        </form>
+        <span class="spacer"></span>
+        <form method="POST" action="/admin/logout">
+          <input type="hidden" name="csrf" value="${csrfToken}">
+          <button type="submit">Sign Out</button>
+        </form>
+      </div>
+      
+      <table>
+        <thead>
+          <tr>
+            <th>User</th><th>App</th><th>Tenant</th><th>Status</th>
+            <th>Access token</th><th>Refresh token</th><th>Scopes</th><th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows || '<tr><td colspan="8" class="muted">No users match.</td></tr>'}
+        </tbody>
+      </table>
+      
+      ${nextCursor ? `<p style="text-align: right;"><a class="btn" href="/admin?${escapeHtml(filters.toString())}">Next page →</a></p>` : ''}
+    `, { wide: true }));
+  } catch (error) {
+    const badFilter = error.code === 'INVALID_LIST_OPTION';
+    res.status(badFilter ? 400 : 500).send(dashboardPage('Error', `
+      <div class="error-icon">❌</div>
+      <h1 class="error-title">Could Not List Users</h1>
+      <p style="color: #8892b0;">${escapeHtml(error.message)}</p>
+      <a href="/admin" class="home-link">← Back to Dashboard</a>
+    `));
+  }
+});
+
+// Actions on one user: refresh (forced), test (eBay call) and delete
+app.post('/admin/users/:key/:action', express.urlencoded({ extended: false }), requireAdminSession, async (req, res) => {
+  const { key, action } = req.params;
+  const { client } = req.adminSession;
+  
+  if (!['refresh', 'test', 'delete'].includes(action)) {
+    return res.status(404).send(dashboardPage('Not Found', `
+      <div class="error-icon">❓</div>
+      <h1 class="error-title">Unknown Action</h1>
+      <a href="/admin" class="home-link">← Back to Dashboard</a>
+    `));
+  }
+  
+  const tokens = await tokenManager.getTokens(key).catch(() => null);
+  if (!tokens) {
+    return res.status(404).send(dashboardPage('Not Found', `
+      <div class="error-icon">❓</div>
+      <h1 class="error-title">User Not Found</h1>
+      <p style="color: #8892b0;">The user may have been deleted in the meantime.</p>
+      <a href="/admin" class="home-link">← Back to Dashboard</a>
+    `));
+  }
+  
+  const { app: appName, environment } = tokenManager.parseTokenKey(key);
+  const name = escapeHtml(tokens.username);
+  let title;
+  let details;
+  let outcome = { success: true };
+  
+  try {
+    if (action === 'refresh') {
+      const { expiresAt } = await tokenManager.getValidAccessToken(key, { force: true });
+      title = 'Token Refreshed';
+      details = `The access token of @${name} now expires ${formatExpiry(expiresAt)}.`;
+    } else if (action === 'test') {
+      const result = await testCall(key, environment);
+      outcome = { success: result.status < 400, status: result.status };
+      title = outcome.success ? 'Test Call Succeeded' : 'Test Call Failed';
+      details = `eBay answered HTTP ${result.status}${result.refreshed ? ' (the access token was refreshed first)' : ''}.
+        <pre>${escapeHtml(JSON.stringify(result.data, null, 2))}</pre>`;
+    } else {
+      await tokenManager.deleteTokens(key, { reason: 'admin' });
+      title = 'Tokens Deleted';
+      details = `The tokens of @${name} were deleted. The seller can withdraw the app's access in their eBay account settings.`;
+    }
+  } catch (error) {
+    outcome = { success: false, error: error.message };
+    title = 'Action Failed';
+    details = escapeHtml(error.message);
+  }
+  
+  await audit.record('admin_action', {
+    action,
+    ...tokenManager.describeUser(key, tokens),
+    client,
+    ...outcome
+  });
+  
+  res.status(outcome.success || action === 'test' ? 200 : 500).send(dashboardPage(title, `
+    <div class="${outcome.success ? 'success-icon' : 'error-icon'}">${outcome.success ? '✅' : '❌'}</div>
+    <h1 class="${outcome.success ? 'success-title' : 'error-title'}">${title}</h1>
+    <div class="user-badge">@${name} · ${escapeHtml(appName)} · ${escapeHtml(environment.toLowerCase())}</div>
+    <div style="color: #8892b0; max-width: 700px; margin: 1rem auto;">${details}</div>
+    <a href="/admin" class="home-link">← Back to Dashboard</a>
+  `));
+});
+
+module.exports = app;
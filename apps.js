@@ -0,0 +1,214 @@
+/**
+ * Apps - Registry of the eBay developer applications (keysets) this portal serves
+ *
+ * The "default" app comes from the EBAY_CLIENT_ID / EBAY_SANDBOX_CLIENT_ID
+ * family of variables. Further apps are listed as JSON in EBAY_APPS, or in
+ * a file named by EBAY_APPS_FILE:
+ *
+ *   {
+ *     "listings": {
+ *       "scopes": ["https://api.ebay.com/oauth/api_scope/sell.inventory"],
+ *       "appScopes": ["https://api.ebay.com/oauth/api_scope"],
+ *       "scopeProfiles": {
+ *         "fulfillment-only": ["https://api.ebay.com/oauth/api_scope/sell.fulfillment"]
+ *       },
+ *       "production": { "clientId": "...", "clientSecret": "...", "redirectUri": "..." },
+ *       "sandbox": { "clientId": "...", "clientSecret": "...", "redirectUri": "..." }
+ *     }
+ *   }
+ *
+ * scopes and appScopes default to EBAY_SCOPES and EBAY_APP_SCOPES; an app
+ * only needs a keyset for the environments it is used in.
+ *
+ * Scope profiles are named scope sets a login link can ask for
+ * (/auth/login?profile=fulfillment-only). Every app has a "default" profile
+ * holding its scopes; the default app reads further profiles from
+ * EBAY_SCOPE_PROFILES (JSON, same shape as scopeProfiles above).
+ */
+
+const fs = require('fs');
+const { ENVIRONMENTS, ENVIRONMENT, SCOPES, APP_SCOPES, parseScopes } = require('./config');
+const { createError } = require('./errors');
+
+const DEFAULT_APP = 'default';
+const DEFAULT_PROFILE = 'default';
+
+// App and profile names appear in URLs and storage keys
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+let registry = null;
+
+/**
+ * Read the default app's keyset for an environment from the environment
+ * variables. EBAY_<ENVIRONMENT>_* wins; the unprefixed variables belong to
+ * EBAY_ENVIRONMENT.
+ * @param {string} environment - "PRODUCTION" or "SANDBOX"
+ * @returns {Object} { clientId, clientSecret, redirectUri } (values may be undefined)
+ */
+function defaultKeyset(environment) {
+  const read = name => process.env[`EBAY_${environment}_${name}`]
+    || (environment === ENVIRONMENT ? process.env[`EBAY_${name}`] : undefined);
+  return {
+    clientId: read('CLIENT_ID'),
+    clientSecret: read('CLIENT_SECRET'),
+    redirectUri: read('REDIRECT_URI')
+  };
+}
+
+/**
+ * Normalize a scope list given as an array or a comma/space-separated string
+ * @param {string[]|string|undefined} value - Configured scopes
+ * @param {string[]} fallback - Scopes to use when none are configured
+ * @returns {string[]} Scopes
+ */
+function scopeList(value, fallback) {
+  const scopes = Array.isArray(value) ? value : parseScopes(value);
+  return scopes.length > 0 ? scopes : fallback;
+}
+
+/**
+ * Parse a JSON configuration value
+ * @param {string|undefined} source - JSON text
+ * @param {string} name - Where it came from, for error messages
+ * @returns {Object} Parsed object ({} when unset)
+ * @throws {Error} If the JSON can't be parsed
+ */
+function parseJson(source, name) {
+  if (!source) return {};
+
+  try {
+    return JSON.parse(source);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${name}: ${error.message}`);
+  }
+}
+
+/**
+ * Read the EBAY_APPS / EBAY_APPS_FILE configuration
+ * @returns {Object} Raw app configurations keyed by name
+ * @throws {Error} If the JSON can't be read or parsed
+ */
+function readConfig() {
+  if (process.env.EBAY_APPS_FILE) {
+    return parseJson(fs.readFileSync(process.env.EBAY_APPS_FILE, 'utf8'), 'EBAY_APPS_FILE');
+  }
+  return parseJson(process.env.EBAY_APPS, 'EBAY_APPS');
+}
+
+/**
+ * Build an app's scope profiles
+ * @param {string[]} scopes - The app's scopes (the "default" profile)
+ * @param {Object} [configured] - Profile name → scopes (array or list string)
+ * @returns {Object} Scope lists keyed by profile name
+ * @throws {Error} If a profile name is invalid or a profile has no scopes
+ */
+function buildProfiles(scopes, configured = {}) {
+  const profiles = { [DEFAULT_PROFILE]: scopes };
+  for (const [name, value] of Object.entries(configured)) {
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid scope profile name "${name}" (lowercase letters, digits, "-" and "_")`);
+    }
+    profiles[name] = scopeList(value, []);
+    if (profiles[name].length === 0) {
+      throw new Error(`Scope profile "${name}" has no scopes`);
+    }
+  }
+  return profiles;
+}
+
+/**
+ * Build the registry on first use
+ * @returns {Map} Apps keyed by name
+ */
+function getRegistry() {
+  if (registry) return registry;
+
+  const apps = new Map();
+  apps.set(DEFAULT_APP, {
+    name: DEFAULT_APP,
+    scopes: SCOPES,
+    appScopes: APP_SCOPES,
+    scopeProfiles: buildProfiles(SCOPES, parseJson(process.env.EBAY_SCOPE_PROFILES, 'EBAY_SCOPE_PROFILES')),
+    keysets: Object.fromEntries(ENVIRONMENTS.map(environment => [environment, defaultKeyset(environment)]))
+  });
+
+  for (const [name, config] of Object.entries(readConfig())) {
+    if (name === DEFAULT_APP || !NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid eBay app name "${name}" (lowercase letters, digits, "-" and "_"; "default" is reserved)`);
+    }
+    const keysets = {};
+    for (const environment of ENVIRONMENTS) {
+      keysets[environment] = { ...(config[environment.toLowerCase()] || {}) };
+    }
+    const scopes = scopeList(config.scopes, SCOPES);
+    apps.set(name, {
+      name,
+      scopes,
+      appScopes: scopeList(config.appScopes, APP_SCOPES),
+      scopeProfiles: buildProfiles(scopes, config.scopeProfiles),
+      keysets
+    });
+  }
+
+  registry = apps;
+  return registry;
+}
+
+/**
+ * Look up an app by name
+ * @param {string} [name] - App name (default "default")
+ * @returns {Object} { name, scopes, appScopes, scopeProfiles, keysets }
+ * @throws {Error} With code APP_UNKNOWN if no such app is configured
+ */
+function getApp(name = DEFAULT_APP) {
+  const app = getRegistry().get(name);
+  if (!app) {
+    throw createError('APP_UNKNOWN', 'Unknown eBay app', { app: name });
+  }
+  return app;
+}
+
+/**
+ * Look up one of an app's scope profiles
+ * @param {string} appName - App name
+ * @param {string} [profile] - Profile name (default "default")
+ * @returns {Object} { name, scopes }
+ * @throws {Error} With code SCOPE_PROFILE_UNKNOWN if the app has no such profile
+ */
+function getScopeProfile(appName, profile = DEFAULT_PROFILE) {
+  const { scopeProfiles } = getApp(appName);
+  if (!Object.prototype.hasOwnProperty.call(scopeProfiles, profile)) {
+    throw createError('SCOPE_PROFILE_UNKNOWN', 'Unknown scope profile', {
+      app: appName,
+      profiles: Object.keys(scopeProfiles)
+    });
+  }
+  return { name: profile, scopes: scopeProfiles[profile] };
+}
+
+/**
+ * List every configured app
+ * @returns {Object[]} Apps, default first
+ */
+function listApps() {
+  return [...getRegistry().values()];
+}
+
+/**
+ * Get an app's credentials for an environment
+ * @param {string} name - App name
+ * @param {string} environment - "PRODUCTION" or "SANDBOX"
+ * @returns {Object} { clientId, clientSecret, redirectUri } (values may be undefined)
+ */
+function getKeyset(name, environment) {
+  return getApp(name).keysets[environment] || {};
+}
+
+module.exports = {
+  DEFAULT_APP,
+  DEFAULT_PROFILE,
+  getApp,
+  getScopeProfile,
+  listApps,
+  getKeyset
+};
@@ -0,0 +1,69 @@
+/**
+ * File Audit Sink
+ *
+ * Appends one JSON object per line to AUDIT_LOG_FILE (default: audit.log in
+ * TOKEN_STORE_DIR or the project root). Queries read the whole file, which
+ * is fine for local development; rotate or ship the file elsewhere if it
+ * grows large.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Resolve the log file path
+ * @returns {string} Absolute path
+ */
+function getLogFile() {
+  if (process.env.AUDIT_LOG_FILE) {
+    return path.resolve(process.env.AUDIT_LOG_FILE);
+  }
+  return path.join(process.env.TOKEN_STORE_DIR || path.join(__dirname, '..'), 'audit.log');
+}
+
+/**
+ * Create a file-backed audit sink
+ * @returns {Object} Audit sink
+ */
+function createFileSink() {
+  const filePath = getLogFile();
+
+  // Appends are chained so lines from concurrent events never interleave
+  let queue = Promise.resolve();
+
+  return {
+    sink: 'file',
+
+    write(entry) {
+      const run = queue.then(() => fs.promises.appendFile(filePath, `${JSON.stringify(entry)}\n`));
+      queue = run.catch(() => {});
+      return run;
+    },
+
+    async query(filter, matches) {
+      let data = '';
+      try {
+        data = await fs.promises.readFile(filePath, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+
+      const results = [];
+      const lines = data.split('\n');
+      for (let i = lines.length - 1; i >= 0 && results.length < filter.limit; i--) {
+        if (!lines[i]) continue;
+        let entry;
+        try {
+          entry = JSON.parse(lines[i]);
+        } catch (error) {
+          continue; // Skip a line torn by a crash mid-write
+        }
+        if (matches(entry, filter)) results.push(entry);
+      }
+      return results;
+    }
+  };
+}
+
+module.exports = { createFileSink };
@@ -0,0 +1,162 @@
+/**
+ * Audit - Structured log of token lifecycle and other security-relevant events
+ *
+ * Every event becomes one JSON object:
+ *
+ *   { "id": "...", "type": "token_refreshed", "timestamp": 1700000000000,
+ *     "username": "seller1", "app": "default", "environment": "PRODUCTION", ... }
+ *
+ * Secrets are redacted before an entry reaches a sink. Sinks implement a
+ * small contract:
+ *
+ *   write(entry)          - Append an entry
+ *   query(filter, matches)
+ *                         - Resolve to the newest filter.limit entries for
+ *                           which matches(entry, filter) is true, newest first
+ *
+ * The sink is chosen with AUDIT_SINK ("file", "redis", "stdout" or
+ * "memory"). When unset it follows the token store: Redis with Redis,
+ * memory with memory, otherwise a JSON lines file.
+ */
+
+const crypto = require('crypto');
+const { getDriver } = require('../stores');
+const { createFileSink } = require('./fileSink');
+const { createRedisSink } = require('./redisSink');
+const { createStdoutSink } = require('./stdoutSink');
+const { createMemorySink } = require('./memorySink');
+
+const SINKS = ['file', 'redis', 'stdout', 'memory'];
+
+const REDACTED = '[REDACTED]';
+
+// Detail fields that may hold secrets, matched on the end of the field name
+const SECRET_FIELD_PATTERN = /(token|secret|password|authorization|cookie|code)$/i;
+
+// Values that look like eBay OAuth tokens or our own API keys
+const SECRET_VALUE_PATTERN = /v\^1\.1#|\bek_[0-9a-f]+_[A-Za-z0-9_-]+/;
+
+let sink = null;
+
+/**
+ * Resolve the configured sink
+ * @returns {string} Sink name
+ */
+function getSinkName() {
+  if (process.env.AUDIT_SINK) {
+    const name = process.env.AUDIT_SINK.toLowerCase();
+    if (!SINKS.includes(name)) {
+      throw new Error(`Unknown AUDIT_SINK "${name}" (expected one of: ${SINKS.join(', ')})`);
+    }
+    return name;
+  }
+  const driver = getDriver();
+  return driver === 'redis' || driver === 'memory' ? driver : 'file';
+}
+
+/**
+ * Get the audit sink, creating it from configuration on first use
+ * @returns {Object} Audit sink
+ */
+function getSink() {
+  if (!sink) {
+    const name = getSinkName();
+    if (name === 'redis') {
+      sink = createRedisSink();
+    } else if (name === 'stdout') {
+      sink = createStdoutSink();
+    } else if (name === 'memory') {
+      sink = createMemorySink();
+    } else {
+      sink = createFileSink();
+    }
+  }
+  return sink;
+}
+
+/**
+ * Replace the audit sink (e.g. with a memory sink in tests)
+ * @param {Object} replacement - Sink implementing write() and query()
+ */
+function useSink(replacement) {
+  sink = replacement;
+}
+
+/**
+ * Redact secrets from event details, recursively
+ * @param {*} value - Detail value
+ * @param {string} [field] - Name of the field holding the value
+ * @returns {*} Value safe to log
+ */
+function redact(value, field = '') {
+  if (typeof value === 'string') {
+    return SECRET_FIELD_PATTERN.test(field) || SECRET_VALUE_PATTERN.test(value) ? REDACTED : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redact(item, key)]));
+  }
+  return value;
+}
+
+/**
+ * Check whether an entry matches a query filter
+ * @param {Object} entry - Audit entry
+ * @param {Object} filter
+ * @param {string} [filter.username] - Only events about this eBay user
+ * @param {string} [filter.type] - Only events of this type
+ * @param {string} [filter.client] - Only events caused by this API key (ID or name)
+ * @param {number} [filter.from] - Earliest timestamp (ms, inclusive)
+ * @param {number} [filter.to] - Latest timestamp (ms, inclusive)
+ * @returns {boolean} True if it matches
+ */
+function matches(entry, filter) {
+  if (filter.username && entry.username !== filter.username) return false;
+  if (filter.type && entry.type !== filter.type) return false;
+  if (filter.client && (!entry.client || (entry.client.id !== filter.client && entry.client.name !== filter.client))) {
+    return false;
+  }
+  if (filter.from !== undefined && entry.timestamp < filter.from) return false;
+  if (filter.to !== undefined && entry.timestamp > filter.to) return false;
+  return true;
+}
+
+/**
+ * Record an audit event. Never throws: a failing sink must not break the
+ * operation being audited.
+ * @param {string} type - Event type, e.g. "account_deletion"
+ * @param {Object} [details] - Event details (secrets are redacted)
+ * @returns {Promise<Object>} The recorded entry
+ */
+async function record(type, details = {}) {
+  const timestamp = Date.now();
+  const id = `${timestamp}-${crypto.randomBytes(4).toString('hex')}`;
+  const entry = { id, type, timestamp, ...redact(details) };
+
+  try {
+    await getSink().write(entry);
+  } catch (error) {
+    console.error(`❌ Could not write audit event ${type}:`, error.message);
+  }
+  return entry;
+}
+
+/**
+ * Query recorded events
+ * @param {Object} [filter] - See matches(), plus:
+ * @param {number} [filter.limit] - Maximum entries to return (default 100)
+ * @returns {Promise<Object[]>} Matching entries, newest first
+ */
+async function query(filter = {}) {
+  return getSink().query({ limit: 100, ...filter }, matches);
+}
+
+module.exports = {
+  SINKS,
+  record,
+  query,
+  redact,
+  useSink
+};
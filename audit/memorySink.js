@@ -0,0 +1,36 @@
+/**
+ * In-Memory Audit Sink
+ *
+ * Keeps entries in process memory, up to AUDIT_MAX_ENTRIES (default 10000).
+ * Everything is lost on restart - handy for tests.
+ */
+
+const DEFAULT_MAX_ENTRIES = 10000;
+
+/**
+ * Create an in-memory audit sink
+ * @returns {Object} Audit sink
+ */
+function createMemorySink() {
+  const maxEntries = Number(process.env.AUDIT_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES;
+  const entries = [];
+
+  return {
+    sink: 'memory',
+
+    async write(entry) {
+      entries.push(JSON.parse(JSON.stringify(entry)));
+      if (entries.length > maxEntries) entries.shift();
+    },
+
+    async query(filter, matches) {
+      const results = [];
+      for (let i = entries.length - 1; i >= 0 && results.length < filter.limit; i--) {
+        if (matches(entries[i], filter)) results.push(JSON.parse(JSON.stringify(entries[i])));
+      }
+      return results;
+    }
+  };
+}
+
+module.exports = { createMemorySink };
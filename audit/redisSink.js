@@ -0,0 +1,63 @@
+/**
+ * Redis Audit Sink
+ *
+ * Appends entries to the Redis stream "ebay_audit", capped at roughly
+ * AUDIT_MAX_ENTRIES (default 100000). Stream IDs start with the write time
+ * in milliseconds, so time-range queries read only the range asked for.
+ */
+
+const { getRedis } = require('../stores/redisStore');
+
+const STREAM_KEY = 'ebay_audit';
+const DEFAULT_MAX_ENTRIES = 100000;
+
+// Entries fetched per round trip while filtering
+const PAGE_SIZE = 500;
+
+/**
+ * Get the stream ID just before another (XREVRANGE's end is inclusive)
+ * @param {string} id - Stream ID "<ms>-<seq>"
+ * @returns {string} Preceding ID
+ */
+function previousId(id) {
+  const [ms, seq] = id.split('-').map(BigInt);
+  return seq > 0n ? `${ms}-${seq - 1n}` : `${ms - 1n}-18446744073709551615`;
+}
+
+/**
+ * Create a Redis stream audit sink
+ * @returns {Object} Audit sink
+ */
+function createRedisSink() {
+  const maxEntries = Number(process.env.AUDIT_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES;
+
+  return {
+    sink: 'redis',
+
+    async write(entry) {
+      const client = await getRedis();
+      await client.xadd(STREAM_KEY, 'MAXLEN', '~', maxEntries, '*', 'entry', JSON.stringify(entry));
+    },
+
+    async query(filter, matches) {
+      const client = await getRedis();
+      const results = [];
+      let end = filter.to !== undefined ? String(filter.to) : '+';
+      const start = filter.from !== undefined ? String(filter.from) : '-';
+
+      while (results.length < filter.limit) {
+        const page = await client.xrevrange(STREAM_KEY, end, start, 'COUNT', PAGE_SIZE);
+        for (const [, fields] of page) {
+          const entry = JSON.parse(fields[fields.indexOf('entry') + 1]);
+          if (matches(entry, filter)) results.push(entry);
+          if (results.length === filter.limit) break;
+        }
+        if (page.length < PAGE_SIZE) break;
+        end = previousId(page[page.length - 1][0]);
+      }
+      return results;
+    }
+  };
+}
+
+module.exports = { createRedisSink };
@@ -0,0 +1,28 @@
+/**
+ * Stdout Audit Sink
+ *
+ * Writes one JSON line per event to stdout for a log collector (e.g. Vercel
+ * log drains) to pick up. Entries can't be queried back from here.
+ */
+
+const { createError } = require('../errors');
+
+/**
+ * Create a stdout audit sink
+ * @returns {Object} Audit sink
+ */
+function createStdoutSink() {
+  return {
+    sink: 'stdout',
+
+    async write(entry) {
+      process.stdout.write(`${JSON.stringify({ audit: true, ...entry })}\n`);
+    },
+
+    async query() {
+      throw createError('AUDIT_NOT_QUERYABLE', 'AUDIT_SINK=stdout does not support queries; search your log collector instead');
+    }
+  };
+}
+
+module.exports = { createStdoutSink };
@@ -0,0 +1,321 @@
+#!/usr/bin/env node
+/**
+ * ebay-oauth - Command-line token administration
+ *
+ * Works directly against the token store configured in .env (file or Redis),
+ * or against a deployed portal through its API when --url (or
+ * EBAY_OAUTH_URL) is given:
+ *
+ *   ebay-oauth users list --env sandbox
+ *   ebay-oauth token get seller1
+ *   ebay-oauth token refresh seller1 --url https://your-project.vercel.app --key ek_...
+ *   EBAY_OAUTH_PASSPHRASE=... ebay-oauth export --out backup.json
+ *   ebay-oauth doctor --json
+ *
+ * Output is a table (or plain text) by default and JSON with --json.
+ * Exit codes: 0 success, 1 failure, 2 usage error.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { createError } = require('../errors');
+const { isBundle } = require('../tokenBundles');
+
+const USAGE = `Usage: ebay-oauth <command> [options]
+
+Commands:
+  users list                 List authorized users
+  token get <user>           Print a valid access token (refreshed if needed)
+  token refresh <user>       Refresh a user's access token now
+  token delete <user>        Delete a user's tokens
+  export                     Print an encrypted bundle of every token record
+  import <file>              Import a bundle or plaintext records ("-" reads stdin)
+  doctor                     Check configuration, storage and token health
+
+Options:
+  --app <name>               App (default: "default")
+  --env <production|sandbox> Environment (default: EBAY_ENVIRONMENT)
+  --status <status>          users list: only "active" or "needs_reauth" users
+  --tenant <id>              users list: only users of this tenant
+  --out <file>               export: write to a file instead of stdout
+  --plaintext                export: write records with plaintext tokens, unencrypted
+  --passphrase-file <file>   Bundle passphrase (default: EBAY_OAUTH_PASSPHRASE)
+  --conflict <strategy>      import: "skip" (default), "overwrite" or "keep-newest"
+                             for users that already exist
+  --dry-run                  import: only report what would change
+  --json                     Print JSON instead of tables
+  --url <url>                Use a remote portal (default: EBAY_OAUTH_URL)
+  --key <credential>         API key or API_SECRET for --url (default: EBAY_OAUTH_API_KEY)
+  -h, --help                 Show this help`;
+
+const OPTIONS = {
+  app: { type: 'string' },
+  env: { type: 'string' },
+  status: { type: 'string' },
+  tenant: { type: 'string' },
+  out: { type: 'string' },
+  plaintext: { type: 'boolean' },
+  'passphrase-file': { type: 'string' },
+  conflict: { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  json: { type: 'boolean' },
+  url: { type: 'string' },
+  key: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Format a timestamp for tables
+ * @param {number|null} timestamp - Milliseconds since the epoch
+ * @returns {string} ISO time without milliseconds, or "-"
+ */
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString().replace(/\.\d{3}Z$/, 'Z') : '-';
+}
+
+/**
+ * Lay out rows as a left-aligned text table
+ * @param {Array<Array>} columns - [header, (row) => value] pairs
+ * @param {Object[]} rows - Rows
+ * @returns {string} Table text
+ */
+function formatTable(columns, rows) {
+  const cells = [
+    columns.map(([header]) => header),
+    ...rows.map(row => columns.map(([, value]) => {
+      const cell = value(row);
+      return cell === null || cell === undefined || cell === '' ? '-' : String(cell);
+    }))
+  ];
+  const widths = columns.map((column, index) => Math.max(...cells.map(line => line[index].length)));
+  return cells
+    .map(line => line.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd())
+    .join('\n');
+}
+
+/**
+ * Describe a user for one-line messages
+ * @param {Object} result - { username, app, environment }
+ * @returns {string} e.g. "seller1 (default, PRODUCTION)"
+ */
+function userLabel({ username, app, environment }) {
+  return `${username} (${app}, ${environment})`;
+}
+
+/**
+ * Read the JSON file given to import
+ * @param {string} file - Path, or "-" for stdin
+ * @returns {Object} Parsed records
+ * @throws {Error} With code USAGE if the file can't be read or parsed
+ */
+function readImportFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+  } catch (error) {
+    throw createError('USAGE', `Cannot read ${file}: ${error.message}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw createError('USAGE', `${file} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Read the bundle passphrase from --passphrase-file or EBAY_OAUTH_PASSPHRASE.
+ * It is never taken from the command line, where other users could see it.
+ * @param {Object} options - Parsed options
+ * @returns {string} Passphrase
+ * @throws {Error} With code USAGE if none is configured
+ */
+function readPassphrase(options) {
+  if (options['passphrase-file']) {
+    try {
+      return fs.readFileSync(options['passphrase-file'], 'utf8').replace(/\r?\n$/, '');
+    } catch (error) {
+      throw createError('USAGE', `Cannot read ${options['passphrase-file']}: ${error.message}`);
+    }
+  }
+  if (process.env.EBAY_OAUTH_PASSPHRASE) {
+    return process.env.EBAY_OAUTH_PASSPHRASE;
+  }
+  throw createError('USAGE', 'Bundles need a passphrase: set EBAY_OAUTH_PASSPHRASE or pass --passphrase-file (or export --plaintext)');
+}
+
+/**
+ * Require a positional argument
+ * @param {string|undefined} value - Argument
+ * @param {string} name - Name for the error message
+ * @returns {string} The argument
+ * @throws {Error} With code USAGE if missing
+ */
+function required(value, name) {
+  if (!value) {
+    throw createError('USAGE', `Missing <${name}>`);
+  }
+  return value;
+}
+
+// Each command resolves to { data, text, exitCode }: data is printed with
+// --json, text otherwise
+const COMMANDS = {
+  'users list': async (client, args, options) => {
+    const users = await client.listUsers({
+      app: options.app,
+      env: options.env,
+      status: options.status,
+      tenantId: options.tenant
+    });
+    const table = formatTable([
+      ['USERNAME', user => user.username],
+      ['USER ID', user => user.userId],
+      ['APP', user => user.app],
+      ['ENV', user => user.environment],
+      ['TENANT', user => user.tenantId],
+      ['STATUS', user => user.status],
+      ['ACCESS TOKEN EXPIRES', user => (user.isExpired ? 'expired' : formatTime(user.expiresAt))],
+      ['REFRESH TOKEN EXPIRES', user => formatTime(user.refreshTokenExpiresAt)]
+    ], users);
+    return { data: users, text: `${table}\n\n${users.length} user(s)` };
+  },
+
+  'token get': async (client, args, options) => {
+    const result = await client.getToken(required(args[0], 'user'), options);
+    // Plain output is just the token, for $(ebay-oauth token get seller1)
+    return { data: result, text: result.accessToken };
+  },
+
+  'token refresh': async (client, args, options) => {
+    const result = await client.refreshToken(required(args[0], 'user'), options);
+    return { data: result, text: `✅ Refreshed ${userLabel(result)}; access token valid until ${formatTime(result.expiresAt)}` };
+  },
+
+  'token delete': async (client, args, options) => {
+    const result = await client.deleteToken(required(args[0], 'user'), options);
+    return {
+      data: result,
+      text: `🗑️  Deleted tokens for ${userLabel(result)}; the seller can withdraw the app's access in their eBay account settings`
+    };
+  },
+
+  'export': async (client, args, options) => {
+    const exported = options.plaintext
+      ? await client.exportTokens()
+      : await client.exportBundle(readPassphrase(options));
+    if (!options.out) {
+      return { data: exported, text: JSON.stringify(exported, null, 2) };
+    }
+    // Even a bundle is only as strong as its passphrase; keep it private to this user
+    fs.writeFileSync(options.out, JSON.stringify(exported, null, 2) + '\n', { mode: 0o600 });
+    fs.chmodSync(options.out, 0o600);
+    const count = options.plaintext ? Object.keys(exported).length : exported.count;
+    return {
+      data: { file: options.out, count, encrypted: !options.plaintext },
+      text: options.plaintext
+        ? `📦 Exported ${count} record(s) to ${options.out} - it contains plaintext tokens, keep it safe`
+        : `📦 Exported an encrypted bundle of ${count} record(s) to ${options.out}`
+    };
+  },
+
+  'import': async (client, args, options) => {
+    const input = readImportFile(required(args[0], 'file'));
+    const importOptions = { conflict: options.conflict, dryRun: Boolean(options['dry-run']) };
+    const result = isBundle(input)
+      ? await client.importBundle(input, readPassphrase(options), importOptions)
+      : await client.importTokens(input, importOptions);
+
+    const counts = `${result.created} created, ${result.overwritten} overwritten, ${result.skipped} skipped`;
+    const lines = result.dryRun
+      ? [`🔍 Dry run of ${result.total} record(s), conflict strategy "${result.conflict}": would have ${counts}`]
+      : [`📥 Imported ${result.total} record(s), conflict strategy "${result.conflict}": ${counts}`];
+    if (result.dryRun && result.changes.length > 0) {
+      lines.push('', formatTable([
+        ['ACTION', change => change.action],
+        ['KEY', change => change.key],
+        ['USERNAME', change => change.username],
+        ['REASON', change => change.reason]
+      ], result.changes));
+    }
+    for (const { key, error } of result.invalid) {
+      lines.push(`❌ ${key}: ${error}`);
+    }
+    return { data: result, text: lines.join('\n'), exitCode: result.invalid.length > 0 ? 1 : 0 };
+  },
+
+  'doctor': async (client) => {
+    const checks = await client.doctor();
+    const table = formatTable([
+      ['CHECK', check => check.check],
+      ['STATUS', check => check.status],
+      ['DETAIL', check => check.detail]
+    ], checks);
+    const failed = checks.some(check => check.status === 'fail');
+    return { data: { source: client.name, ok: !failed, checks }, text: `Checking ${client.name}\n\n${table}`, exitCode: failed ? 1 : 0 };
+  }
+};
+
+/**
+ * Create the client the command runs against
+ * @param {Object} options - Parsed options
+ * @returns {Object} Local or remote CLI client
+ */
+function createClient(options) {
+  const url = options.url || process.env.EBAY_OAUTH_URL;
+  if (url) {
+    const { createRemoteClient } = require('./remoteClient');
+    return createRemoteClient({ url, credential: options.key || process.env.EBAY_OAUTH_API_KEY });
+  }
+  const { createLocalClient } = require('./localClient');
+  return createLocalClient();
+}
+
+/**
+ * Write output and exit. Waiting for the write keeps large exports from
+ * being cut off when stdout is a pipe; exiting closes Redis connections.
+ * @param {NodeJS.WritableStream} stream - stdout or stderr
+ * @param {string} text - Output
+ * @param {number} exitCode - Process exit code
+ */
+function finish(stream, text, exitCode) {
+  stream.write(`${text}\n`, () => process.exit(exitCode));
+}
+
+/**
+ * Run the command line
+ * @param {string[]} argv - Arguments after "node cli/index.js"
+ */
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    return finish(process.stderr, `❌ ${error.message}\n\n${USAGE}`, 2);
+  }
+  const { values: options, positionals } = parsed;
+
+  if (options.help || positionals.length === 0) {
+    return finish(options.help ? process.stdout : process.stderr, USAGE, options.help ? 0 : 2);
+  }
+
+  const name = [`${positionals[0]} ${positionals[1]}`, positionals[0]].find(candidate => COMMANDS[candidate]);
+  if (!name) {
+    return finish(process.stderr, `❌ Unknown command: ${positionals.join(' ')}\n\n${USAGE}`, 2);
+  }
+  const args = positionals.slice(name.split(' ').length);
+
+  // Shared modules log progress with console.log; keep stdout for results
+  console.log = console.error;
+
+  try {
+    const client = createClient(options);
+    const { data, text, exitCode = 0 } = await COMMANDS[name](client, args, options);
+    finish(process.stdout, options.json ? JSON.stringify(data, null, 2) : text, exitCode);
+  } catch (error) {
+    finish(process.stderr, `❌ ${error.message}`, error.code === 'USAGE' ? 2 : 1);
+  }
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,222 @@
+/**
+ * Local CLI Client - Works directly against the configured token store
+ *
+ * Uses the same modules as the server, so TOKEN_STORE, REDIS_URL,
+ * TOKEN_ENCRYPTION_KEY and the eBay credentials come from .env just like
+ * they do for server.js. Every operation is recorded in the audit log with
+ * the client { id: "cli" }.
+ */
+
+const tokenManager = require('../tokenManager');
+const tokenBundles = require('../tokenBundles');
+const tokenHealth = require('../tokenHealth');
+const audit = require('../audit');
+const { ENVIRONMENTS, API_SECRET, parseEnvironment } = require('../config');
+const { DEFAULT_APP, getApp, listApps } = require('../apps');
+const { isConfigured } = require('../ebayClient');
+const { getDriver, ping } = require('../stores');
+const tokenCrypto = require('../tokenCrypto');
+const { createError } = require('../errors');
+
+// Audit client for operations run from the command line
+const CLI_CLIENT = { id: 'cli', name: 'ebay-oauth' };
+
+/**
+ * Resolve --app and --env to a known app and environment
+ * @param {Object} target - { app, env }
+ * @returns {Object} { app, environment }
+ * @throws {Error} With code APP_UNKNOWN or INVALID_TARGET
+ */
+function resolveTarget(target = {}) {
+  const app = getApp(target.app || DEFAULT_APP).name;
+  const environment = parseEnvironment(target.env);
+  if (!environment) {
+    throw createError('INVALID_TARGET', `Unknown environment "${target.env}" (expected production or sandbox)`);
+  }
+  return { app, environment };
+}
+
+/**
+ * Find a stored user
+ * @param {string} user - eBay username or user ID
+ * @param {Object} target - { app, env }
+ * @returns {Promise<Object>} { key, tokens, app, environment }
+ * @throws {Error} With code USER_NOT_FOUND
+ */
+async function findUser(user, target) {
+  const { app, environment } = resolveTarget(target);
+  const found = await tokenManager.findTokens(user, environment, app);
+  if (!found) {
+    throw createError('USER_NOT_FOUND', `No ${app} ${environment} tokens for user: ${user}`);
+  }
+  return { ...found, app, environment };
+}
+
+/**
+ * Record an import in the audit log
+ * @param {Object} result - Result of tokenManager.importTokens()
+ * @param {boolean} encrypted - Whether the records came from a bundle
+ */
+async function recordImport(result, encrypted) {
+  await audit.record('tokens_imported', {
+    encrypted,
+    conflict: result.conflict,
+    dryRun: result.dryRun,
+    total: result.total,
+    created: result.created,
+    overwritten: result.overwritten,
+    skipped: result.skipped,
+    invalid: result.invalid.length,
+    client: CLI_CLIENT
+  });
+}
+
+/**
+ * Create a client for the local token store
+ * @returns {Object} CLI client
+ */
+function createLocalClient() {
+  return {
+    name: `local ${getDriver()} store`,
+
+    async listUsers(filter = {}) {
+      const target = resolveTarget(filter);
+      const statuses = [tokenManager.STATUS_ACTIVE, tokenManager.STATUS_NEEDS_REAUTH];
+      if (filter.status && !statuses.includes(filter.status)) {
+        throw createError('INVALID_TARGET', `Unknown status "${filter.status}" (expected one of: ${statuses.join(', ')})`);
+      }
+      const matchKey = key => {
+        const { app, environment } = tokenManager.parseTokenKey(key);
+        return (!filter.app || app === target.app) &&
+          (!filter.env || environment === target.environment);
+      };
+      const match = (key, tokens) =>
+        (!filter.status || tokenManager.tokenStatus(tokens) === filter.status) &&
+        (!filter.tenantId || tokens.tenantId === filter.tenantId);
+
+      const users = [];
+      let cursor;
+      do {
+        const page = await tokenManager.listTokens({ matchKey, match, sort: 'username', cursor, limit: 1000 });
+        users.push(...page.records.map(({ key, record }) => tokenManager.summarizeUser(key, record)));
+        cursor = page.nextCursor;
+      } while (cursor);
+      return users;
+    },
+
+    async getToken(user, target) {
+      const found = await findUser(user, target);
+      const { accessToken, expiresAt, refreshed } = await tokenManager.getValidAccessToken(found.key);
+      const { username } = found.tokens;
+      await audit.record('token_read', { username, app: found.app, environment: found.environment, client: CLI_CLIENT, refreshed });
+      return { username, app: found.app, environment: found.environment, accessToken, expiresAt, refreshed };
+    },
+
+    async refreshToken(user, target) {
+      const found = await findUser(user, target);
+      const { expiresAt } = await tokenManager.getValidAccessToken(found.key, { force: true });
+      return { username: found.tokens.username, app: found.app, environment: found.environment, expiresAt };
+    },
+
+    async deleteToken(user, target) {
+      const found = await findUser(user, target);
+      await tokenManager.deleteTokens(found.key, { reason: 'cli' });
+
+      const { username } = found.tokens;
+      await audit.record('tokens_deleted', {
+        username,
+        app: found.app,
+        environment: found.environment,
+        client: CLI_CLIENT
+      });
+      return { username, app: found.app, environment: found.environment };
+    },
+
+    async exportTokens() {
+      const tokens = await tokenManager.loadTokens();
+      await audit.record('tokens_exported', { count: Object.keys(tokens).length, client: CLI_CLIENT });
+      return tokens;
+    },
+
+    async exportBundle(passphrase) {
+      const bundle = await tokenBundles.exportBundle(passphrase);
+      await audit.record('tokens_exported', { count: bundle.count, encrypted: true, client: CLI_CLIENT });
+      return bundle;
+    },
+
+    async importTokens(records, options = {}) {
+      const result = await tokenManager.importTokens(records, options);
+      await recordImport(result, false);
+      return result;
+    },
+
+    async importBundle(bundle, passphrase, options = {}) {
+      const result = await tokenBundles.importBundle(bundle, passphrase, options);
+      await recordImport(result, true);
+      return result;
+    },
+
+    async doctor() {
+      const checks = [];
+
+      const configured = [];
+      for (const ebayApp of listApps()) {
+        for (const environment of ENVIRONMENTS) {
+          if (isConfigured(environment, ebayApp.name)) configured.push(`${ebayApp.name} ${environment}`);
+        }
+      }
+      checks.push(configured.length > 0
+        ? { check: 'ebay_credentials', status: 'ok', detail: configured.join(', ') }
+        : { check: 'ebay_credentials', status: 'fail', detail: 'No app has a client ID and secret' });
+
+      checks.push(API_SECRET
+        ? { check: 'api_secret', status: 'ok', detail: 'API_SECRET is set' }
+        : { check: 'api_secret', status: 'warn', detail: 'API_SECRET is not set; only API keys can call the API' });
+
+      try {
+        checks.push(tokenCrypto.isEnabled()
+          ? { check: 'encryption', status: 'ok', detail: 'TOKEN_ENCRYPTION_KEY is set' }
+          : { check: 'encryption', status: 'warn', detail: 'TOKEN_ENCRYPTION_KEY is not set; tokens are stored in plaintext' });
+      } catch (error) {
+        checks.push({ check: 'encryption', status: 'fail', detail: error.message });
+        return checks;
+      }
+
+      const store = await ping();
+      checks.push(store.ok
+        ? { check: 'token_store', status: 'ok', detail: `${store.driver} (${store.latencyMs}ms)` }
+        : { check: 'token_store', status: 'fail', detail: `${store.driver}: ${store.error}` });
+      if (!store.ok) return checks;
+
+      // Read-only from here on: records under legacy keys are reported, not migrated
+      try {
+        const { total, legacy, stale } = await tokenManager.inspectTokens();
+        checks.push(stale === 0
+          ? { check: 'token_records', status: 'ok', detail: `${total} record(s) readable` }
+          : { check: 'token_records', status: 'warn', detail: `${stale} record(s) need re-encryption (POST /api/tokens/reencrypt)` });
+        if (legacy > 0) {
+          checks.push({
+            check: 'legacy_keys',
+            status: 'warn',
+            detail: `${legacy} record(s) stored under keys from before apps; they move to current keys the next time tokens are listed`
+          });
+        }
+      } catch (error) {
+        checks.push({ check: 'token_records', status: 'fail', detail: error.message });
+        return checks;
+      }
+
+      const { summary } = await tokenHealth.checkTokens({ refresh: false, migrate: false });
+      const unhealthy = summary.needs_reauth + summary.scope_missing;
+      checks.push({
+        check: 'token_health',
+        status: unhealthy === 0 ? 'ok' : 'warn',
+        detail: `${summary.total} user(s): ${summary.healthy} healthy, ${summary.expired_refreshable} expired, ` +
+          `${summary.needs_reauth} need re-authorization, ${summary.scope_missing} missing scopes`
+      });
+      return checks;
+    }
+  };
+}
+
+module.exports = { createLocalClient };
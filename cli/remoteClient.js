@@ -0,0 +1,178 @@
+/**
+ * Remote CLI Client - Works against a deployed portal through its API
+ *
+ * Needs the portal URL and a credential: an API key ("ek_...", sent as
+ * X-API-Key) or the root API_SECRET (sent as X-API-Secret). Each command
+ * needs the permission of the route it calls, e.g. "list" for users list
+ * and "admin" for export and import.
+ */
+
+const { createError } = require('../errors');
+
+// How long to wait for the portal before giving up
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Create a client for a remote portal
+ * @param {Object} options
+ * @param {string} options.url - Portal base URL, e.g. "https://your-project.vercel.app"
+ * @param {string} options.credential - API key or API_SECRET
+ * @returns {Object} CLI client
+ */
+function createRemoteClient({ url, credential }) {
+  if (!credential) {
+    throw createError('USAGE', 'A remote portal needs a credential: pass --key or set EBAY_OAUTH_API_KEY');
+  }
+  const base = url.replace(/\/+$/, '');
+  const authHeaders = credential.startsWith('ek_')
+    ? { 'X-API-Key': credential }
+    : { 'X-API-Secret': credential };
+
+  /**
+   * Call the portal API
+   * @param {string} method - HTTP method
+   * @param {string} path - Path, e.g. "/api/users"
+   * @param {Object} [options]
+   * @param {Object} [options.query] - Query parameters; undefined values are left out
+   * @param {Object} [options.body] - JSON body
+   * @returns {Promise<Object>} Parsed JSON response
+   * @throws {Error} With code REMOTE_ERROR (and status) on a non-2xx response
+   */
+  async function request(method, path, { query = {}, body } = {}) {
+    const target = new URL(base + path);
+    for (const [name, value] of Object.entries(query)) {
+      if (value !== undefined && value !== null) target.searchParams.set(name, value);
+    }
+
+    let response;
+    try {
+      response = await fetch(target, {
+        method,
+        headers: { ...authHeaders, ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}) },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+    } catch (error) {
+      throw createError('REMOTE_ERROR', `Could not reach ${base}: ${error.message}`);
+    }
+
+    const text = await response.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (error) {
+      // Not JSON (e.g. a proxy error page); reported below
+    }
+    if (!response.ok) {
+      const message = (data && data.error) || `HTTP ${response.status}`;
+      throw createError('REMOTE_ERROR', `${method} ${path} failed: ${message}`, { status: response.status, response: data });
+    }
+    if (data === null) {
+      throw createError('REMOTE_ERROR', `${method} ${path} returned no JSON`, { status: response.status });
+    }
+    return data;
+  }
+
+  return {
+    name: base,
+
+    async listUsers(filter = {}) {
+      const users = [];
+      let cursor;
+      do {
+        const page = await request('GET', '/api/users', {
+          query: {
+            app: filter.app,
+            env: filter.env,
+            status: filter.status,
+            tenantId: filter.tenantId,
+            sort: 'username',
+            limit: 1000,
+            cursor
+          }
+        });
+        users.push(...page.users);
+        cursor = page.nextCursor;
+      } while (cursor);
+      return users;
+    },
+
+    async getToken(user, target = {}) {
+      const { username, app, environment, accessToken, expiresAt, refreshed } =
+        await request('GET', `/api/get-token/${encodeURIComponent(user)}`, { query: { app: target.app, env: target.env } });
+      return { username, app, environment, accessToken, expiresAt, refreshed };
+    },
+
+    async refreshToken(user, target = {}) {
+      const { username, app, environment, expiresAt } =
+        await request('POST', `/api/tokens/${encodeURIComponent(user)}/refresh`, { query: { app: target.app, env: target.env } });
+      return { username, app, environment, expiresAt };
+    },
+
+    async deleteToken(user, target = {}) {
+      const { username, app, environment } = await request('DELETE', `/api/tokens/${encodeURIComponent(user)}`, {
+        query: { app: target.app, env: target.env }
+      });
+      return { username, app, environment };
+    },
+
+    async exportTokens() {
+      return request('GET', '/api/tokens');
+    },
+
+    async exportBundle(passphrase) {
+      return request('POST', '/api/tokens/export', { body: { passphrase } });
+    },
+
+    async importTokens(records, options = {}) {
+      const { success: _, ...result } = await request('POST', '/api/tokens/import', {
+        query: { conflict: options.conflict, dryRun: options.dryRun ? 'true' : undefined },
+        body: records
+      });
+      return result;
+    },
+
+    async importBundle(bundle, passphrase, options = {}) {
+      return this.importTokens({ bundle, passphrase }, options);
+    },
+
+    async doctor() {
+      const checks = [];
+
+      let health;
+      try {
+        const response = await fetch(`${base}/health`, { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+        health = await response.json();
+      } catch (error) {
+        checks.push({ check: 'portal', status: 'fail', detail: `Could not reach ${base}: ${error.message}` });
+        return checks;
+      }
+      checks.push({ check: 'portal', status: 'ok', detail: base });
+      checks.push(health.status === 'ok'
+        ? { check: 'token_store', status: 'ok', detail: `${health.store.driver} (${health.store.latencyMs}ms)` }
+        : { check: 'token_store', status: 'fail', detail: `${health.store.driver}: ${health.store.error}` });
+      if (health.status !== 'ok') return checks;
+
+      let result;
+      try {
+        result = await request('GET', '/api/health/tokens', { query: { refresh: 'false' } });
+      } catch (error) {
+        checks.push({ check: 'credential', status: 'fail', detail: error.message });
+        return checks;
+      }
+      checks.push({ check: 'credential', status: 'ok', detail: 'Accepted by the portal' });
+
+      const { summary } = result;
+      const unhealthy = summary.needs_reauth + summary.scope_missing;
+      checks.push({
+        check: 'token_health',
+        status: unhealthy === 0 ? 'ok' : 'warn',
+        detail: `${summary.total} user(s): ${summary.healthy} healthy, ${summary.expired_refreshable} expired, ` +
+          `${summary.needs_reauth} need re-authorization, ${summary.scope_missing} missing scopes`
+      });
+      return checks;
+    }
+  };
+}
+
+module.exports = { createRemoteClient };
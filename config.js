@@ -0,0 +1,57 @@
+/**
+ * Shared configuration read from environment variables
+ *
+ * Load .env (dotenv) before requiring this module when running locally.
+ */
+
+const DEFAULT_SCOPES = ['https://api.ebay.com/oauth/api_scope'];
+
+/**
+ * Split a comma/space-separated scope list
+ * @param {string|string[]} [value] - Raw scope list, or several (e.g. a
+ *                                    query parameter given more than once)
+ * @returns {string[]} Scopes (empty if none)
+ */
+function parseScopes(value) {
+  return [].concat(value || [])
+    .filter(item => typeof item === 'string')
+    .flatMap(item => item.split(/[,\s]+/))
+    .filter(s => s.length > 0);
+}
+
+// eBay environments one deployment can serve
+const ENVIRONMENTS = ['PRODUCTION', 'SANDBOX'];
+
+// Default environment, used when a request doesn't name one
+const ENVIRONMENT = (process.env.EBAY_ENVIRONMENT || 'PRODUCTION').toUpperCase();
+const API_SECRET = process.env.API_SECRET;
+const SCOPES = process.env.EBAY_SCOPES 
+  ? parseScopes(process.env.EBAY_SCOPES)
+  : DEFAULT_SCOPES;
+
+// Scopes allowed for application (client credentials) tokens
+const APP_SCOPES = process.env.EBAY_APP_SCOPES
+  ? parseScopes(process.env.EBAY_APP_SCOPES)
+  : DEFAULT_SCOPES;
+
+/**
+ * Normalize an environment name (e.g. from ?env=sandbox)
+ * @param {string} [value] - Environment name, any case
+ * @returns {string|null} "PRODUCTION" or "SANDBOX", the default environment
+ *                        when value is empty, or null if unknown
+ */
+function parseEnvironment(value) {
+  if (!value) return ENVIRONMENT;
+  const environment = String(value).toUpperCase();
+  return ENVIRONMENTS.includes(environment) ? environment : null;
+}
+
+module.exports = {
+  ENVIRONMENTS,
+  ENVIRONMENT,
+  API_SECRET,
+  SCOPES,
+  APP_SCOPES,
+  parseScopes,
+  parseEnvironment
+};
@@ -0,0 +1,75 @@
+/**
+ * Default Accounts - Which eBay user a request without a username acts for
+ *
+ * One default per app and environment, kept in the "default_account" store
+ * and managed through /api/default-account. Nothing is ever picked
+ * implicitly: without a configured default, callers must name the user.
+ */
+
+const { createStore } = require('./stores');
+
+/**
+ * Get the default account store
+ * @returns {Object} Storage adapter
+ */
+function getStore() {
+  return createStore('default_account');
+}
+
+/**
+ * Build the store ID for an app and environment
+ * @param {string} app - App name
+ * @param {string} environment - "PRODUCTION" or "SANDBOX"
+ * @returns {string} Store ID, e.g. "default:sandbox"
+ */
+function settingId(app, environment) {
+  return `${app}:${environment.toLowerCase()}`;
+}
+
+/**
+ * Get the default account of an app and environment
+ * @param {string} app - App name
+ * @param {string} environment - "PRODUCTION" or "SANDBOX"
+ * @returns {Promise<Object|null>} { username, userId, app, environment, updatedAt, updatedBy } or null
+ */
+async function getDefaultAccount(app, environment) {
+  return getStore().get(settingId(app, environment));
+}
+
+/**
+ * Set the default account of an app and environment
+ * @param {string} app - App name
+ * @param {string} environment - "PRODUCTION" or "SANDBOX"
+ * @param {Object} user - { username, userId } of the account (userId is null
+ *                        for records saved before identities were tracked)
+ * @param {Object|null} [updatedBy] - API key making the change ({ id, name })
+ * @returns {Promise<Object>} The stored setting
+ */
+async function setDefaultAccount(app, environment, user, updatedBy = null) {
+  const setting = {
+    username: user.username,
+    userId: user.userId || null,
+    app,
+    environment,
+    updatedAt: Date.now(),
+    updatedBy
+  };
+  await getStore().save(settingId(app, environment), setting);
+  return setting;
+}
+
+/**
+ * Remove the default account of an app and environment
+ * @param {string} app - App name
+ * @param {string} environment - "PRODUCTION" or "SANDBOX"
+ * @returns {Promise<Object|null>} The removed setting, or null if none was set
+ */
+async function clearDefaultAccount(app, environment) {
+  return getStore().take(settingId(app, environment));
+}
+
+module.exports = {
+  getDefaultAccount,
+  setDefaultAccount,
+  clearDefaultAccount
+};
@@ -0,0 +1,143 @@
+/**
+ * eBay Client - Shared OAuth clients and eBay API helpers
+ *
+ * Every app in the registry (see apps.js) has its own keyset per
+ * environment, and so its own OAuth client.
+ */
+
+const EbayAuthToken = require('ebay-oauth-nodejs-client');
+const { ENVIRONMENT } = require('./config');
+const { DEFAULT_APP, getKeyset } = require('./apps');
+const { createError } = require('./errors');
+
+// OAuth clients by app and environment, created on first use
+const authClients = new Map();
+
+// APIs served from the apiz.* hosts instead of api.*
+const APIZ_PREFIXES = ['commerce/identity/', 'sell/finances/'];
+
+// Identity lookups right after a token exchange are retried: 500ms, 1s, 2s
+const IDENTITY_ATTEMPTS = 4;
+const IDENTITY_RETRY_DELAY_MS = 500;
+
+/**
+ * Check whether an app has a client ID and secret for an environment
+ * @param {string} environment - "PRODUCTION" or "SANDBOX"
+ * @param {string} [app] - App name (default "default")
+ * @returns {boolean} True if configured
+ */
+function isConfigured(environment, app = DEFAULT_APP) {
+  const { clientId, clientSecret } = getKeyset(app, environment);
+  return Boolean(clientId && clientSecret);
+}
+
+/**
+ * Get the eBay OAuth client for an app and environment
+ * @param {string} [environment] - "PRODUCTION" or "SANDBOX" (default EBAY_ENVIRONMENT)
+ * @param {string} [app] - App name (default "default")
+ * @returns {Object} EbayAuthToken instance
+ * @throws {Error} With code APP_UNKNOWN, or ENVIRONMENT_NOT_CONFIGURED if
+ *                 the app has no keyset for the environment
+ */
+function getAuthClient(environment = ENVIRONMENT, app = DEFAULT_APP) {
+  const cacheKey = `${app}:${environment}`;
+  if (!authClients.has(cacheKey)) {
+    if (!isConfigured(environment, app)) {
+      throw createError('ENVIRONMENT_NOT_CONFIGURED', `No eBay credentials configured for app "${app}" in ${environment}`);
+    }
+    const { clientId, clientSecret, redirectUri } = getKeyset(app, environment);
+    authClients.set(cacheKey, new EbayAuthToken({ env: environment, clientId, clientSecret, redirectUri }));
+  }
+  return authClients.get(cacheKey);
+}
+
+/**
+ * Get the eBay API base URL for a resource path
+ * @param {string} path - Resource path, e.g. "sell/account/v1/privilege"
+ * @param {string} [environment] - "PRODUCTION" or "SANDBOX" (default EBAY_ENVIRONMENT)
+ * @returns {string} Base URL without trailing slash
+ */
+function getApiBaseUrl(path, environment = ENVIRONMENT) {
+  const normalized = path.replace(/^\/+/, '');
+  const subdomain = APIZ_PREFIXES.some(prefix => normalized.startsWith(prefix)) ? 'apiz' : 'api';
+  return environment === 'PRODUCTION'
+    ? `https://${subdomain}.ebay.com`
+    : `https://${subdomain}.sandbox.ebay.com`;
+}
+
+/**
+ * Parse a token endpoint response. The OAuth client resolves with the raw
+ * body even when eBay reports an error, so check for one explicitly.
+ * @param {string|Object} response - Response from ebayAuthToken
+ * @returns {Object} Parsed token data
+ * @throws {Error} With code set to eBay's OAuth error (e.g. "invalid_grant")
+ */
+function parseTokenResponse(response) {
+  const data = typeof response === 'string' ? JSON.parse(response) : response;
+  if (!data || data.error || !data.access_token) {
+    const reason = (data && (data.error_description || data.error)) || 'Invalid token response from eBay';
+    throw createError((data && data.error) || 'invalid_response', reason);
+  }
+  return data;
+}
+
+/**
+ * Fetch the identity of the eBay user who owns an access token. Network
+ * errors, timeouts, 429s and 5xx responses are retried with exponential
+ * backoff; other failures (e.g. a missing identity scope) are not.
+ * @param {string} accessToken - User access token
+ * @param {string} [environment] - Environment the token was issued in
+ * @param {Object} [options]
+ * @param {number} [options.attempts] - Total attempts (default 4)
+ * @param {number} [options.baseDelayMs] - Delay before the first retry, doubled each time (default 500)
+ * @returns {Promise<Object>} { userId, username, accountType, registrationMarketplaceId, accountStatus }
+ */
+async function getEbayIdentity(accessToken, environment = ENVIRONMENT, options = {}) {
+  const { attempts = IDENTITY_ATTEMPTS, baseDelayMs = IDENTITY_RETRY_DELAY_MS } = options;
+  const path = 'commerce/identity/v1/user/';
+  const apiUrl = `${getApiBaseUrl(path, environment)}/${path}`;
+
+  for (let attempt = 1; ; attempt++) {
+    let retryable;
+    let error;
+    try {
+      const response = await fetch(apiUrl, {
+        headers: { 'Authorization': `Bearer ${accessToken}` },
+        signal: AbortSignal.timeout(10 * 1000)
+      });
+      if (response.ok) {
+        const data = await response.json();
+        if (!data.userId || !data.username) {
+          throw createError('IDENTITY_UNAVAILABLE', 'eBay returned an identity without a user ID or username');
+        }
+        return {
+          userId: data.userId,
+          username: data.username,
+          accountType: data.accountType || null,
+          registrationMarketplaceId: data.registrationMarketplaceId || null,
+          accountStatus: data.status || null
+        };
+      }
+      const body = await response.text();
+      retryable = response.status === 429 || response.status >= 500;
+      error = createError('IDENTITY_UNAVAILABLE', `Failed to get user info (HTTP ${response.status}): ${body.slice(0, 300)}`);
+    } catch (fetchError) {
+      if (fetchError.code === 'IDENTITY_UNAVAILABLE') throw fetchError;
+      retryable = true;
+      error = createError('IDENTITY_UNAVAILABLE', `Failed to get user info: ${fetchError.message}`);
+    }
+
+    if (!retryable || attempt >= attempts) throw error;
+    const delayMs = baseDelayMs * 2 ** (attempt - 1);
+    console.warn(`⚠️ ${error.message} - retrying in ${delayMs}ms (attempt ${attempt + 1}/${attempts})`);
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+  }
+}
+
+module.exports = {
+  isConfigured,
+  getAuthClient,
+  getApiBaseUrl,
+  parseTokenResponse,
+  getEbayIdentity
+};
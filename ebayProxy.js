@@ -0,0 +1,150 @@
+/**
+ * eBay Proxy - Forward backend requests to eBay with a user's access token
+ *
+ * Backend services call /api/proxy/:username/<eBay resource path> instead of
+ * fetching tokens themselves, so raw tokens never leave this server.
+ */
+
+const { getApiBaseUrl } = require('./ebayClient');
+const { createError } = require('./errors');
+
+const PROXY_TIMEOUT_MS = 30 * 1000;
+
+// Our own query parameters, used to pick the user's record
+const STRIPPED_QUERY_PARAMS = ['app', 'env'];
+
+// Request headers never forwarded to eBay (hop-by-hop, our own credentials,
+// or values fetch sets itself)
+const STRIPPED_REQUEST_HEADERS = new Set([
+  'host',
+  'connection',
+  'keep-alive',
+  'content-length',
+  'transfer-encoding',
+  'accept-encoding',
+  'authorization',
+  'cookie',
+  'x-api-secret',
+  'x-api-key',
+  'forwarded',
+  'x-real-ip'
+]);
+
+// Response headers never passed back (fetch already decoded the body)
+const STRIPPED_RESPONSE_HEADERS = new Set([
+  'connection',
+  'keep-alive',
+  'content-length',
+  'content-encoding',
+  'transfer-encoding',
+  'set-cookie'
+]);
+
+/**
+ * Copy the caller's headers that are safe to send to eBay
+ * @param {Object} headers - Incoming request headers
+ * @returns {Object} Headers to forward
+ */
+function forwardableHeaders(headers) {
+  const forwarded = {};
+  for (const [name, value] of Object.entries(headers)) {
+    const lower = name.toLowerCase();
+    if (STRIPPED_REQUEST_HEADERS.has(lower) || lower.startsWith('x-forwarded-') || lower.startsWith('x-vercel-')) {
+      continue;
+    }
+    forwarded[lower] = value;
+  }
+  return forwarded;
+}
+
+/**
+ * Turn the parsed Express body back into bytes for forwarding
+ * @param {Object} req - Express request (JSON-parsed or raw body)
+ * @returns {Buffer|string|undefined} Request body
+ */
+function requestBody(req) {
+  if (req.method === 'GET' || req.method === 'HEAD') return undefined;
+  if (Buffer.isBuffer(req.body)) return req.body.length > 0 ? req.body : undefined;
+  if (req.body && typeof req.body === 'object' && req.is('application/json')) {
+    return JSON.stringify(req.body);
+  }
+  return undefined;
+}
+
+/**
+ * Take the raw query string from a request, minus our own parameters.
+ * Other parameters are passed through byte-for-byte.
+ * @param {Object} req - Express request
+ * @returns {string} Query string including "?", or ""
+ */
+function forwardableQuery(req) {
+  const queryIndex = req.originalUrl.indexOf('?');
+  if (queryIndex < 0) return '';
+
+  const params = req.originalUrl
+    .slice(queryIndex + 1)
+    .split('&')
+    .filter(param => param.length > 0 && !STRIPPED_QUERY_PARAMS.includes(param.split('=')[0]));
+  return params.length > 0 ? `?${params.join('&')}` : '';
+}
+
+/**
+ * Build the proxied request (everything except the access token)
+ * @param {Object} req - Express request for /api/proxy/:username/*
+ * @param {string} environment - The user's eBay environment
+ * @returns {Object} { url, method, headers, body }
+ */
+function buildRequest(req, environment) {
+  const path = req.params[0] || '';
+
+  return {
+    url: `${getApiBaseUrl(path, environment)}/${path}${forwardableQuery(req)}`,
+    method: req.method,
+    headers: forwardableHeaders(req.headers),
+    body: requestBody(req)
+  };
+}
+
+/**
+ * Send a proxied request to eBay
+ * @param {Object} request - From buildRequest()
+ * @param {string} accessToken - User access token to inject
+ * @returns {Promise<Response>} eBay response
+ * @throws {Error} With code UPSTREAM_TIMEOUT or UPSTREAM_ERROR if eBay can't be reached
+ */
+async function send(request, accessToken) {
+  try {
+    return await fetch(request.url, {
+      method: request.method,
+      headers: { ...request.headers, authorization: `Bearer ${accessToken}` },
+      body: request.body,
+      signal: AbortSignal.timeout(PROXY_TIMEOUT_MS)
+    });
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw createError('UPSTREAM_TIMEOUT', `eBay did not respond within ${PROXY_TIMEOUT_MS / 1000}s`);
+    }
+    throw createError('UPSTREAM_ERROR', `Could not reach eBay: ${error.cause ? error.cause.message : error.message}`);
+  }
+}
+
+/**
+ * Relay an eBay response to the caller
+ * @param {Response} response - eBay response
+ * @param {Object} res - Express response
+ */
+async function relay(response, res) {
+  res.status(response.status);
+  response.headers.forEach((value, name) => {
+    if (!STRIPPED_RESPONSE_HEADERS.has(name.toLowerCase())) {
+      res.setHeader(name, value);
+    }
+  });
+  res.send(Buffer.from(await response.arrayBuffer()));
+}
+
+module.exports = {
+  buildRequest,
+  send,
+  relay
+};
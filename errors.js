@@ -0,0 +1,22 @@
+/**
+ * Errors - Shared helper for errors that carry a machine-readable code
+ *
+ * Routes map codes to HTTP responses, so callers can tell e.g. an expired
+ * authorization apart from an unexpected failure.
+ */
+
+/**
+ * Build an error with a code (and optional extra properties)
+ * @param {string} code - Reason code, e.g. "NEEDS_REAUTH"
+ * @param {string} message - Human-readable message
+ * @param {Object} [details] - Extra properties to attach
+ * @returns {Error} Error with a code property
+ */
+function createError(code, message, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+}
+
+module.exports = { createError };
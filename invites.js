@@ -0,0 +1,194 @@
+/**
+ * Invites - Single-use login links that bind an authorization to a tenant
+ *
+ * A tenant is one of our customers. An invite names the tenant, the app,
+ * environment and scope profile to authorize, and optionally the eBay
+ * username the seller is expected to sign in as. Invite links look like:
+ *
+ *   /auth/invite/inv_<id>_<secret>
+ *
+ * Only a SHA-256 hash of the secret is stored ("invite" store). The invite
+ * rides through the OAuth state to /auth/callback and is taken there, so it
+ * completes exactly one authorization; a sign-in with the wrong eBay account
+ * leaves it usable. Expired invites are pruned when listed.
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./stores');
+const { parseEnvironment } = require('./config');
+const { DEFAULT_APP, DEFAULT_PROFILE, getApp, getScopeProfile } = require('./apps');
+const { createError } = require('./errors');
+
+// Tenant IDs appear in records, filters and audit entries
+const TENANT_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+
+const DEFAULT_EXPIRES_IN_HOURS = 72;
+const MAX_EXPIRES_IN_HOURS = 30 * 24;
+
+/**
+ * Get the invite store
+ * @returns {Object} Storage adapter
+ */
+function getStore() {
+  return createStore('invite');
+}
+
+/**
+ * Hash an invite secret for storage/comparison
+ * @param {string} secret - Invite secret
+ * @returns {string} Hex digest
+ */
+function hash(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Strip secrets from a stored invite
+ * @param {Object} record - Stored invite
+ * @returns {Object} Public view of the invite
+ */
+function describe(record) {
+  const { hash: _, ...rest } = record;
+  return rest;
+}
+
+/**
+ * Check whether a string is a valid tenant ID
+ * @param {*} tenantId - Candidate tenant ID
+ * @returns {boolean} True if valid
+ */
+function isValidTenantId(tenantId) {
+  return typeof tenantId === 'string' && TENANT_PATTERN.test(tenantId);
+}
+
+/**
+ * Create an invite
+ * @param {Object} options
+ * @param {string} options.tenantId - Tenant the authorization will belong to
+ * @param {string} [options.expectedUsername] - eBay username the seller must sign in as
+ * @param {string} [options.app] - App name (default "default")
+ * @param {string} [options.env] - "production" or "sandbox" (default EBAY_ENVIRONMENT)
+ * @param {string} [options.profile] - Scope profile (default "default")
+ * @param {number} [options.expiresInHours] - Lifetime (default 72, at most 30 days)
+ * @param {Object|null} [options.createdBy] - API key creating it ({ id, name })
+ * @returns {Promise<Object>} { token, ...description } - token is only returned here
+ * @throws {Error} With code INVALID_INVITE, APP_UNKNOWN or SCOPE_PROFILE_UNKNOWN
+ */
+async function createInvite(options = {}) {
+  const { tenantId, expectedUsername, createdBy = null } = options;
+  if (!isValidTenantId(tenantId)) {
+    throw createError('INVALID_INVITE', 'tenantId is required (letters, digits, ".", "-" and "_", up to 64 characters)');
+  }
+  if (expectedUsername !== undefined && expectedUsername !== null &&
+      (typeof expectedUsername !== 'string' || !expectedUsername.trim())) {
+    throw createError('INVALID_INVITE', 'expectedUsername must be a non-empty string');
+  }
+
+  const expiresInHours = options.expiresInHours === undefined ? DEFAULT_EXPIRES_IN_HOURS : Number(options.expiresInHours);
+  if (!Number.isFinite(expiresInHours) || expiresInHours <= 0 || expiresInHours > MAX_EXPIRES_IN_HOURS) {
+    throw createError('INVALID_INVITE', `expiresInHours must be a number between 0 and ${MAX_EXPIRES_IN_HOURS}`);
+  }
+
+  const environment = parseEnvironment(options.env);
+  if (!environment) {
+    throw createError('INVALID_INVITE', 'env must be "production" or "sandbox"');
+  }
+  const app = getApp(options.app || DEFAULT_APP);
+  const profile = getScopeProfile(app.name, options.profile || DEFAULT_PROFILE);
+
+  const id = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const now = Date.now();
+  const record = {
+    id,
+    hash: hash(secret),
+    tenantId,
+    expectedUsername: expectedUsername ? expectedUsername.trim() : null,
+    app: app.name,
+    environment,
+    scopeProfile: profile.name,
+    createdAt: now,
+    expiresAt: now + expiresInHours * 60 * 60 * 1000,
+    createdBy
+  };
+
+  await getStore().save(id, record);
+  return { token: `inv_${id}_${secret}`, ...describe(record) };
+}
+
+/**
+ * Look up the invite an invite token belongs to, without using it up
+ * @param {string} token - Token from the invite link
+ * @returns {Promise<Object>} Invite description
+ * @throws {Error} With code INVITE_INVALID (unknown, revoked or already used)
+ *                 or INVITE_EXPIRED
+ */
+async function findInvite(token) {
+  const match = /^inv_([0-9a-f]+)_([A-Za-z0-9_-]+)$/.exec(String(token || ''));
+  const record = match ? await getStore().get(match[1]) : null;
+  if (!record) {
+    throw createError('INVITE_INVALID', 'This invite link is invalid or has already been used.');
+  }
+
+  const expected = Buffer.from(record.hash, 'hex');
+  const provided = Buffer.from(hash(match[2]), 'hex');
+  if (!crypto.timingSafeEqual(expected, provided)) {
+    throw createError('INVITE_INVALID', 'This invite link is invalid or has already been used.');
+  }
+  if (Date.now() >= record.expiresAt) {
+    throw createError('INVITE_EXPIRED', 'This invite link has expired. Please ask for a new one.');
+  }
+  return describe(record);
+}
+
+/**
+ * Use up an invite. Atomic, so only one authorization can redeem it.
+ * @param {string} id - Invite ID
+ * @returns {Promise<Object|null>} Invite description, or null if already used,
+ *                                 revoked or expired
+ */
+async function redeemInvite(id) {
+  const record = await getStore().take(id);
+  if (!record || Date.now() >= record.expiresAt) return null;
+  return describe(record);
+}
+
+/**
+ * List outstanding invites, pruning expired ones
+ * @param {Object} [filter]
+ * @param {string} [filter.tenantId] - Only invites for this tenant
+ * @returns {Promise<Object[]>} Invite descriptions, oldest first
+ */
+async function listInvites(filter = {}) {
+  const records = await getStore().list();
+  const now = Date.now();
+  const invites = [];
+  for (const record of Object.values(records)) {
+    if (now >= record.expiresAt) {
+      await getStore().delete(record.id);
+      continue;
+    }
+    if (filter.tenantId && record.tenantId !== filter.tenantId) continue;
+    invites.push(describe(record));
+  }
+  return invites.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Revoke an outstanding invite
+ * @param {string} id - Invite ID
+ * @returns {Promise<Object|null>} Revoked invite description, or null if not found
+ */
+async function revokeInvite(id) {
+  const record = await getStore().take(id);
+  return record ? describe(record) : null;
+}
+
+module.exports = {
+  isValidTenantId,
+  createInvite,
+  findInvite,
+  redeemInvite,
+  listInvites,
+  revokeInvite
+};
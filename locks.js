@@ -0,0 +1,156 @@
+/**
+ * Locks - Keep concurrent work on the same key from running twice
+ *
+ * singleFlight() collapses concurrent calls within this process onto one
+ * shared promise. acquireLock()/releaseLock() coordinate across processes:
+ * with the Redis store they use SET NX PX, so separate serverless invocations
+ * see each other's locks; with file or memory storage the lock is local.
+ */
+
+const crypto = require('crypto');
+const { getDriver } = require('./stores');
+const { getRedis } = require('./stores/redisStore');
+
+const LOCK_PREFIX = 'ebay_lock:';
+const POLL_INTERVAL_MS = 100;
+
+// Delete the lock only if we still own it (it may have expired and been retaken)
+const RELEASE_SCRIPT = `
+  if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('del', KEYS[1])
+  end
+  return 0
+`;
+
+const inFlight = new Map();
+const localLocks = new Map();
+
+/**
+ * Run a task, sharing one in-flight promise between concurrent callers
+ * @param {string} key - Work identifier
+ * @param {Function} task - Async function to run
+ * @returns {Promise<*>} Task result
+ */
+function singleFlight(key, task) {
+  if (inFlight.has(key)) {
+    return inFlight.get(key);
+  }
+  const promise = Promise.resolve()
+    .then(task)
+    .finally(() => inFlight.delete(key));
+  inFlight.set(key, promise);
+  return promise;
+}
+
+/**
+ * Try to take a lock without waiting
+ * @param {string} key - Lock name
+ * @param {number} ttlMs - Auto-release after this long (guards against crashes)
+ * @returns {Promise<string|null>} Ownership token, or null if already held
+ */
+async function acquireLock(key, ttlMs) {
+  const token = crypto.randomBytes(16).toString('hex');
+
+  if (getDriver() === 'redis') {
+    const client = await getRedis();
+    const result = await client.set(`${LOCK_PREFIX}${key}`, token, 'PX', ttlMs, 'NX');
+    return result === 'OK' ? token : null;
+  }
+
+  const held = localLocks.get(key);
+  if (held && Date.now() < held.expiresAt) {
+    return null;
+  }
+  localLocks.set(key, { token, expiresAt: Date.now() + ttlMs });
+  return token;
+}
+
+/**
+ * Release a lock taken with acquireLock()
+ * @param {string} key - Lock name
+ * @param {string} token - Ownership token from acquireLock()
+ */
+async function releaseLock(key, token) {
+  if (getDriver() === 'redis') {
+    const client = await getRedis();
+    await client.eval(RELEASE_SCRIPT, 1, `${LOCK_PREFIX}${key}`, token);
+    return;
+  }
+
+  const held = localLocks.get(key);
+  if (held && held.token === token) {
+    localLocks.delete(key);
+  }
+}
+
+/**
+ * Check whether a lock is currently held
+ * @param {string} key - Lock name
+ * @returns {Promise<boolean>} True if held
+ */
+async function isLocked(key) {
+  if (getDriver() === 'redis') {
+    const client = await getRedis();
+    return (await client.exists(`${LOCK_PREFIX}${key}`)) === 1;
+  }
+
+  const held = localLocks.get(key);
+  return Boolean(held) && Date.now() < held.expiresAt;
+}
+
+/**
+ * Wait until a lock is released
+ * @param {string} key - Lock name
+ * @param {number} timeoutMs - Give up after this long
+ * @returns {Promise<boolean>} True if released, false on timeout
+ */
+async function waitForUnlock(key, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (await isLocked(key)) {
+    if (Date.now() >= deadline) return false;
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+  return true;
+}
+
+/**
+ * Run a task while holding a lock. Callers that find the lock taken wait for
+ * its release and then try reuse() - typically re-reading what the holder
+ * stored - before competing for the lock again.
+ * @param {string} key - Lock name
+ * @param {Function} task - Async function to run while holding the lock
+ * @param {Function} reuse - Async function resolving to a usable result, or null
+ * @param {Object} options
+ * @param {number} options.ttlMs - Lock auto-release time
+ * @param {number} options.waitMs - Give up after waiting this long
+ * @returns {Promise<*>} Result of task() or reuse()
+ */
+async function withLock(key, task, reuse, { ttlMs, waitMs }) {
+  const deadline = Date.now() + waitMs;
+
+  while (Date.now() < deadline) {
+    const token = await acquireLock(key, ttlMs);
+    if (token) {
+      try {
+        return await task();
+      } finally {
+        await releaseLock(key, token);
+      }
+    }
+
+    await waitForUnlock(key, deadline - Date.now());
+    const result = await reuse();
+    if (result) return result;
+  }
+
+  throw new Error(`Timed out waiting for lock: ${key}`);
+}
+
+module.exports = {
+  singleFlight,
+  withLock,
+  acquireLock,
+  releaseLock,
+  isLocked,
+  waitForUnlock
+};
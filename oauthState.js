@@ -0,0 +1,99 @@
+/**
+ * OAuth State - CSRF protection for the authorization code flow
+ *
+ * /auth/login issues a state value that eBay echoes back to /auth/callback:
+ *
+ *   <nonce>.<expiresAt>.<signature>
+ *
+ * The signature (HMAC-SHA256 with STATE_SECRET, falling back to API_SECRET)
+ * stops forged values, the timestamp bounds its lifetime, and the nonce is
+ * stored server-side and taken on use so each value works exactly once.
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./stores');
+const { createError } = require('./errors');
+
+// How long a user has to complete the eBay consent screen
+const STATE_TTL_SECONDS = 10 * 60;
+
+/**
+ * Get the secret used to sign state values
+ * @returns {string} Signing secret
+ */
+function getSecret() {
+  const secret = process.env.STATE_SECRET || process.env.API_SECRET;
+  if (!secret) {
+    throw new Error('STATE_SECRET (or API_SECRET) must be set to sign OAuth state');
+  }
+  return secret;
+}
+
+/**
+ * Sign the nonce and expiry of a state value
+ * @param {string} nonce - Random nonce
+ * @param {number} expiresAt - Expiry timestamp (ms)
+ * @returns {string} Signature
+ */
+function sign(nonce, expiresAt) {
+  return crypto
+    .createHmac('sha256', getSecret())
+    .update(`${nonce}.${expiresAt}`)
+    .digest('base64url');
+}
+
+/**
+ * Issue a new single-use state value
+ * @param {Object} [data] - Extra context to carry through the OAuth round-trip
+ * @returns {Promise<Object>} { state, nonce, expiresAt }
+ */
+async function createState(data = {}) {
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  const expiresAt = Date.now() + STATE_TTL_SECONDS * 1000;
+
+  await createStore('state').save(nonce, { ...data, expiresAt }, { ttlSeconds: STATE_TTL_SECONDS });
+
+  return { state: `${nonce}.${expiresAt}.${sign(nonce, expiresAt)}`, nonce, expiresAt };
+}
+
+/**
+ * Verify a state value returned by eBay and mark it as used
+ * @param {string} state - State value from the callback
+ * @returns {Promise<Object>} The data stored with the state, plus its nonce
+ * @throws {Error} With code STATE_MISSING, STATE_INVALID, STATE_EXPIRED or STATE_USED
+ */
+async function consumeState(state) {
+  if (!state) {
+    throw createError('STATE_MISSING', 'The authorization response did not include a state value.');
+  }
+
+  const [nonce, expiresAtRaw, signature] = String(state).split('.');
+  const expiresAt = Number(expiresAtRaw);
+  if (!nonce || !signature || !Number.isFinite(expiresAt)) {
+    throw createError('STATE_INVALID', 'The authorization state value is malformed.');
+  }
+
+  const expected = Buffer.from(sign(nonce, expiresAt));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    throw createError('STATE_INVALID', 'The authorization state value failed verification.');
+  }
+
+  if (Date.now() >= expiresAt) {
+    throw createError('STATE_EXPIRED', 'The authorization request expired. Please start again.');
+  }
+
+  const record = await createStore('state').take(nonce);
+  if (!record) {
+    throw createError('STATE_USED', 'This authorization response has already been used.');
+  }
+
+  const { expiresAt: _, ...data } = record;
+  return { ...data, nonce };
+}
+
+module.exports = {
+  STATE_TTL_SECONDS,
+  createState,
+  consumeState
+};
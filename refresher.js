@@ -0,0 +1,132 @@
+/**
+ * Refresher - Proactively refresh access tokens before they expire
+ *
+ * Walks every stored user and refreshes tokens expiring within the refresh
+ * window, so API callers rarely pay refresh latency and eBay outages are
+ * absorbed off the request path. Runs on an interval in server.js and from
+ * the cron-triggered /api/cron/refresh route on Vercel.
+ *
+ *   REFRESH_WINDOW_MINUTES    - Refresh tokens expiring within this window (default 30)
+ *   REFRESH_INTERVAL_MINUTES  - Scheduler interval for server.js (default 10, 0 disables)
+ */
+
+const tokenManager = require('./tokenManager');
+const locks = require('./locks');
+
+const DEFAULT_WINDOW_MINUTES = 30;
+const DEFAULT_INTERVAL_MINUTES = 10;
+
+// Records read per page while walking the store
+const PAGE_SIZE = 500;
+
+/**
+ * Read a non-negative number of minutes from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Default when unset or invalid
+ * @returns {number} Minutes
+ */
+function minutesFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Refresh one user if their access token expires within the window
+ * @param {string} key - Token key
+ * @param {Object} tokens - Token record (secrets are not needed)
+ * @param {number} windowMs - Refresh window
+ * @returns {Promise<Object>} { username, app, environment, status, expiresAt?, error? }
+ */
+async function refreshUser(key, tokens, windowMs) {
+  const { app, environment } = tokenManager.parseTokenKey(key);
+  const { username } = tokens;
+
+  if (tokenManager.needsReauth(tokens)) {
+    return { username, app, environment, status: 'needs_reauth' };
+  }
+  if (!tokenManager.hasExpired(tokens, windowMs)) {
+    return { username, app, environment, status: 'skipped', expiresAt: tokens.expiresAt };
+  }
+
+  try {
+    const { expiresAt, refreshed } = await tokenManager.getValidAccessToken(key, {
+      minValidityMs: windowMs
+    });
+    return { username, app, environment, status: refreshed ? 'refreshed' : 'skipped', expiresAt };
+  } catch (error) {
+    return {
+      username,
+      app,
+      environment,
+      status: error.code === 'NEEDS_REAUTH' ? 'needs_reauth' : 'failed',
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Refresh every user whose access token expires within the window
+ * @param {Object} [options]
+ * @param {number} [options.windowMinutes] - Override REFRESH_WINDOW_MINUTES
+ * @returns {Promise<Object>} { windowMinutes, summary, results }
+ */
+async function refreshExpiringTokens(options = {}) {
+  const windowMinutes = options.windowMinutes !== undefined
+    ? options.windowMinutes
+    : minutesFromEnv('REFRESH_WINDOW_MINUTES', DEFAULT_WINDOW_MINUTES);
+  const windowMs = windowMinutes * 60 * 1000;
+
+  // Overlapping runs (slow eBay, short interval) share one pass
+  return locks.singleFlight('refresher', async () => {
+    const results = [];
+
+    // Page through records without their secrets; only the users that are
+    // due are decrypted, by getValidAccessToken()
+    let cursor;
+    do {
+      const page = await tokenManager.listTokens({ cursor, limit: PAGE_SIZE });
+      for (const { key, record } of page.records) {
+        results.push(await refreshUser(key, record, windowMs));
+      }
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    const summary = { total: results.length };
+    for (const result of results) {
+      summary[result.status] = (summary[result.status] || 0) + 1;
+    }
+    return { windowMinutes, summary, results };
+  });
+}
+
+/**
+ * Start refreshing on an interval (long-running servers only)
+ * @returns {Object|null} Interval handle, or null if disabled
+ */
+function startScheduler() {
+  const intervalMinutes = minutesFromEnv('REFRESH_INTERVAL_MINUTES', DEFAULT_INTERVAL_MINUTES);
+  if (intervalMinutes === 0) {
+    return null;
+  }
+
+  const run = async () => {
+    try {
+      const { summary } = await refreshExpiringTokens();
+      if (summary.refreshed || summary.failed || summary.needs_reauth) {
+        console.log('🔁 Proactive refresh:', summary);
+      }
+    } catch (error) {
+      console.error('❌ Proactive refresh failed:', error.message);
+    }
+  };
+
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+  run();
+  return timer;
+}
+
+module.exports = {
+  refreshExpiringTokens,
+  startScheduler
+};
@@ -0,0 +1,91 @@
+/**
+ * Return To - Send the browser back to the calling application after OAuth
+ *
+ * /auth/login?return_to=<url> carries the URL through the OAuth state; the
+ * callback then redirects there instead of rendering its own page:
+ *
+ *   https://app.example.com/onboarding?status=success&username=seller1&app=default&environment=PRODUCTION
+ *   https://app.example.com/onboarding?status=error&error=authorization_failed
+ *
+ * Only URLs on an origin listed in RETURN_TO_ORIGINS (comma-separated, e.g.
+ * "https://app.example.com") are accepted, so the portal can't be used as
+ * an open redirect. Tokens are never added to the URL.
+ */
+
+const { createError } = require('./errors');
+
+// Outcomes reported in the status parameter
+const STATUS_SUCCESS = 'success';
+const STATUS_DENIED = 'denied';
+const STATUS_ERROR = 'error';
+
+/**
+ * Read the allowed origins
+ * @returns {string[]} Origins, e.g. ["https://app.example.com"]
+ * @throws {Error} If an entry is not an http(s) origin
+ */
+function allowedOrigins() {
+  return (process.env.RETURN_TO_ORIGINS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      let url;
+      try {
+        url = new URL(entry);
+      } catch (error) {
+        throw new Error(`Invalid origin in RETURN_TO_ORIGINS: ${entry}`);
+      }
+      if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        throw new Error(`RETURN_TO_ORIGINS only accepts http(s) origins: ${entry}`);
+      }
+      return url.origin;
+    });
+}
+
+/**
+ * Validate a return_to value
+ * @param {string} [value] - URL from the query string
+ * @returns {string|null} Normalized URL, or null if none was given
+ * @throws {Error} With code RETURN_TO_NOT_ALLOWED if it isn't on an allowed origin
+ */
+function parseReturnTo(value) {
+  if (value === undefined || value === '') return null;
+
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch (error) {
+    throw createError('RETURN_TO_NOT_ALLOWED', 'return_to must be an absolute URL.');
+  }
+  if (!allowedOrigins().includes(url.origin)) {
+    throw createError('RETURN_TO_NOT_ALLOWED', 'return_to is not on an allowed origin.');
+  }
+  url.hash = '';
+  return url.href;
+}
+
+/**
+ * Build the URL to send the browser back to
+ * @param {string} returnTo - URL from parseReturnTo()
+ * @param {string} status - STATUS_SUCCESS, STATUS_DENIED or STATUS_ERROR
+ * @param {Object} [details] - Extra parameters (username, app, environment, error);
+ *                             null/undefined values are left out
+ * @returns {string} Redirect URL
+ */
+function buildReturnUrl(returnTo, status, details = {}) {
+  const url = new URL(returnTo);
+  url.searchParams.set('status', status);
+  for (const [name, value] of Object.entries(details)) {
+    if (value !== null && value !== undefined) url.searchParams.set(name, value);
+  }
+  return url.href;
+}
+
+module.exports = {
+  STATUS_SUCCESS,
+  STATUS_DENIED,
+  STATUS_ERROR,
+  parseReturnTo,
+  buildReturnUrl
+};
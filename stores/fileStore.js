@@ -0,0 +1,144 @@
+/**
+ * File Storage Adapter
+ *
+ * Persists every record of a namespace in a single JSON file. Fine for local
+ * development; in production you should use Redis or a proper database.
+ */
+
+const fs = require('fs');
+
+// Property holding the expiry of records saved with a TTL
+const EXPIRES_FIELD = '_expiresAt';
+
+/**
+ * Check whether a stored record's TTL has passed
+ * @param {Object} record - Stored record
+ * @returns {boolean} True if expired
+ */
+function isExpired(record) {
+  return Boolean(record[EXPIRES_FIELD]) && Date.now() >= record[EXPIRES_FIELD];
+}
+
+/**
+ * Strip internal bookkeeping from a stored record
+ * @param {Object} record - Stored record
+ * @returns {Object} Record as it was saved
+ */
+function strip(record) {
+  const { [EXPIRES_FIELD]: _, ...rest } = record;
+  return rest;
+}
+
+/**
+ * Create a file-backed adapter
+ * @param {string} filePath - JSON file holding the namespace's records
+ * @returns {Object} Storage adapter
+ */
+function createFileStore(filePath) {
+  // Writes are chained so concurrent read-modify-write cycles can't interleave
+  let queue = Promise.resolve();
+
+  function serialize(task) {
+    const run = queue.then(task, task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  // Read every unexpired record, still carrying its TTL bookkeeping
+  async function readAll() {
+    let records = {};
+    try {
+      const data = await fs.promises.readFile(filePath, 'utf8');
+      records = JSON.parse(data);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error reading ${filePath}:`, error.message);
+      }
+    }
+    for (const id of Object.keys(records)) {
+      if (isExpired(records[id])) delete records[id];
+    }
+    return records;
+  }
+
+  async function writeAll(records) {
+    await fs.promises.writeFile(filePath, JSON.stringify(records, null, 2));
+  }
+
+  return {
+    driver: 'file',
+
+    save(id, record, options = {}) {
+      return serialize(async () => {
+        const records = await readAll();
+        records[id] = options.ttlSeconds
+          ? { ...record, [EXPIRES_FIELD]: Date.now() + options.ttlSeconds * 1000 }
+          : record;
+        await writeAll(records);
+      });
+    },
+
+    async get(id) {
+      const records = await readAll();
+      return records[id] ? strip(records[id]) : null;
+    },
+
+    take(id) {
+      return serialize(async () => {
+        const records = await readAll();
+        const record = records[id];
+        if (!record) return null;
+        delete records[id];
+        await writeAll(records);
+        return strip(record);
+      });
+    },
+
+    update(id, changes) {
+      return serialize(async () => {
+        const records = await readAll();
+        if (!records[id]) return null;
+        records[id] = { ...records[id], ...changes };
+        await writeAll(records);
+        return strip(records[id]);
+      });
+    },
+
+    delete(id) {
+      return serialize(async () => {
+        const records = await readAll();
+        if (!(id in records)) return;
+        delete records[id];
+        await writeAll(records);
+      });
+    },
+
+    async listIds(options = {}) {
+      const records = await readAll();
+      return Object.keys(records)
+        .sort()
+        .filter(id => options.after === undefined || id > options.after)
+        .slice(0, options.limit);
+    },
+
+    async getMany(ids) {
+      const records = await readAll();
+      const found = {};
+      for (const id of ids) {
+        if (records[id]) found[id] = strip(records[id]);
+      }
+      return found;
+    },
+
+    async list() {
+      const records = await readAll();
+      const all = {};
+      for (const id of Object.keys(records)) {
+        all[id] = strip(records[id]);
+      }
+      return all;
+    }
+  };
+}
+
+module.exports = { createFileStore };
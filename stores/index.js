@@ -0,0 +1,105 @@
+/**
+ * Storage Adapters
+ *
+ * Every adapter implements the same async contract, so callers never need to
+ * know where records actually live:
+ *
+ *   save(id, record, { ttlSeconds })
+ *                         - Create or replace a record, optionally expiring
+ *                           it after ttlSeconds
+ *   get(id)               - Resolve to the record, or null if missing
+ *   take(id)              - Atomically get and delete a record (single use)
+ *   update(id, changes)   - Shallow-merge changes; resolves to the merged
+ *                           record, or null if there was nothing to update
+ *   delete(id)            - Remove a record (no-op if missing)
+ *   listIds({ after, limit })
+ *                         - Resolve to record ids in ascending order, starting
+ *                           after the id `after` (exclusive) and returning at
+ *                           most `limit` of them (default: all)
+ *   getMany(ids)          - Resolve to an object of the existing records among
+ *                           ids, keyed by id
+ *   list()                - Resolve to an object of every record keyed by id
+ *
+ * Listings only promise to include records saved without a TTL; those are
+ * short-lived caches that nobody enumerates.
+ *
+ * The driver is chosen with TOKEN_STORE ("file", "redis" or "memory").
+ * When unset, Redis is used if REDIS_URL is configured, otherwise files.
+ */
+
+const path = require('path');
+const { createFileStore } = require('./fileStore');
+const { createRedisStore, getRedis } = require('./redisStore');
+const { createMemoryStore } = require('./memoryStore');
+
+const DRIVERS = ['file', 'redis', 'memory'];
+
+// How long a health check waits for Redis before calling it down
+const PING_TIMEOUT_MS = 2000;
+
+const stores = new Map();
+
+/**
+ * Resolve the configured storage driver
+ * @returns {string} Driver name
+ */
+function getDriver() {
+  const driver = (process.env.TOKEN_STORE || (process.env.REDIS_URL ? 'redis' : 'file')).toLowerCase();
+  if (!DRIVERS.includes(driver)) {
+    throw new Error(`Unknown TOKEN_STORE "${driver}" (expected one of: ${DRIVERS.join(', ')})`);
+  }
+  return driver;
+}
+
+/**
+ * Get the storage adapter for a namespace, creating it on first use
+ * @param {string} namespace - Record namespace, e.g. "token" (tokens.json / ebay_token:*)
+ * @param {string} [driver] - Override the configured driver
+ * @returns {Object} Storage adapter
+ */
+function createStore(namespace, driver = getDriver()) {
+  const cacheKey = `${driver}:${namespace}`;
+  if (!stores.has(cacheKey)) {
+    let store;
+    if (driver === 'redis') {
+      store = createRedisStore(namespace);
+    } else if (driver === 'memory') {
+      store = createMemoryStore(namespace);
+    } else {
+      const dir = process.env.TOKEN_STORE_DIR || path.join(__dirname, '..');
+      store = createFileStore(path.join(dir, `${namespace}s.json`));
+    }
+    stores.set(cacheKey, store);
+  }
+  return stores.get(cacheKey);
+}
+
+/**
+ * Check that the configured storage backend is reachable. Only Redis can
+ * actually be down; file and memory storage always report ok.
+ * @returns {Promise<Object>} { driver, ok, latencyMs, error }
+ */
+async function ping() {
+  const driver = getDriver();
+  if (driver !== 'redis') {
+    return { driver, ok: true, latencyMs: 0, error: null };
+  }
+
+  const started = Date.now();
+  let timer;
+  try {
+    await Promise.race([
+      getRedis().then(client => client.ping()),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No reply within ${PING_TIMEOUT_MS}ms`)), PING_TIMEOUT_MS);
+      })
+    ]);
+    return { driver, ok: true, latencyMs: Date.now() - started, error: null };
+  } catch (error) {
+    return { driver, ok: false, latencyMs: Date.now() - started, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = { createStore, getDriver, ping, DRIVERS };
@@ -0,0 +1,109 @@
+/**
+ * In-Memory Storage Adapter
+ *
+ * Keeps records in process memory. Nothing survives a restart, which makes it
+ * handy for local experiments and tests but unsuitable for real deployments.
+ */
+
+// Shared across adapter instances so every caller sees the same namespace data
+const collections = new Map();
+
+// Expiry timestamps for records saved with a TTL, keyed by namespace
+const expiries = new Map();
+
+/**
+ * Deep-copy a record so callers can never mutate stored state in place
+ * @param {Object} record - Record to copy
+ * @returns {Object} Copy of the record
+ */
+function clone(record) {
+  return JSON.parse(JSON.stringify(record));
+}
+
+/**
+ * Create an in-memory adapter for a namespace
+ * @param {string} namespace - Record namespace (e.g. "token")
+ * @returns {Object} Storage adapter
+ */
+function createMemoryStore(namespace) {
+  if (!collections.has(namespace)) {
+    collections.set(namespace, new Map());
+    expiries.set(namespace, new Map());
+  }
+  const records = collections.get(namespace);
+  const expiresAt = expiries.get(namespace);
+
+  // Drop a record whose TTL has passed
+  function purgeIfExpired(id) {
+    if (expiresAt.has(id) && Date.now() >= expiresAt.get(id)) {
+      records.delete(id);
+      expiresAt.delete(id);
+    }
+  }
+
+  return {
+    driver: 'memory',
+
+    async save(id, record, options = {}) {
+      records.set(id, clone(record));
+      if (options.ttlSeconds) {
+        expiresAt.set(id, Date.now() + options.ttlSeconds * 1000);
+      } else {
+        expiresAt.delete(id);
+      }
+    },
+
+    async get(id) {
+      purgeIfExpired(id);
+      const record = records.get(id);
+      return record ? clone(record) : null;
+    },
+
+    async take(id) {
+      purgeIfExpired(id);
+      const record = records.get(id);
+      records.delete(id);
+      expiresAt.delete(id);
+      return record ? clone(record) : null;
+    },
+
+    async update(id, changes) {
+      purgeIfExpired(id);
+      const record = records.get(id);
+      if (!record) return null;
+      const updated = { ...record, ...clone(changes) };
+      records.set(id, updated);
+      return clone(updated);
+    },
+
+    async delete(id) {
+      records.delete(id);
+      expiresAt.delete(id);
+    },
+
+    async listIds(options = {}) {
+      for (const id of [...records.keys()]) {
+        purgeIfExpired(id);
+      }
+      return [...records.keys()]
+        .sort()
+        .filter(id => options.after === undefined || id > options.after)
+        .slice(0, options.limit);
+    },
+
+    async getMany(ids) {
+      const found = {};
+      for (const id of ids) {
+        purgeIfExpired(id);
+        if (records.has(id)) found[id] = clone(records.get(id));
+      }
+      return found;
+    },
+
+    async list() {
+      return this.getMany(await this.listIds());
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,180 @@
+/**
+ * accountDeletion: the endpoint challenge, signed notifications and deleting
+ * the named user's tokens, against a stubbed eBay public key
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+process.env.TOKEN_STORE = 'memory';
+process.env.EBAY_ENVIRONMENT = 'PRODUCTION';
+process.env.EBAY_VERIFICATION_TOKEN = 'verification-token-0123456789abcdef';
+process.env.EBAY_APPS = JSON.stringify({ shop2: {} });
+
+const accountDeletion = require('../accountDeletion');
+const tokenManager = require('../tokenManager');
+const app = require('../app');
+const { createStore } = require('../stores');
+
+const { tokenKey } = tokenManager;
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+// eBay serves PEM keys on a single line
+const EBAY_PUBLIC_KEY = publicKey.export({ type: 'spki', format: 'pem' }).trim().replace(/\n/g, '');
+
+const realFetch = globalThis.fetch;
+
+let kids = 0;
+
+/**
+ * Sign a body the way eBay signs notifications
+ * @param {string} body - Raw request body
+ * @param {Object} [options]
+ * @param {string} [options.kid] - Key ID (a fresh one by default, so nothing is cached)
+ * @param {crypto.KeyObject} [options.key] - Signing key
+ * @returns {string} X-EBAY-SIGNATURE header value
+ */
+function signatureHeader(body, { kid, key = privateKey } = {}) {
+  kids += 1;
+  const signature = crypto.sign('sha1', Buffer.from(body), key).toString('base64');
+  return Buffer.from(JSON.stringify({
+    alg: 'ECDSA',
+    kid: kid || `kid-${kids}`,
+    signature,
+    digest: 'SHA1'
+  })).toString('base64');
+}
+
+/**
+ * Build a deletion notification body
+ * @param {Object} data - notification.data
+ * @returns {string} JSON body
+ */
+function notification(data) {
+  return JSON.stringify({
+    metadata: { topic: 'MARKETPLACE_ACCOUNT_DELETION', schemaVersion: '1.0', deprecated: false },
+    notification: { notificationId: `n-${kids}`, eventDate: '2026-10-19T00:00:00.000Z', data }
+  });
+}
+
+describe('challengeResponse', () => {
+  it('hashes the challenge code, verification token and endpoint in that order', () => {
+    const endpoint = 'https://example.com/notifications/account-deletion';
+    const expected = crypto.createHash('sha256')
+      .update(`challenge-1${process.env.EBAY_VERIFICATION_TOKEN}${endpoint}`)
+      .digest('hex');
+
+    assert.equal(accountDeletion.challengeResponse('challenge-1', endpoint), expected);
+  });
+});
+
+describe('/notifications/account-deletion', () => {
+  let server;
+  let baseUrl;
+  let publicKeyFetch;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    mock.method(tokenManager, 'getApplicationToken', async () => ({ accessToken: 'app-token' }));
+    publicKeyFetch = mock.fn(async () => new Response(JSON.stringify({
+      algorithm: 'ECDSA',
+      digest: 'SHA1',
+      key: EBAY_PUBLIC_KEY
+    })));
+    mock.method(globalThis, 'fetch', (url, options) =>
+      String(url).includes('/commerce/notification/v1/public_key/')
+        ? publicKeyFetch(url, options)
+        : realFetch(url, options));
+
+    tokenManager.useStore(createStore('account_deletion_test_tokens', 'memory'));
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    mock.restoreAll();
+  });
+
+  /**
+   * Deliver a notification
+   * @param {string} body - Raw body
+   * @param {string|null} signature - X-EBAY-SIGNATURE header
+   * @returns {Promise<Response>} Response
+   */
+  function deliver(body, signature) {
+    return realFetch(`${baseUrl}/notifications/account-deletion`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...(signature ? { 'x-ebay-signature': signature } : {}) },
+      body
+    });
+  }
+
+  it('answers the endpoint challenge', async () => {
+    const response = await realFetch(`${baseUrl}/notifications/account-deletion?challenge_code=abc`);
+    const expected = accountDeletion.challengeResponse('abc', `${baseUrl}/notifications/account-deletion`);
+    assert.deepEqual(await response.json(), { challengeResponse: expected });
+  });
+
+  it('deletes the user in every app and environment', async () => {
+    const tokens = { accessToken: 'a', refreshToken: 'r', expiresIn: 7200 };
+    const identity = { userId: 'gone1', username: 'leaving-seller' };
+    await tokenManager.saveAuthorization(identity, 'PRODUCTION', 'default', tokens);
+    await tokenManager.saveAuthorization(identity, 'SANDBOX', 'default', tokens);
+    await tokenManager.saveAuthorization(identity, 'PRODUCTION', 'shop2', tokens);
+    await tokenManager.saveAuthorization({ userId: 'stays1', username: 'staying-seller' }, 'PRODUCTION', 'default', tokens);
+
+    const body = notification({ username: 'leaving-seller', userId: 'gone1', eiasToken: 'eias' });
+    const response = await deliver(body, signatureHeader(body));
+    assert.equal(response.status, 204);
+
+    assert.equal(await tokenManager.getTokens(tokenKey('gone1', 'PRODUCTION')), null);
+    assert.equal(await tokenManager.getTokens(tokenKey('gone1', 'SANDBOX')), null);
+    assert.equal(await tokenManager.getTokens(tokenKey('gone1', 'PRODUCTION', 'shop2')), null);
+    assert.ok(await tokenManager.getTokens(tokenKey('stays1', 'PRODUCTION')));
+  });
+
+  it('fetches the public key with a timeout and caches it', async () => {
+    const body = notification({ username: 'nobody', userId: 'none' });
+    const header = signatureHeader(body, { kid: 'cached-kid' });
+    const calls = publicKeyFetch.mock.callCount();
+
+    assert.equal((await deliver(body, header)).status, 204);
+    assert.equal((await deliver(body, header)).status, 204);
+    assert.equal(publicKeyFetch.mock.callCount(), calls + 1);
+
+    const [url, options] = publicKeyFetch.mock.calls[calls].arguments;
+    assert.match(url, /\/public_key\/cached-kid$/);
+    assert.equal(options.headers.Authorization, 'Bearer app-token');
+    assert.ok(options.signal instanceof AbortSignal);
+  });
+
+  it('rejects a notification without a signature', async () => {
+    const response = await deliver(notification({ username: 'x', userId: 'x' }), null);
+    assert.equal(response.status, 412);
+  });
+
+  it('rejects a malformed signature header', async () => {
+    const response = await deliver(notification({ username: 'x', userId: 'x' }), 'not-json');
+    assert.equal(response.status, 412);
+  });
+
+  it('rejects a signature from another key, or over another body', async () => {
+    await tokenManager.saveAuthorization({ userId: 'kept1', username: 'kept-seller' }, 'PRODUCTION', 'default',
+      { accessToken: 'a', refreshToken: 'r', expiresIn: 7200 });
+    const body = notification({ username: 'kept-seller', userId: 'kept1' });
+
+    const otherKey = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' }).privateKey;
+    assert.equal((await deliver(body, signatureHeader(body, { key: otherKey }))).status, 412);
+    assert.equal((await deliver(body, signatureHeader(notification({ username: 'x', userId: 'x' })))).status, 412);
+    assert.ok(await tokenManager.getTokens(tokenKey('kept1', 'PRODUCTION')));
+  });
+
+  it('rejects a signed message on another topic', async () => {
+    const body = JSON.stringify({ metadata: { topic: 'SOMETHING_ELSE' }, notification: { data: { username: 'x' } } });
+    assert.equal((await deliver(body, signatureHeader(body))).status, 400);
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * apiKeys: hashed key storage, header-only credentials, permissions and
+ * per-user scoping
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.TOKEN_STORE = 'memory';
+process.env.EBAY_ENVIRONMENT = 'PRODUCTION';
+process.env.API_SECRET = 'test-root-secret';
+
+const apiKeys = require('../apiKeys');
+const tokenManager = require('../tokenManager');
+const app = require('../app');
+const { createStore } = require('../stores');
+
+const { PERMISSIONS } = apiKeys;
+
+/**
+ * Run requirePermission() against a request with the given headers
+ * @param {string} permission - Permission from PERMISSIONS
+ * @param {Object} headers - Request headers
+ * @param {Object} [query] - Query string
+ * @returns {Promise<Object>} { status, body, client } - client is set when the request got through
+ */
+function authorize(permission, headers, query = {}) {
+  return new Promise((resolve, reject) => {
+    const req = { headers, query, params: {} };
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body, client: null });
+      }
+    };
+    apiKeys.requirePermission(permission)(req, res, () => resolve({ status: 200, body: null, client: req.apiClient }))
+      .catch(reject);
+  });
+}
+
+describe('createKey', () => {
+  it('stores only a hash of the key', async () => {
+    const created = await apiKeys.createKey({ name: 'order-sync', usernames: ['seller1'], permissions: ['proxy'] });
+    assert.match(created.key, /^ek_[0-9a-f]+_[A-Za-z0-9_-]+$/);
+    assert.equal(created.hash, undefined);
+
+    const stored = await createStore('api_key').get(created.id);
+    const secret = created.key.split('_').slice(2).join('_');
+    assert.ok(!JSON.stringify(stored).includes(secret));
+    assert.match(stored.hash, /^[0-9a-f]{64}$/);
+
+    const listed = (await apiKeys.listKeys()).find(key => key.id === created.id);
+    assert.equal(listed.hash, undefined);
+    assert.deepEqual(listed.usernames, ['seller1']);
+  });
+
+  it('rejects unknown permissions and empty scopes', async () => {
+    await assert.rejects(apiKeys.createKey({ name: 'x', usernames: ['*'], permissions: ['root'] }), /Unknown permissions: root/);
+    await assert.rejects(apiKeys.createKey({ name: 'x', usernames: [], permissions: ['list'] }), /usernames must be/);
+    await assert.rejects(apiKeys.createKey({ usernames: ['*'], permissions: ['list'] }), /name is required/);
+  });
+});
+
+describe('requirePermission', () => {
+  let key;
+  before(async () => {
+    ({ key } = await apiKeys.createKey({ name: 'reader', usernames: ['seller1'], permissions: ['read_token'] }));
+  });
+
+  it('accepts a key in the X-API-Key header', async () => {
+    const result = await authorize(PERMISSIONS.READ_TOKEN, { 'x-api-key': key });
+    assert.equal(result.status, 200);
+    assert.equal(result.client.name, 'reader');
+  });
+
+  it('accepts the root secret in the X-API-Secret header with every permission', async () => {
+    const result = await authorize(PERMISSIONS.ADMIN, { 'x-api-secret': 'test-root-secret' });
+    assert.equal(result.status, 200);
+    assert.equal(result.client.id, 'root');
+  });
+
+  it('ignores credentials in the query string', async () => {
+    const result = await authorize(PERMISSIONS.READ_TOKEN, {}, { key });
+    assert.equal(result.status, 401);
+    assert.match(result.body.hint, /not accepted/);
+  });
+
+  it('rejects a wrong secret, a forged key and a revoked key', async () => {
+    assert.equal((await authorize(PERMISSIONS.LIST, { 'x-api-secret': 'guess' })).status, 403);
+    assert.equal((await authorize(PERMISSIONS.LIST, { 'x-api-key': `${key.slice(0, -1)}x` })).status, 403);
+
+    const revoked = await apiKeys.createKey({ name: 'old', usernames: ['*'], permissions: ['list'] });
+    await apiKeys.revokeKey(revoked.id);
+    assert.equal((await authorize(PERMISSIONS.LIST, { 'x-api-key': revoked.key })).status, 403);
+    assert.equal(await apiKeys.getKey(revoked.id), null);
+  });
+
+  it('rejects a key without the permission', async () => {
+    const result = await authorize(PERMISSIONS.DELETE, { 'x-api-key': key });
+    assert.equal(result.status, 403);
+    assert.match(result.body.error, /lacks the "delete" permission/);
+  });
+
+  it('lets an admin key through for any permission', async () => {
+    const admin = await apiKeys.createKey({ name: 'ops', usernames: ['*'], permissions: ['admin'] });
+    assert.equal((await authorize(PERMISSIONS.DELETE, { 'x-api-key': admin.key })).status, 200);
+  });
+});
+
+describe('canAccessUser', () => {
+  const client = { usernames: ['seller1', 'u2'] };
+
+  it('matches a user by username or eBay user ID', () => {
+    assert.equal(apiKeys.canAccessUser(client, { username: 'seller1', userId: 'u1' }), true);
+    assert.equal(apiKeys.canAccessUser(client, { username: 'renamed', userId: 'u2' }), true);
+    assert.equal(apiKeys.canAccessUser(client, { username: 'seller3', userId: 'u3' }), false);
+    assert.equal(apiKeys.canAccessUser(client, { username: 'seller3', userId: null }), false);
+  });
+
+  it('matches every user for "*"', () => {
+    assert.equal(apiKeys.canAccessUser({ usernames: ['*'] }, { username: 'anyone', userId: null }), true);
+  });
+});
+
+describe('user scoping on the API', () => {
+  let server;
+  let baseUrl;
+  let key;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    tokenManager.useStore(createStore('api_keys_test_tokens', 'memory'));
+    const tokens = { accessToken: 'access-1', refreshToken: 'refresh-1', expiresIn: 7200 };
+    await tokenManager.saveAuthorization({ userId: 'u1', username: 'seller1' }, 'PRODUCTION', 'default', tokens);
+    await tokenManager.saveAuthorization({ userId: 'u9', username: 'seller9' }, 'PRODUCTION', 'default', tokens);
+    ({ key } = await apiKeys.createKey({ name: 'reader', usernames: ['seller1'], permissions: ['read_token'] }));
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    mock.restoreAll();
+  });
+
+  /**
+   * Get a user's token with the scoped key
+   * @param {string} user - Username or eBay user ID
+   * @returns {Promise<Response>} Response
+   */
+  function getToken(user) {
+    return fetch(`${baseUrl}/api/get-token/${user}`, { headers: { 'x-api-key': key } });
+  }
+
+  it('serves a permitted user named by username or user ID', async () => {
+    for (const user of ['seller1', 'u1']) {
+      const response = await getToken(user);
+      assert.equal(response.status, 200);
+      const body = await response.json();
+      assert.equal(body.accessToken, 'access-1');
+      assert.ok(body.expiresAt > Date.now());
+    }
+  });
+
+  it('refuses other users however they are named', async () => {
+    for (const user of ['seller9', 'u9']) {
+      const response = await getToken(user);
+      assert.equal(response.status, 403);
+      assert.match((await response.json()).error, /may not access user: seller9/);
+    }
+  });
+
+  it('lists only permitted users', async () => {
+    const list = await apiKeys.createKey({ name: 'lister', usernames: ['u1'], permissions: ['list'] });
+    const response = await fetch(`${baseUrl}/api/users`, { headers: { 'x-api-key': list.key } });
+    assert.deepEqual((await response.json()).users.map(user => user.username), ['seller1']);
+  });
+});
+
+describe('POST /api/keys', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    mock.method(console, 'error', () => {});
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    mock.restoreAll();
+  });
+
+  /**
+   * Create a key with the root secret
+   * @param {Object} body - Key options
+   * @returns {Promise<Response>} Response
+   */
+  function create(body) {
+    return fetch(`${baseUrl}/api/keys`, {
+      method: 'POST',
+      headers: { 'x-api-secret': 'test-root-secret', 'content-type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+  }
+
+  it('creates a key', async () => {
+    const response = await create({ name: 'sync', usernames: ['*'], permissions: ['list'] });
+    assert.equal(response.status, 201);
+    assert.match((await response.json()).key, /^ek_/);
+  });
+
+  it('rejects invalid options with 400', async () => {
+    const response = await create({ name: 'sync', usernames: ['*'], permissions: ['everything'] });
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /Unknown permissions/);
+  });
+
+  it('reports a store failure as a server error', async t => {
+    t.mock.method(createStore('api_key'), 'save', async () => {
+      throw new Error('Connection is closed.');
+    });
+    const response = await create({ name: 'sync', usernames: ['*'], permissions: ['list'] });
+    assert.equal(response.status, 500);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * invites: single-use, expiring invite links that bind an authorization to
+ * a tenant
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.TOKEN_STORE = 'memory';
+process.env.EBAY_ENVIRONMENT = 'PRODUCTION';
+process.env.EBAY_CLIENT_ID = 'test-client-id';
+process.env.EBAY_CLIENT_SECRET = 'test-client-secret';
+process.env.EBAY_REDIRECT_URI = 'test-ru-name';
+process.env.EBAY_SCOPES = 'https://api.ebay.com/oauth/api_scope';
+
+const invites = require('../invites');
+const { createStore } = require('../stores');
+
+describe('createInvite', () => {
+  it('returns a link token and stores only a hash of its secret', async () => {
+    const invite = await invites.createInvite({ tenantId: 'acme', expectedUsername: ' seller1 ' });
+    assert.match(invite.token, new RegExp(`^inv_${invite.id}_[A-Za-z0-9_-]+$`));
+    assert.equal(invite.hash, undefined);
+    assert.equal(invite.tenantId, 'acme');
+    assert.equal(invite.expectedUsername, 'seller1');
+    assert.equal(invite.app, 'default');
+    assert.equal(invite.environment, 'PRODUCTION');
+    assert.equal(invite.expiresAt - invite.createdAt, 72 * 60 * 60 * 1000);
+
+    const stored = await createStore('invite').get(invite.id);
+    const secret = invite.token.split('_').slice(2).join('_');
+    assert.ok(!JSON.stringify(stored).includes(secret));
+    assert.match(stored.hash, /^[0-9a-f]{64}$/);
+  });
+
+  it('rejects a bad tenant, username, lifetime or environment', async () => {
+    const invalid = { code: 'INVALID_INVITE' };
+    await assert.rejects(invites.createInvite({}), invalid);
+    await assert.rejects(invites.createInvite({ tenantId: 'no spaces' }), invalid);
+    await assert.rejects(invites.createInvite({ tenantId: 'acme', expectedUsername: ' ' }), invalid);
+    await assert.rejects(invites.createInvite({ tenantId: 'acme', expiresInHours: 0 }), invalid);
+    await assert.rejects(invites.createInvite({ tenantId: 'acme', expiresInHours: 31 * 24 }), invalid);
+    await assert.rejects(invites.createInvite({ tenantId: 'acme', env: 'staging' }), invalid);
+  });
+});
+
+describe('findInvite', () => {
+  it('describes an outstanding invite without using it up', async () => {
+    const { token, id } = await invites.createInvite({ tenantId: 'acme' });
+    assert.equal((await invites.findInvite(token)).id, id);
+    assert.equal((await invites.findInvite(token)).tenantId, 'acme');
+  });
+
+  it('rejects a malformed token, an unknown invite and a forged secret', async () => {
+    const { token } = await invites.createInvite({ tenantId: 'acme' });
+    const invalid = { code: 'INVITE_INVALID' };
+    await assert.rejects(invites.findInvite(undefined), invalid);
+    await assert.rejects(invites.findInvite('not-an-invite'), invalid);
+    await assert.rejects(invites.findInvite('inv_000000000000_secret'), invalid);
+    await assert.rejects(invites.findInvite(`${token.slice(0, -1)}${token.endsWith('x') ? 'y' : 'x'}`), invalid);
+  });
+});
+
+describe('redeemInvite', () => {
+  it('hands an invite out only once', async () => {
+    const { token, id } = await invites.createInvite({ tenantId: 'acme' });
+    assert.equal((await invites.redeemInvite(id)).tenantId, 'acme');
+    assert.equal(await invites.redeemInvite(id), null);
+    await assert.rejects(invites.findInvite(token), { code: 'INVITE_INVALID' });
+  });
+});
+
+describe('expiry', () => {
+  it('refuses an expired invite and prunes it from listings', async t => {
+    const { token, id, expiresAt } = await invites.createInvite({ tenantId: 'expiring', expiresInHours: 1 });
+    assert.deepEqual((await invites.listInvites({ tenantId: 'expiring' })).map(invite => invite.id), [id]);
+
+    t.mock.method(Date, 'now', () => expiresAt);
+    await assert.rejects(invites.findInvite(token), { code: 'INVITE_EXPIRED' });
+    assert.deepEqual(await invites.listInvites({ tenantId: 'expiring' }), []);
+    assert.equal(await createStore('invite').get(id), null);
+  });
+
+  it('does not redeem an invite that expired on the way back from eBay', async t => {
+    const { id, expiresAt } = await invites.createInvite({ tenantId: 'acme', expiresInHours: 1 });
+    t.mock.method(Date, 'now', () => expiresAt);
+    assert.equal(await invites.redeemInvite(id), null);
+  });
+});
+
+describe('revokeInvite', () => {
+  it('removes an outstanding invite', async () => {
+    const { token, id } = await invites.createInvite({ tenantId: 'revoked' });
+
+    assert.equal((await invites.revokeInvite(id)).id, id);
+    await assert.rejects(invites.findInvite(token), { code: 'INVITE_INVALID' });
+    assert.equal(await invites.redeemInvite(id), null);
+    assert.deepEqual(await invites.listInvites({ tenantId: 'revoked' }), []);
+    assert.equal(await invites.revokeInvite(id), null);
+  });
+});
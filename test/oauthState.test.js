@@ -0,0 +1,112 @@
+/**
+ * oauthState: signed, expiring, single-use state values, and their check on
+ * /auth/callback
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.TOKEN_STORE = 'memory';
+process.env.STATE_SECRET = 'test-state-secret';
+
+const oauthState = require('../oauthState');
+const app = require('../app');
+
+describe('consumeState', () => {
+  it('returns the data stored with a state value once', async () => {
+    const { state, nonce } = await oauthState.createState({ app: 'default', environment: 'SANDBOX' });
+
+    assert.deepEqual(await oauthState.consumeState(state), { app: 'default', environment: 'SANDBOX', nonce });
+    await assert.rejects(oauthState.consumeState(state), { code: 'STATE_USED' });
+  });
+
+  it('rejects a missing or malformed state value', async () => {
+    await assert.rejects(oauthState.consumeState(undefined), { code: 'STATE_MISSING' });
+    await assert.rejects(oauthState.consumeState('not-a-state'), { code: 'STATE_INVALID' });
+  });
+
+  it('rejects a state value with a bad signature', async () => {
+    const { state } = await oauthState.createState();
+    const [nonce, expiresAt] = state.split('.');
+
+    await assert.rejects(oauthState.consumeState(`${nonce}.${expiresAt}.forged`), { code: 'STATE_INVALID' });
+    await assert.rejects(oauthState.consumeState(`${nonce}.${Number(expiresAt) + 1000}.${state.split('.')[2]}`),
+      { code: 'STATE_INVALID' });
+  });
+
+  it('rejects a state value signed with another secret', async () => {
+    const { state } = await oauthState.createState();
+    process.env.STATE_SECRET = 'another-secret';
+    try {
+      await assert.rejects(oauthState.consumeState(state), { code: 'STATE_INVALID' });
+    } finally {
+      process.env.STATE_SECRET = 'test-state-secret';
+    }
+  });
+
+  it('rejects an expired state value', async (t) => {
+    const { state, expiresAt } = await oauthState.createState();
+    t.mock.method(Date, 'now', () => expiresAt);
+
+    await assert.rejects(oauthState.consumeState(state), { code: 'STATE_EXPIRED' });
+  });
+});
+
+describe('/auth/callback', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    // The route logs every rejected callback
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    mock.restoreAll();
+  });
+
+  /**
+   * Call the callback as eBay's redirect would
+   * @param {string} state - State value
+   * @param {string|null} cookie - State cookie sent by the browser
+   * @returns {Promise<Response>} Response
+   */
+  function callback(state, cookie) {
+    const query = new URLSearchParams({ code: 'auth-code', state });
+    return fetch(`${baseUrl}/auth/callback?${query}`, {
+      headers: cookie ? { cookie: `ebay_oauth_state=${cookie}` } : {},
+      redirect: 'manual'
+    });
+  }
+
+  it('rejects a state started in another browser', async () => {
+    const { state } = await oauthState.createState({ app: 'default' });
+    const other = await oauthState.createState({ app: 'default' });
+
+    const response = await callback(state, other.nonce);
+    assert.equal(response.status, 403);
+    assert.match(await response.text(), /different browser session/);
+  });
+
+  it('rejects a state without its cookie', async () => {
+    const { state } = await oauthState.createState({ app: 'default' });
+
+    const response = await callback(state, null);
+    assert.equal(response.status, 403);
+    assert.match(await response.text(), /different browser session/);
+  });
+
+  it('rejects a replayed state', async () => {
+    const { state, nonce } = await oauthState.createState({ app: 'default' });
+    await oauthState.consumeState(state);
+
+    const response = await callback(state, nonce);
+    assert.equal(response.status, 403);
+    assert.match(await response.text(), /already been used/);
+  });
+});
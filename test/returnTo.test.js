@@ -0,0 +1,104 @@
+/**
+ * returnTo: only URLs on an allowed origin are accepted, so the portal can't
+ * be used as an open redirect
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.TOKEN_STORE = 'memory';
+process.env.EBAY_ENVIRONMENT = 'PRODUCTION';
+process.env.EBAY_CLIENT_ID = 'test-client-id';
+process.env.EBAY_CLIENT_SECRET = 'test-client-secret';
+process.env.EBAY_REDIRECT_URI = 'test-ru-name';
+process.env.EBAY_SCOPES = 'https://api.ebay.com/oauth/api_scope';
+process.env.STATE_SECRET = 'test-state-secret';
+process.env.RETURN_TO_ORIGINS = 'https://allowed.example.com, http://localhost:3001';
+
+const returnTo = require('../returnTo');
+const app = require('../app');
+
+const NOT_ALLOWED = { code: 'RETURN_TO_NOT_ALLOWED' };
+
+describe('parseReturnTo', () => {
+  it('accepts a URL on an allowed origin and drops its fragment', () => {
+    assert.equal(returnTo.parseReturnTo('https://allowed.example.com/onboarding?step=2#top'),
+      'https://allowed.example.com/onboarding?step=2');
+    assert.equal(returnTo.parseReturnTo('http://localhost:3001/done'), 'http://localhost:3001/done');
+  });
+
+  it('treats a missing value as no return URL', () => {
+    assert.equal(returnTo.parseReturnTo(undefined), null);
+    assert.equal(returnTo.parseReturnTo(''), null);
+  });
+
+  it('rejects a protocol-relative or relative URL', () => {
+    assert.throws(() => returnTo.parseReturnTo('//evil.com'), NOT_ALLOWED);
+    assert.throws(() => returnTo.parseReturnTo('/onboarding'), NOT_ALLOWED);
+  });
+
+  it('rejects a host that only starts with an allowed one', () => {
+    assert.throws(() => returnTo.parseReturnTo('https://allowed.example.com.evil.com/'), NOT_ALLOWED);
+    assert.throws(() => returnTo.parseReturnTo('https://allowed.example.com@evil.com/'), NOT_ALLOWED);
+  });
+
+  it('rejects a javascript: URL', () => {
+    assert.throws(() => returnTo.parseReturnTo('javascript:alert(document.cookie)'), NOT_ALLOWED);
+  });
+
+  it('rejects an origin that differs only by port or scheme', () => {
+    assert.throws(() => returnTo.parseReturnTo('https://allowed.example.com:8443/'), NOT_ALLOWED);
+    assert.throws(() => returnTo.parseReturnTo('http://localhost:3002/done'), NOT_ALLOWED);
+    assert.throws(() => returnTo.parseReturnTo('http://allowed.example.com/'), NOT_ALLOWED);
+  });
+
+  it('rejects every URL when no origins are configured', () => {
+    const previous = process.env.RETURN_TO_ORIGINS;
+    delete process.env.RETURN_TO_ORIGINS;
+    try {
+      assert.throws(() => returnTo.parseReturnTo('https://allowed.example.com/'), NOT_ALLOWED);
+    } finally {
+      process.env.RETURN_TO_ORIGINS = previous;
+    }
+  });
+});
+
+describe('buildReturnUrl', () => {
+  it('adds the outcome and leaves out empty details', () => {
+    const url = returnTo.buildReturnUrl('https://allowed.example.com/onboarding?step=2', returnTo.STATUS_SUCCESS,
+      { username: 'seller1', error: null, app: undefined });
+    assert.equal(url, 'https://allowed.example.com/onboarding?step=2&status=success&username=seller1');
+  });
+});
+
+describe('/auth/login?return_to=', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    mock.restoreAll();
+  });
+
+  it('refuses to start an authorization that would return elsewhere', async () => {
+    const query = new URLSearchParams({ return_to: 'https://allowed.example.com.evil.com/' });
+    const response = await fetch(`${baseUrl}/auth/login?${query}`, { redirect: 'manual' });
+    assert.equal(response.status, 400);
+    assert.match(await response.text(), /not on an allowed origin/);
+  });
+
+  it('starts one that returns to an allowed origin', async () => {
+    const query = new URLSearchParams({ return_to: 'https://allowed.example.com/onboarding' });
+    const response = await fetch(`${baseUrl}/auth/login?${query}`, { redirect: 'manual' });
+    assert.equal(response.status, 302);
+    assert.match(response.headers.get('location'), /ebay\.com/);
+  });
+});
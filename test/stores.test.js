@@ -0,0 +1,156 @@
+/**
+ * Storage adapter contract (see stores/index.js), checked against every
+ * driver that runs without external services
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ebay-oauth-stores-'));
+process.env.TOKEN_STORE_DIR = dir;
+
+const { createStore } = require('../stores');
+
+let namespaces = 0;
+
+/**
+ * Create an adapter for a namespace no other test uses
+ * @param {string} driver - "memory" or "file"
+ * @returns {Object} Storage adapter
+ */
+function freshStore(driver) {
+  namespaces += 1;
+  return createStore(`contract_${namespaces}`, driver);
+}
+
+for (const driver of ['memory', 'file']) {
+  describe(`${driver} store`, () => {
+    let store;
+    before(() => {
+      store = freshStore(driver);
+    });
+
+    it('reports its driver', () => {
+      assert.equal(store.driver, driver);
+    });
+
+    it('saves and gets a record', async () => {
+      await store.save('a', { name: 'alpha', tags: [] });
+      assert.deepEqual(await store.get('a'), { name: 'alpha', tags: [] });
+    });
+
+    it('returns null for a missing record', async () => {
+      assert.equal(await store.get('missing'), null);
+    });
+
+    it('replaces a record on save', async () => {
+      await store.save('b', { name: 'beta', extra: true });
+      await store.save('b', { name: 'beta 2' });
+      assert.deepEqual(await store.get('b'), { name: 'beta 2' });
+    });
+
+    it('never hands out stored state to mutate', async () => {
+      const record = { name: 'gamma' };
+      await store.save('c', record);
+      record.name = 'changed';
+      const read = await store.get('c');
+      read.name = 'changed again';
+      assert.deepEqual(await store.get('c'), { name: 'gamma' });
+    });
+
+    it('shallow-merges updates and returns the merged record', async () => {
+      await store.save('d', { name: 'delta', count: 1 });
+      assert.deepEqual(await store.update('d', { count: 2 }), { name: 'delta', count: 2 });
+      assert.deepEqual(await store.get('d'), { name: 'delta', count: 2 });
+    });
+
+    it('does not create a record on update', async () => {
+      assert.equal(await store.update('nothing', { count: 1 }), null);
+      assert.equal(await store.get('nothing'), null);
+    });
+
+    it('deletes a record, and ignores a missing one', async () => {
+      await store.save('f', { name: 'phi' });
+      await store.delete('f');
+      await store.delete('f');
+      assert.equal(await store.get('f'), null);
+    });
+
+    it('hands out a taken record only once', async () => {
+      await store.save('t', { name: 'tau' });
+      assert.deepEqual(await store.take('t'), { name: 'tau' });
+      assert.equal(await store.take('t'), null);
+      assert.equal(await store.get('t'), null);
+    });
+
+    it('forgets a record once its TTL has passed', async (t) => {
+      await store.save('e', { name: 'epsilon' }, { ttlSeconds: 60 });
+      assert.deepEqual(await store.get('e'), { name: 'epsilon' });
+
+      const now = Date.now();
+      t.mock.method(Date, 'now', () => now + 61 * 1000);
+      assert.equal(await store.get('e'), null);
+      assert.equal(await store.take('e'), null);
+    });
+  });
+
+  describe(`${driver} store listings`, () => {
+    let store;
+    before(async () => {
+      store = freshStore(driver);
+      for (const id of ['c', 'a', 'b']) {
+        await store.save(id, { id });
+      }
+    });
+
+    it('lists every record keyed by id', async () => {
+      assert.deepEqual(await store.list(), {
+        a: { id: 'a' },
+        b: { id: 'b' },
+        c: { id: 'c' }
+      });
+    });
+
+    it('lists nothing for an empty namespace', async () => {
+      assert.deepEqual(await freshStore(driver).list(), {});
+    });
+
+    it('lists ids in order, page by page', async () => {
+      assert.deepEqual(await store.listIds(), ['a', 'b', 'c']);
+      assert.deepEqual(await store.listIds({ limit: 2 }), ['a', 'b']);
+      assert.deepEqual(await store.listIds({ after: 'b' }), ['c']);
+      assert.deepEqual(await store.listIds({ after: 'c', limit: 2 }), []);
+    });
+
+    it('gets the existing records among many ids', async () => {
+      assert.deepEqual(await store.getMany(['c', 'missing', 'a']), { a: { id: 'a' }, c: { id: 'c' } });
+      assert.deepEqual(await store.getMany([]), {});
+    });
+  });
+}
+
+describe('createStore', () => {
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('shares one adapter per driver and namespace', async () => {
+    assert.equal(createStore('shared', 'memory'), createStore('shared', 'memory'));
+    await createStore('shared', 'memory').save('x', { value: 1 });
+    assert.equal(await createStore('shared', 'file').get('x'), null);
+  });
+
+  it('rejects an unknown driver', () => {
+    const previous = process.env.TOKEN_STORE;
+    process.env.TOKEN_STORE = 'floppy';
+    try {
+      assert.throws(() => createStore('token'), /Unknown TOKEN_STORE "floppy"/);
+    } finally {
+      if (previous === undefined) delete process.env.TOKEN_STORE;
+      else process.env.TOKEN_STORE = previous;
+    }
+  });
+});
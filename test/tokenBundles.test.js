@@ -0,0 +1,196 @@
+/**
+ * tokenBundles: sealing and opening passphrase-encrypted bundles, and
+ * importing them with each conflict strategy
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+process.env.TOKEN_STORE = 'memory';
+process.env.TOKEN_ENCRYPTION_KEY = crypto.randomBytes(32).toString('hex');
+process.env.EBAY_ENVIRONMENT = 'PRODUCTION';
+
+const tokenManager = require('../tokenManager');
+const tokenBundles = require('../tokenBundles');
+const tokenCrypto = require('../tokenCrypto');
+const { createStore } = require('../stores');
+
+const { tokenKey } = tokenManager;
+
+const PASSPHRASE = 'correct horse battery staple';
+const EXPIRES_AT = Date.now() + 3600 * 1000;
+
+let stores = 0;
+
+// Every test starts with an empty token store
+beforeEach(() => {
+  stores += 1;
+  tokenManager.useStore(createStore(`bundle_test_${stores}`, 'memory'));
+});
+
+/**
+ * Build a plaintext record as loadTokens() returns it
+ * @param {string} userId - eBay user ID
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object} Record
+ */
+function record(userId, fields = {}) {
+  return {
+    accessToken: `access-${userId}`,
+    refreshToken: `refresh-${userId}`,
+    expiresAt: EXPIRES_AT,
+    status: tokenManager.STATUS_ACTIVE,
+    userId,
+    username: `seller-${userId}`,
+    authorizedAt: 1000,
+    ...fields
+  };
+}
+
+describe('sealBundle / openBundle', () => {
+  it('round-trips records without exposing them', async () => {
+    const records = { [tokenKey('u1')]: record('u1') };
+    const bundle = await tokenBundles.sealBundle(records, PASSPHRASE);
+
+    assert.equal(bundle.format, tokenBundles.FORMAT);
+    assert.equal(bundle.version, tokenBundles.VERSION);
+    assert.equal(bundle.count, 1);
+    assert.ok(!JSON.stringify(bundle).includes('refresh-u1'));
+    assert.deepEqual(await tokenBundles.openBundle(bundle, PASSPHRASE), records);
+  });
+
+  it('rejects a wrong passphrase', async () => {
+    const bundle = await tokenBundles.sealBundle({ [tokenKey('u2')]: record('u2') }, PASSPHRASE);
+    await assert.rejects(tokenBundles.openBundle(bundle, 'not the passphrase'), { code: 'BUNDLE_DECRYPT_FAILED' });
+  });
+
+  it('rejects a modified header or ciphertext', async () => {
+    const bundle = await tokenBundles.sealBundle({ [tokenKey('u3')]: record('u3') }, PASSPHRASE);
+    await assert.rejects(tokenBundles.openBundle({ ...bundle, count: 5 }, PASSPHRASE), { code: 'BUNDLE_DECRYPT_FAILED' });
+
+    const data = Buffer.from(bundle.data, 'base64url');
+    data[0] ^= 1;
+    await assert.rejects(tokenBundles.openBundle({ ...bundle, data: data.toString('base64url') }, PASSPHRASE),
+      { code: 'BUNDLE_DECRYPT_FAILED' });
+  });
+
+  it('rejects a short passphrase', async () => {
+    await assert.rejects(tokenBundles.sealBundle({}, 'too short'), { code: 'PASSPHRASE_INVALID' });
+  });
+
+  it('rejects bundles it cannot read', async () => {
+    const bundle = await tokenBundles.sealBundle({}, PASSPHRASE);
+    await assert.rejects(tokenBundles.openBundle({ tokens: {} }, PASSPHRASE), { code: 'BUNDLE_INVALID' });
+    await assert.rejects(tokenBundles.openBundle({ ...bundle, version: 2 }, PASSPHRASE), { code: 'BUNDLE_INVALID' });
+    await assert.rejects(tokenBundles.openBundle({ ...bundle, cipher: { name: 'aes-128-cbc' } }, PASSPHRASE),
+      { code: 'BUNDLE_INVALID' });
+  });
+
+  it('refuses a key derivation that would use too much memory', async () => {
+    const bundle = await tokenBundles.sealBundle({}, PASSPHRASE);
+    for (const kdf of [{ N: 1048576, r: 8 }, { N: 32768, r: 64 }, { p: 64 }, { N: 1000 }]) {
+      await assert.rejects(tokenBundles.openBundle({ ...bundle, kdf: { ...bundle.kdf, ...kdf } }, PASSPHRASE),
+        { code: 'BUNDLE_INVALID' });
+    }
+  });
+});
+
+describe('exportBundle / importBundle', () => {
+  it('moves every record into another store', async () => {
+    await tokenManager.saveTokens(tokenKey('u4'), 'access-4', 'refresh-4', 7200);
+    await tokenManager.saveTokens(tokenKey('u5', 'SANDBOX'), 'access-5', 'refresh-5', 7200);
+    const bundle = await tokenBundles.exportBundle(PASSPHRASE);
+    assert.equal(bundle.count, 2);
+
+    tokenManager.useStore(createStore('bundle_target', 'memory'));
+    const result = await tokenBundles.importBundle(bundle, PASSPHRASE);
+    assert.equal(result.created, 2);
+
+    const imported = await tokenManager.getTokens(tokenKey('u5', 'SANDBOX'));
+    assert.equal(imported.refreshToken, 'refresh-5');
+    const stored = await tokenManager.getStore().get(tokenKey('u5', 'SANDBOX'));
+    assert.ok(tokenCrypto.isEncrypted(stored.refreshToken));
+  });
+
+  it('fails instead of exporting an empty bundle when the store cannot be read', async () => {
+    const failing = {
+      ...createStore('bundle_failing', 'memory'),
+      list: async () => {
+        throw new Error('Connection is closed.');
+      }
+    };
+    tokenManager.useStore(failing);
+    await assert.rejects(tokenBundles.exportBundle(PASSPHRASE), /Connection is closed/);
+  });
+});
+
+describe('importTokens conflict strategies', () => {
+  const key = tokenKey('u6');
+
+  beforeEach(async () => {
+    await tokenManager.importTokens({ [key]: record('u6', { accessToken: 'stored', authorizedAt: 2000 }) });
+  });
+
+  it('skips existing users by default', async () => {
+    const result = await tokenManager.importTokens({
+      [key]: record('u6', { accessToken: 'imported', authorizedAt: 3000 }),
+      [tokenKey('u7')]: record('u7')
+    });
+    assert.deepEqual([result.created, result.overwritten, result.skipped], [1, 0, 1]);
+    assert.equal(result.changes[0].reason, 'exists');
+    assert.equal((await tokenManager.getTokens(key)).accessToken, 'stored');
+  });
+
+  it('overwrites existing users', async () => {
+    const result = await tokenManager.importTokens({ [key]: record('u6', { accessToken: 'imported', authorizedAt: 1 }) },
+      { conflict: 'overwrite' });
+    assert.equal(result.overwritten, 1);
+    assert.equal((await tokenManager.getTokens(key)).accessToken, 'imported');
+  });
+
+  it('keeps the newest authorization', async () => {
+    const older = await tokenManager.importTokens({ [key]: record('u6', { accessToken: 'older', authorizedAt: 1000 }) },
+      { conflict: 'keep-newest' });
+    assert.equal(older.changes[0].reason, 'existing is newer');
+    assert.equal((await tokenManager.getTokens(key)).accessToken, 'stored');
+
+    const newer = await tokenManager.importTokens({ [key]: record('u6', { accessToken: 'newer', authorizedAt: 3000 }) },
+      { conflict: 'keep-newest' });
+    assert.equal(newer.overwritten, 1);
+    assert.equal((await tokenManager.getTokens(key)).accessToken, 'newer');
+  });
+
+  it('skips an unchanged record under any strategy', async () => {
+    const result = await tokenManager.importTokens({ [key]: record('u6', { accessToken: 'stored', authorizedAt: 2000 }) },
+      { conflict: 'overwrite' });
+    assert.equal(result.skipped, 1);
+    assert.equal(result.changes[0].reason, 'unchanged');
+  });
+
+  it('reports without writing on a dry run', async () => {
+    const result = await tokenManager.importTokens({
+      [key]: record('u6', { accessToken: 'imported' }),
+      [tokenKey('u8')]: record('u8')
+    }, { conflict: 'overwrite', dryRun: true });
+
+    assert.equal(result.dryRun, true);
+    assert.deepEqual([result.created, result.overwritten], [1, 1]);
+    assert.equal((await tokenManager.getTokens(key)).accessToken, 'stored');
+    assert.equal(await tokenManager.getTokens(tokenKey('u8')), null);
+  });
+
+  it('reports invalid records and keeps going', async () => {
+    const result = await tokenManager.importTokens({
+      'not-a-key': record('x'),
+      [tokenKey('u9')]: record('u9', { refreshToken: '' }),
+      [tokenKey('u10')]: record('u10')
+    });
+    assert.deepEqual(result.invalid.map(({ key: invalidKey }) => invalidKey), ['not-a-key', tokenKey('u9')]);
+    assert.equal(result.created, 1);
+  });
+
+  it('rejects an unknown strategy', async () => {
+    await assert.rejects(tokenManager.importTokens({}, { conflict: 'merge' }), { code: 'INVALID_IMPORT' });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * tokenCrypto: encrypting token values with a rotating keyring, and
+ * re-encrypting stored records after a key rotation
+ */
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+process.env.TOKEN_STORE = 'memory';
+process.env.EBAY_ENVIRONMENT = 'PRODUCTION';
+
+const tokenCrypto = require('../tokenCrypto');
+const tokenManager = require('../tokenManager');
+const { createStore } = require('../stores');
+
+const { tokenKey } = tokenManager;
+
+const OLD_KEY = crypto.randomBytes(32).toString('hex');
+const NEW_KEY = crypto.randomBytes(32).toString('base64');
+
+/**
+ * Configure the keyring for the rest of a test
+ * @param {string|undefined} current - TOKEN_ENCRYPTION_KEY
+ * @param {string[]} [previous] - TOKEN_ENCRYPTION_PREVIOUS_KEYS
+ */
+function useKeys(current, previous = []) {
+  if (current === undefined) delete process.env.TOKEN_ENCRYPTION_KEY;
+  else process.env.TOKEN_ENCRYPTION_KEY = current;
+  process.env.TOKEN_ENCRYPTION_PREVIOUS_KEYS = previous.join(',');
+  tokenCrypto.resetKeyring();
+}
+
+let stores = 0;
+
+// Every test starts with an empty token store and only the old key
+beforeEach(() => {
+  stores += 1;
+  tokenManager.useStore(createStore(`crypto_test_${stores}`, 'memory'));
+  useKeys(OLD_KEY);
+});
+
+after(() => {
+  useKeys(undefined);
+});
+
+describe('encrypt / decrypt', () => {
+  it('tags each value with the ID of the key that wrote it', () => {
+    const first = tokenCrypto.encrypt('secret', 'u1:refreshToken');
+    const second = tokenCrypto.encrypt('secret', 'u1:refreshToken');
+
+    assert.ok(tokenCrypto.isEncrypted(first));
+    assert.notEqual(first, second);
+    assert.match(tokenCrypto.getKeyId(first), /^[0-9a-f]{12}$/);
+    assert.equal(tokenCrypto.getKeyId(first), tokenCrypto.getKeyId(second));
+    assert.equal(tokenCrypto.decrypt(first, 'u1:refreshToken'), 'secret');
+
+    useKeys(NEW_KEY);
+    assert.notEqual(tokenCrypto.getKeyId(tokenCrypto.encrypt('secret', 'u1:refreshToken')), tokenCrypto.getKeyId(first));
+  });
+
+  it('passes values through when no key is set', () => {
+    useKeys(undefined);
+    assert.equal(tokenCrypto.isEnabled(), false);
+    assert.equal(tokenCrypto.encrypt('secret', 'u1:refreshToken'), 'secret');
+    assert.equal(tokenCrypto.decrypt('secret', 'u1:refreshToken'), 'secret');
+    assert.equal(tokenCrypto.getKeyId('secret'), null);
+  });
+
+  it('decrypts values written with a previous key', () => {
+    const value = tokenCrypto.encrypt('secret', 'u2:accessToken');
+
+    useKeys(NEW_KEY, [OLD_KEY]);
+    assert.equal(tokenCrypto.decrypt(value, 'u2:accessToken'), 'secret');
+    assert.equal(tokenCrypto.needsReencryption(value), true);
+    assert.equal(tokenCrypto.needsReencryption(tokenCrypto.encrypt('secret', 'u2:accessToken')), false);
+    assert.equal(tokenCrypto.needsReencryption('plaintext'), true);
+
+    useKeys(NEW_KEY);
+    assert.throws(() => tokenCrypto.decrypt(value, 'u2:accessToken'), /is not configured/);
+  });
+
+  it('rejects a value moved to another user or field', () => {
+    const value = tokenCrypto.encrypt('secret', 'u3:refreshToken');
+    assert.throws(() => tokenCrypto.decrypt(value, 'u4:refreshToken'), /integrity check failed/);
+    assert.throws(() => tokenCrypto.decrypt(value, 'u3:accessToken'), /integrity check failed/);
+  });
+
+  it('rejects a modified ciphertext', () => {
+    const value = tokenCrypto.encrypt('secret', 'u5:refreshToken');
+    const parts = value.split(':');
+    const ciphertext = Buffer.from(parts[5], 'base64url');
+    ciphertext[0] ^= 1;
+    parts[5] = ciphertext.toString('base64url');
+
+    assert.throws(() => tokenCrypto.decrypt(parts.join(':'), 'u5:refreshToken'), /integrity check failed/);
+  });
+
+  it('rejects a key of the wrong length', () => {
+    useKeys('too-short');
+    assert.throws(() => tokenCrypto.isEnabled(), /must be 32 bytes/);
+  });
+});
+
+describe('reencryptTokens', () => {
+  it('moves records written with a previous key, or in plaintext, to the current key', async () => {
+    await tokenManager.saveTokens(tokenKey('u6'), 'access-6', 'refresh-6', 7200);
+    useKeys(undefined);
+    await tokenManager.saveTokens(tokenKey('u7'), 'access-7', 'refresh-7', 7200);
+
+    useKeys(NEW_KEY, [OLD_KEY]);
+    await tokenManager.saveTokens(tokenKey('u8'), 'access-8', 'refresh-8', 7200);
+    assert.deepEqual(await tokenManager.reencryptTokens(), { total: 3, reencrypted: 2 });
+
+    const currentKeyId = tokenCrypto.getKeyId(tokenCrypto.encrypt('x', 'x'));
+    for (const userId of ['u6', 'u7', 'u8']) {
+      const stored = await tokenManager.getStore().get(tokenKey(userId));
+      assert.equal(tokenCrypto.getKeyId(stored.accessToken), currentKeyId);
+      assert.equal(tokenCrypto.getKeyId(stored.refreshToken), currentKeyId);
+    }
+
+    useKeys(NEW_KEY);
+    assert.equal((await tokenManager.getTokens(tokenKey('u6'))).refreshToken, 'refresh-6');
+    assert.equal((await tokenManager.getTokens(tokenKey('u7'))).accessToken, 'access-7');
+    assert.deepEqual(await tokenManager.reencryptTokens(), { total: 3, reencrypted: 0 });
+  });
+
+  it('refuses to run without a current key', async () => {
+    useKeys(undefined);
+    await assert.rejects(tokenManager.reencryptTokens(), /TOKEN_ENCRYPTION_KEY is not set/);
+  });
+
+  it('fails instead of reporting success when the store cannot be read', async () => {
+    tokenManager.useStore({
+      ...createStore('crypto_failing', 'memory'),
+      list: async () => {
+        throw new Error('Connection is closed.');
+      }
+    });
+    await assert.rejects(tokenManager.reencryptTokens(), /Connection is closed/);
+  });
+});
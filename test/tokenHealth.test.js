@@ -0,0 +1,162 @@
+/**
+ * tokenHealth and /api/test: classifying every stored user, and test calls
+ * to eBay that don't answer as expected
+ */
+
+const { describe, it, beforeEach, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.TOKEN_STORE = 'memory';
+process.env.EBAY_ENVIRONMENT = 'PRODUCTION';
+process.env.EBAY_SCOPES = 'https://api.ebay.com/oauth/api_scope';
+process.env.EBAY_CLIENT_ID = 'test-client-id';
+process.env.EBAY_CLIENT_SECRET = 'test-client-secret';
+process.env.EBAY_REDIRECT_URI = 'test-ru-name';
+process.env.API_SECRET = 'test-root-secret';
+
+const tokenHealth = require('../tokenHealth');
+const tokenManager = require('../tokenManager');
+const app = require('../app');
+const { getAuthClient } = require('../ebayClient');
+const { createStore } = require('../stores');
+
+const { tokenKey } = tokenManager;
+
+const SCOPE = 'https://api.ebay.com/oauth/api_scope';
+
+let stores = 0;
+
+// Every test starts with an empty token store
+beforeEach(() => {
+  stores += 1;
+  tokenManager.useStore(createStore(`health_test_${stores}`, 'memory'));
+});
+
+/**
+ * Save a user whose username is their user ID
+ * @param {string} userId - eBay user ID
+ * @param {number} expiresIn - Access token lifetime in seconds
+ * @param {string[]} [scopes] - Granted scopes
+ */
+function saveUser(userId, expiresIn, scopes = [SCOPE]) {
+  return tokenManager.saveTokens(tokenKey(userId), `access-${userId}`, `refresh-${userId}`, expiresIn, { scopes });
+}
+
+describe('checkTokens', () => {
+  it('puts every user in one bucket', async t => {
+    t.mock.method(getAuthClient('PRODUCTION'), 'getAccessToken', async (environment, refreshToken) =>
+      JSON.stringify(refreshToken === 'refresh-dead'
+        ? { error: 'invalid_grant', error_description: 'revoked' }
+        : { access_token: 'fresh', expires_in: 7200 }));
+
+    await saveUser('healthy', 7200);
+    await saveUser('expired', 60);
+    await saveUser('narrow', 7200, []);
+    await saveUser('flagged', 7200);
+    await tokenManager.markNeedsReauth(tokenKey('flagged'), 'Refresh token expired');
+    await saveUser('dead', 60);
+
+    const result = await tokenHealth.checkTokens();
+    const health = Object.fromEntries(result.users.map(user => [user.username, user.health]));
+    assert.deepEqual(health, {
+      dead: 'needs_reauth',
+      expired: 'expired_refreshable',
+      flagged: 'needs_reauth',
+      healthy: 'healthy',
+      narrow: 'scope_missing'
+    });
+    assert.equal(result.status, 'degraded');
+    assert.equal(result.summary.total, 5);
+    assert.equal(result.summary.needs_reauth, 2);
+  });
+
+  it('only inspects when asked not to refresh', async t => {
+    const getAccessToken = t.mock.method(getAuthClient('PRODUCTION'), 'getAccessToken', async () => '{}');
+    await saveUser('expired', 60);
+
+    const result = await tokenHealth.checkTokens({ refresh: false });
+    assert.equal(result.users[0].health, 'expired_refreshable');
+    assert.equal(result.users[0].refreshed, false);
+    assert.equal(result.status, 'ok');
+    assert.equal(getAccessToken.mock.callCount(), 0);
+  });
+});
+
+describe('/api/test', () => {
+  const realFetch = globalThis.fetch;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    mock.restoreAll();
+  });
+
+  /**
+   * Answer eBay calls with a stub for the rest of a test
+   * @param {Object} t - Test context
+   * @param {Function} respond - (url, options) => Response
+   * @returns {Object} The mocked fetch
+   */
+  function stubEbay(t, respond) {
+    return t.mock.method(globalThis, 'fetch', (url, options) =>
+      String(url).startsWith(baseUrl) ? realFetch(url, options) : respond(url, options));
+  }
+
+  /**
+   * Run a test call for a user
+   * @param {string} user - Username
+   * @returns {Promise<Response>} Response
+   */
+  function testUser(user) {
+    return realFetch(`${baseUrl}/api/test/${user}`, { headers: { 'x-api-secret': 'test-root-secret' } });
+  }
+
+  it('passes eBay JSON through, with a time limit on the call', async t => {
+    const fetchStub = stubEbay(t, async () => Response.json({ sellerRegistrationCompleted: true }));
+    await saveUser('seller1', 7200);
+
+    const response = await testUser('seller1');
+    assert.equal(response.status, 200);
+    assert.deepEqual((await response.json()).data, { sellerRegistrationCompleted: true });
+    assert.ok(fetchStub.mock.calls[0].arguments[1].signal instanceof AbortSignal);
+  });
+
+  it('reports a body that is not JSON', async t => {
+    stubEbay(t, async () => new Response('<html>Bad Gateway</html>', { status: 502 }));
+    await saveUser('seller2', 7200);
+
+    const response = await testUser('seller2');
+    assert.equal(response.status, 200);
+    assert.deepEqual((await response.json()).data, { body: '<html>Bad Gateway</html>' });
+  });
+
+  it('answers 504 when eBay does not respond in time', async t => {
+    stubEbay(t, async () => {
+      throw new DOMException('The operation was aborted due to timeout', 'TimeoutError');
+    });
+    await saveUser('seller3', 7200);
+
+    const response = await testUser('seller3');
+    assert.equal(response.status, 504);
+    assert.match((await response.json()).error, /did not respond/);
+  });
+
+  it('answers 502 when eBay cannot be reached', async t => {
+    stubEbay(t, async () => {
+      throw new TypeError('fetch failed', { cause: new Error('getaddrinfo ENOTFOUND api.ebay.com') });
+    });
+    await saveUser('seller4', 7200);
+
+    const response = await testUser('seller4');
+    assert.equal(response.status, 502);
+    assert.match((await response.json()).error, /ENOTFOUND/);
+  });
+});
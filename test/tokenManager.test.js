@@ -0,0 +1,397 @@
+/**
+ * tokenManager: saving, reading, updating and deleting token records, per
+ * app and environment
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.TOKEN_STORE = 'memory';
+process.env.EBAY_ENVIRONMENT = 'PRODUCTION';
+process.env.EBAY_CLIENT_ID = 'test-client-id';
+process.env.EBAY_CLIENT_SECRET = 'test-client-secret';
+process.env.EBAY_REDIRECT_URI = 'test-ru-name';
+process.env.EBAY_SCOPES = 'https://api.ebay.com/oauth/api_scope';
+process.env.EBAY_APPS = JSON.stringify({
+  shop2: { scopes: ['https://api.ebay.com/oauth/api_scope/sell.inventory'] }
+});
+
+const tokenManager = require('../tokenManager');
+const { getAuthClient } = require('../ebayClient');
+const { createStore } = require('../stores');
+
+const { tokenKey } = tokenManager;
+
+let stores = 0;
+
+// Every test starts with an empty token store
+beforeEach(() => {
+  stores += 1;
+  tokenManager.useStore(createStore(`token_test_${stores}`, 'memory'));
+});
+
+/**
+ * Stub eBay's refresh token grant for the rest of a test
+ * @param {Object} t - Test context
+ * @param {Function} respond - (environment, refreshToken, scopes) => response body
+ * @returns {Object} The mocked getAccessToken
+ */
+function stubRefresh(t, respond) {
+  return t.mock.method(getAuthClient('PRODUCTION'), 'getAccessToken', async (...args) => JSON.stringify(respond(...args)));
+}
+
+describe('saveTokens', () => {
+  it('stores a record that getTokens reads back', async () => {
+    const before = Date.now();
+    await tokenManager.saveTokens(tokenKey('seller1'), 'access-1', 'refresh-1', 7200);
+
+    const tokens = await tokenManager.getTokens(tokenKey('seller1'));
+    assert.equal(tokens.accessToken, 'access-1');
+    assert.equal(tokens.refreshToken, 'refresh-1');
+    assert.equal(tokens.username, 'seller1');
+    assert.equal(tokens.userId, null);
+    assert.equal(tokens.environment, 'PRODUCTION');
+    assert.ok(tokens.expiresAt >= before + 7200 * 1000);
+  });
+
+  it('replaces an existing record', async () => {
+    await tokenManager.saveTokens(tokenKey('seller2'), 'access-1', 'refresh-1', 7200);
+    await tokenManager.saveTokens(tokenKey('seller2'), 'access-2', 'refresh-2', 7200);
+
+    const tokens = await tokenManager.getTokens(tokenKey('seller2'));
+    assert.equal(tokens.accessToken, 'access-2');
+    assert.equal(tokens.refreshToken, 'refresh-2');
+  });
+
+  it('returns null for an unknown user', async () => {
+    assert.equal(await tokenManager.getTokens(tokenKey('nobody')), null);
+  });
+});
+
+describe('identity', () => {
+  const identity = { userId: 'nY9Ndvf6RXi', username: 'seller17', accountType: 'BUSINESS' };
+  const tokens = { accessToken: 'access-1', refreshToken: 'refresh-1', expiresIn: 7200 };
+
+  it('keys an authorization by eBay user ID and finds it by username', async () => {
+    const { key, mergedFrom } = await tokenManager.saveAuthorization(identity, 'SANDBOX', 'default', tokens);
+    assert.equal(key, 'default:sandbox:nY9Ndvf6RXi');
+    assert.equal(mergedFrom, null);
+
+    const found = await tokenManager.findTokens('seller17', 'SANDBOX');
+    assert.equal(found.key, key);
+    assert.equal(found.tokens.userId, 'nY9Ndvf6RXi');
+    assert.equal(found.tokens.accountType, 'BUSINESS');
+    assert.equal((await tokenManager.findTokens('nY9Ndvf6RXi', 'SANDBOX')).key, key);
+    assert.equal(await tokenManager.findTokens('seller17', 'PRODUCTION'), null);
+  });
+
+  it('keeps the identity and counts authorizations when saved again', async () => {
+    const key = tokenKey('u18');
+    await tokenManager.saveTokens(key, 'access-1', 'refresh-1', 7200, { identity: { ...identity, userId: 'u18' } });
+    const first = await tokenManager.getTokens(key);
+    await tokenManager.saveTokens(key, 'access-2', 'refresh-2', 7200);
+    const second = await tokenManager.getTokens(key);
+
+    assert.equal(second.username, 'seller17');
+    assert.equal(second.accountType, 'BUSINESS');
+    assert.equal(second.firstAuthorizedAt, first.firstAuthorizedAt);
+    assert.equal(first.authorizationCount, 1);
+    assert.equal(second.authorizationCount, 2);
+  });
+
+  it('keeps the tenant when saved again without one', async () => {
+    const key = tokenKey('u21');
+    await tokenManager.saveTokens(key, 'access-1', 'refresh-1', 7200, { tenantId: 'acme' });
+    await tokenManager.saveAuthorization({ userId: 'u21', username: 'seller21' }, 'PRODUCTION', 'default', tokens);
+    await tokenManager.saveTokens(key, 'access-3', 'refresh-3', 7200);
+
+    const saved = await tokenManager.getTokens(key);
+    assert.equal(saved.accessToken, 'access-3');
+    assert.equal(saved.tenantId, 'acme');
+  });
+
+  it('folds a record keyed by username into the user ID record', async () => {
+    const usernameKey = tokenKey('seller19');
+    await tokenManager.saveTokens(usernameKey, 'old-access', 'old-refresh', 7200);
+
+    const { key, mergedFrom } = await tokenManager.saveAuthorization(
+      { userId: 'u19', username: 'seller19' }, 'PRODUCTION', 'default', tokens);
+
+    assert.equal(mergedFrom, usernameKey);
+    assert.equal(await tokenManager.getTokens(usernameKey), null);
+    const merged = await tokenManager.getTokens(key);
+    assert.equal(merged.accessToken, 'access-1');
+    assert.equal(merged.authorizationCount, 2);
+  });
+
+  it('follows a username change', async () => {
+    await tokenManager.saveAuthorization({ userId: 'u20', username: 'old-name' }, 'PRODUCTION', 'default', tokens);
+    await tokenManager.saveAuthorization({ userId: 'u20', username: 'new-name' }, 'PRODUCTION', 'default', tokens);
+
+    assert.equal((await tokenManager.findTokens('new-name')).tokens.username, 'new-name');
+    assert.equal(await tokenManager.findTokens('old-name'), null);
+  });
+});
+
+describe('environments', () => {
+  it('keeps sandbox and production records of the same user apart', async () => {
+    await tokenManager.saveTokens(tokenKey('seller10', 'SANDBOX'), 'sandbox-access', 'sandbox-refresh', 7200);
+    await tokenManager.saveTokens(tokenKey('seller10', 'PRODUCTION'), 'production-access', 'production-refresh', 7200);
+
+    const sandbox = await tokenManager.getTokens(tokenKey('seller10', 'SANDBOX'));
+    assert.equal(sandbox.accessToken, 'sandbox-access');
+    assert.equal(sandbox.environment, 'SANDBOX');
+    assert.equal((await tokenManager.getTokens(tokenKey('seller10'))).accessToken, 'production-access');
+  });
+
+  it('moves a record keyed by bare username to the default environment', async () => {
+    await tokenManager.getStore().save('seller11', {
+      userId: 'seller11',
+      accessToken: 'legacy-access',
+      refreshToken: 'legacy-refresh',
+      expiresAt: Date.now() + 3600 * 1000
+    });
+
+    const tokens = await tokenManager.getTokens(tokenKey('seller11'));
+    assert.equal(tokens.accessToken, 'legacy-access');
+    assert.equal(tokens.environment, 'PRODUCTION');
+    assert.equal(await tokenManager.getStore().get('seller11'), null);
+    assert.equal(await tokenManager.getTokens(tokenKey('seller11', 'SANDBOX')), null);
+  });
+
+  it('moves legacy records while loading all tokens', async () => {
+    await tokenManager.getStore().save('seller12', { userId: 'seller12', accessToken: 'a', refreshToken: 'r' });
+    assert.deepEqual(Object.keys(await tokenManager.loadTokens()), [tokenKey('seller12')]);
+  });
+});
+
+describe('scopes', () => {
+  it('records the scopes the user granted', async () => {
+    const scopes = ['https://api.ebay.com/oauth/api_scope/sell.fulfillment'];
+    await tokenManager.saveTokens(tokenKey('seller15'), 'a', 'r', 7200, { scopes, scopeProfile: 'fulfillment-only' });
+
+    const tokens = await tokenManager.getTokens(tokenKey('seller15'));
+    assert.deepEqual(tokens.scopes, scopes);
+    assert.equal(tokens.scopeProfile, 'fulfillment-only');
+  });
+
+  it("defaults to the app's scopes", async () => {
+    await tokenManager.saveTokens(tokenKey('seller16', 'PRODUCTION', 'shop2'), 'a', 'r', 7200);
+
+    const tokens = await tokenManager.getTokens(tokenKey('seller16', 'PRODUCTION', 'shop2'));
+    assert.deepEqual(tokens.scopes, ['https://api.ebay.com/oauth/api_scope/sell.inventory']);
+    assert.equal(tokens.scopeProfile, null);
+  });
+
+  it('lists the required scopes a user did not grant', () => {
+    const tokens = { app: 'default', scopes: ['scope-a', 'scope-b'] };
+    assert.deepEqual(tokenManager.missingScopes(tokens, ['scope-a', 'scope-c']), ['scope-c']);
+    assert.deepEqual(tokenManager.missingScopes(tokens, []), []);
+  });
+});
+
+describe('apps', () => {
+  it('keys records by app as well as environment', async () => {
+    await tokenManager.saveTokens(tokenKey('seller13', 'PRODUCTION', 'shop2'), 'shop2-access', 'shop2-refresh', 7200);
+
+    assert.equal(tokenKey('seller13', 'SANDBOX', 'shop2'), 'shop2:sandbox:seller13');
+    assert.equal((await tokenManager.getTokens(tokenKey('seller13', 'PRODUCTION', 'shop2'))).accessToken, 'shop2-access');
+    assert.equal(await tokenManager.getTokens(tokenKey('seller13')), null);
+  });
+
+  it('moves a record keyed by environment and username to the default app', async () => {
+    await tokenManager.getStore().save('sandbox:seller14', { userId: 'seller14', accessToken: 'a', refreshToken: 'r' });
+
+    const tokens = await tokenManager.getTokens(tokenKey('seller14', 'SANDBOX'));
+    assert.equal(tokens.accessToken, 'a');
+    assert.equal(tokens.app, 'default');
+    assert.deepEqual(Object.keys(await tokenManager.loadTokens()), ['default:sandbox:seller14']);
+  });
+});
+
+describe('loadTokens', () => {
+  it('loads every record keyed by user', async () => {
+    await tokenManager.saveTokens(tokenKey('seller3'), 'access-3', 'refresh-3', 7200);
+    await tokenManager.saveTokens(tokenKey('seller4'), 'access-4', 'refresh-4', 7200);
+
+    const tokens = await tokenManager.loadTokens();
+    assert.deepEqual(Object.keys(tokens).sort(), [tokenKey('seller3'), tokenKey('seller4')]);
+    assert.equal(tokens[tokenKey('seller4')].refreshToken, 'refresh-4');
+  });
+});
+
+describe('inspectTokens', () => {
+  it('counts records under legacy keys without moving them', async () => {
+    await tokenManager.saveTokens(tokenKey('seller15'), 'access-15', 'refresh-15', 7200);
+    await tokenManager.getStore().save('sandbox:seller16', { userId: 'seller16', accessToken: 'a', refreshToken: 'r' });
+
+    assert.deepEqual(await tokenManager.inspectTokens(), { total: 2, legacy: 1, stale: 0 });
+    const { records } = await tokenManager.listTokens({ migrate: false });
+    assert.deepEqual(records.map(({ key }) => key), [tokenKey('seller15')]);
+    assert.deepEqual(await tokenManager.getStore().listIds(), [tokenKey('seller15'), 'sandbox:seller16']);
+  });
+});
+
+describe('expiry', () => {
+  it('treats a token expiring within five minutes as expired', async () => {
+    await tokenManager.saveTokens(tokenKey('seller5'), 'access-5', 'refresh-5', 60);
+    await tokenManager.saveTokens(tokenKey('seller6'), 'access-6', 'refresh-6', 7200);
+
+    assert.equal(await tokenManager.isTokenExpired(tokenKey('seller5')), true);
+    assert.equal(await tokenManager.isTokenExpired(tokenKey('seller6')), false);
+    assert.equal(await tokenManager.isTokenExpired(tokenKey('nobody')), true);
+    assert.equal(tokenManager.hasExpired(null), true);
+    assert.equal(tokenManager.hasExpired({}), true);
+  });
+
+  it('updates the access token and its expiry but keeps the refresh token', async () => {
+    await tokenManager.saveTokens(tokenKey('seller7'), 'access-1', 'refresh-1', 60);
+    await tokenManager.updateAccessToken(tokenKey('seller7'), 'access-2', 7200);
+
+    const tokens = await tokenManager.getTokens(tokenKey('seller7'));
+    assert.equal(tokens.accessToken, 'access-2');
+    assert.equal(tokens.refreshToken, 'refresh-1');
+    assert.equal(tokenManager.hasExpired(tokens), false);
+  });
+});
+
+describe('deleteTokens', () => {
+  it('removes only that user', async () => {
+    await tokenManager.saveTokens(tokenKey('seller8'), 'access-8', 'refresh-8', 7200);
+    await tokenManager.saveTokens(tokenKey('seller9'), 'access-9', 'refresh-9', 7200);
+    await tokenManager.deleteTokens(tokenKey('seller8'));
+
+    assert.equal(await tokenManager.getTokens(tokenKey('seller8')), null);
+    assert.deepEqual(Object.keys(await tokenManager.loadTokens()), [tokenKey('seller9')]);
+  });
+});
+
+describe('getValidAccessToken', () => {
+  it('returns a valid token without calling eBay', async t => {
+    const getAccessToken = stubRefresh(t, () => ({ access_token: 'never', expires_in: 7200 }));
+    const key = tokenKey('u21');
+    await tokenManager.saveTokens(key, 'access-1', 'refresh-1', 7200);
+
+    const result = await tokenManager.getValidAccessToken(key);
+    assert.equal(result.accessToken, 'access-1');
+    assert.equal(result.refreshed, false);
+    assert.equal(getAccessToken.mock.callCount(), 0);
+  });
+
+  it('refreshes an expired token with the granted scopes', async t => {
+    const getAccessToken = stubRefresh(t, () => ({ access_token: 'access-2', expires_in: 7200 }));
+    const key = tokenKey('u22');
+    await tokenManager.saveTokens(key, 'access-1', 'refresh-1', 60, { scopes: ['scope-a', 'scope-b'] });
+
+    const result = await tokenManager.getValidAccessToken(key);
+    assert.equal(result.accessToken, 'access-2');
+    assert.equal(result.refreshed, true);
+    assert.deepEqual(getAccessToken.mock.calls[0].arguments, ['PRODUCTION', 'refresh-1', ['scope-a', 'scope-b']]);
+
+    const tokens = await tokenManager.getTokens(key);
+    assert.equal(tokens.accessToken, 'access-2');
+    assert.equal(tokens.refreshToken, 'refresh-1');
+    assert.ok(tokens.expiresAt > Date.now() + 3600 * 1000);
+  });
+
+  it('shares one refresh between concurrent callers', async t => {
+    const getAccessToken = stubRefresh(t, () => ({ access_token: 'access-2', expires_in: 7200 }));
+    const key = tokenKey('u23');
+    await tokenManager.saveTokens(key, 'access-1', 'refresh-1', 60);
+
+    const results = await Promise.all([1, 2, 3].map(() => tokenManager.getValidAccessToken(key)));
+    assert.deepEqual(results.map(result => result.accessToken), ['access-2', 'access-2', 'access-2']);
+    assert.equal(getAccessToken.mock.callCount(), 1);
+  });
+
+  it('flags the user when eBay rejects the refresh token', async t => {
+    stubRefresh(t, () => ({ error: 'invalid_grant', error_description: 'the refresh token was revoked' }));
+    const key = tokenKey('u24');
+    await tokenManager.saveTokens(key, 'access-1', 'refresh-1', 60);
+
+    await assert.rejects(tokenManager.getValidAccessToken(key), { code: 'NEEDS_REAUTH' });
+    const tokens = await tokenManager.getTokens(key);
+    assert.equal(tokens.status, tokenManager.STATUS_NEEDS_REAUTH);
+    assert.equal(tokens.reauthReason, 'the refresh token was revoked');
+  });
+
+  it('does not try a refresh token that has expired', async t => {
+    const getAccessToken = stubRefresh(t, () => ({ access_token: 'never', expires_in: 7200 }));
+    const key = tokenKey('u25');
+    await tokenManager.saveTokens(key, 'access-1', 'refresh-1', 60, { refreshTokenExpiresIn: 1 });
+    await tokenManager.getStore().update(key, { refreshTokenExpiresAt: Date.now() - 1000 });
+
+    await assert.rejects(tokenManager.getValidAccessToken(key), { code: 'NEEDS_REAUTH' });
+    assert.equal(getAccessToken.mock.callCount(), 0);
+    assert.equal((await tokenManager.getTokens(key)).status, tokenManager.STATUS_NEEDS_REAUTH);
+  });
+
+  it('passes other eBay errors through without flagging the user', async t => {
+    stubRefresh(t, () => ({ error: 'server_error', error_description: 'try again later' }));
+    const key = tokenKey('u26');
+    await tokenManager.saveTokens(key, 'access-1', 'refresh-1', 60);
+
+    await assert.rejects(tokenManager.getValidAccessToken(key), { code: 'server_error' });
+    assert.equal((await tokenManager.getTokens(key)).status, tokenManager.STATUS_ACTIVE);
+  });
+
+  it('starts a flagged user over as active when they authorize again', async () => {
+    const key = tokenKey('u27');
+    await tokenManager.saveTokens(key, 'access-1', 'refresh-1', 7200);
+    await tokenManager.markNeedsReauth(key, 'Refresh token revoked');
+    assert.ok(tokenManager.needsReauth(await tokenManager.getTokens(key)));
+
+    await tokenManager.saveTokens(key, 'access-2', 'refresh-2', 7200);
+    assert.equal(tokenManager.tokenStatus(await tokenManager.getTokens(key)), tokenManager.STATUS_ACTIVE);
+  });
+});
+
+describe('listTokens', () => {
+  beforeEach(async () => {
+    await tokenManager.saveTokens(tokenKey('u30'), 'a', 'r', 7200, { identity: { userId: 'u30', username: 'carol' } });
+    await tokenManager.saveTokens(tokenKey('u31'), 'a', 'r', 60, { identity: { userId: 'u31', username: 'alice' } });
+    await tokenManager.saveTokens(tokenKey('u32'), 'a', 'r', 3600, { identity: { userId: 'u32', username: 'bob' } });
+    await tokenManager.saveTokens(tokenKey('u33', 'SANDBOX'), 'a', 'r', 7200);
+  });
+
+  it('pages through records in key order without their secrets', async () => {
+    const first = await tokenManager.listTokens({ limit: 2 });
+    assert.deepEqual(first.records.map(({ key }) => key), [tokenKey('u30'), tokenKey('u31')]);
+    assert.equal(first.records[0].record.accessToken, undefined);
+    assert.equal(first.records[0].record.refreshToken, undefined);
+
+    const second = await tokenManager.listTokens({ limit: 2, cursor: first.nextCursor });
+    assert.deepEqual(second.records.map(({ key }) => key), [tokenKey('u32'), tokenKey('u33', 'SANDBOX')]);
+
+    // A full page can't tell whether more follow
+    assert.deepEqual(await tokenManager.listTokens({ limit: 2, cursor: second.nextCursor }), { records: [], nextCursor: null });
+  });
+
+  it('filters by key before reading records, and by record after', async () => {
+    const matchKey = key => key.startsWith(tokenKey('', 'PRODUCTION'));
+    const { records } = await tokenManager.listTokens({ matchKey, match: (key, tokens) => tokens.username !== 'bob' });
+    assert.deepEqual(records.map(({ record }) => record.username), ['carol', 'alice']);
+  });
+
+  it('pages through records in a sort order', async () => {
+    const matchKey = key => key.startsWith(tokenKey('', 'PRODUCTION'));
+    const first = await tokenManager.listTokens({ matchKey, sort: 'username', order: 'desc', limit: 2 });
+    assert.deepEqual(first.records.map(({ record }) => record.username), ['carol', 'bob']);
+
+    const second = await tokenManager.listTokens({ matchKey, sort: 'username', order: 'desc', limit: 2, cursor: first.nextCursor });
+    assert.deepEqual(second.records.map(({ record }) => record.username), ['alice']);
+    assert.equal(second.nextCursor, null);
+
+    const { records } = await tokenManager.listTokens({ matchKey, sort: 'expiresAt' });
+    assert.deepEqual(records.map(({ record }) => record.username), ['alice', 'bob', 'carol']);
+  });
+
+  it('rejects unknown sorts, orders and cursors', async () => {
+    await assert.rejects(tokenManager.listTokens({ sort: 'password' }), { code: 'INVALID_LIST_OPTION' });
+    await assert.rejects(tokenManager.listTokens({ order: 'sideways' }), { code: 'INVALID_LIST_OPTION' });
+    await assert.rejects(tokenManager.listTokens({ cursor: 'garbage' }), { code: 'INVALID_LIST_OPTION' });
+
+    const { nextCursor } = await tokenManager.listTokens({ limit: 1 });
+    await assert.rejects(tokenManager.listTokens({ sort: 'username', cursor: nextCursor }), { code: 'INVALID_LIST_OPTION' });
+  });
+});
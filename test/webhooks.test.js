@@ -0,0 +1,154 @@
+/**
+ * webhooks: signed deliveries, retries with exponential backoff and giving up
+ * after WEBHOOK_MAX_ATTEMPTS, against a stubbed endpoint
+ */
+
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+process.env.TOKEN_STORE = 'memory';
+process.env.WEBHOOK_URL = 'https://hooks.example.com/ebay';
+process.env.WEBHOOK_SECRET = 'test-webhook-secret';
+
+const webhooks = require('../webhooks');
+const { createStore } = require('../stores');
+
+const BASE_MS = 30 * 1000;
+
+/**
+ * Queue an event and wait for its first, background, delivery attempt
+ * @param {string} event - Event name
+ * @param {Object} data - Event data
+ * @returns {Promise<string>} Delivery ID
+ */
+async function notifyAndSettle(event, data) {
+  const [id] = await webhooks.notify(event, data);
+  for (;;) {
+    const delivery = await webhooks.getDelivery(id);
+    if (!delivery || delivery.attempts > 0) return id;
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+/**
+ * Run the queue as if the clock stood at a delivery's next attempt
+ * @param {Object} t - Test context
+ * @param {string} id - Delivery ID
+ * @returns {Promise<Object>} Queue summary
+ */
+async function processWhenDue(t, id) {
+  const { nextAttemptAt } = await webhooks.getDelivery(id);
+  const clock = t.mock.method(Date, 'now', () => nextAttemptAt);
+  try {
+    return await webhooks.processQueue();
+  } finally {
+    clock.mock.restore();
+  }
+}
+
+describe('webhooks', () => {
+  before(() => {
+    mock.method(console, 'error', () => {});
+  });
+
+  // Every test starts with an empty queue
+  afterEach(async () => {
+    const store = createStore('webhook_delivery');
+    for (const id of await store.listIds()) {
+      await store.delete(id);
+    }
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it('signs the timestamp and exact body with the endpoint secret', async t => {
+    const send = t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 204 }));
+
+    const id = await notifyAndSettle('authorization', { username: 'seller1' });
+    assert.equal(send.mock.callCount(), 1);
+
+    const [url, { headers, body }] = send.mock.calls[0].arguments;
+    const expected = crypto.createHmac('sha256', 'test-webhook-secret')
+      .update(`${headers['X-Webhook-Timestamp']}.${body}`)
+      .digest('hex');
+    assert.equal(url, 'https://hooks.example.com/ebay');
+    assert.equal(headers['X-Webhook-Signature'], `sha256=${expected}`);
+    assert.equal(headers['X-Webhook-Id'], id);
+    assert.equal(headers['X-Webhook-Event'], 'authorization');
+    assert.deepEqual(JSON.parse(body).data, { username: 'seller1' });
+
+    // Delivered webhooks leave the queue
+    assert.equal(await webhooks.getDelivery(id), null);
+  });
+
+  it('retries a failed delivery with exponential backoff', async t => {
+    const send = t.mock.method(globalThis, 'fetch', async () => new Response('down', { status: 503 }));
+
+    const id = await notifyAndSettle('token_refreshed', { username: 'seller1' });
+    for (const delayMs of [BASE_MS, 2 * BASE_MS, 4 * BASE_MS]) {
+      const delivery = await webhooks.getDelivery(id);
+      assert.equal(delivery.status, webhooks.STATUS_PENDING);
+      assert.equal(delivery.nextAttemptAt - delivery.lastAttemptAt, delayMs);
+      assert.equal(delivery.lastError, 'HTTP 503 down');
+      assert.deepEqual(await processWhenDue(t, id), { due: 1, delivered: 0, retrying: 1, failed: 0 });
+    }
+    assert.equal(send.mock.callCount(), 4);
+
+    // Every attempt is the same delivery, signed afresh
+    const ids = send.mock.calls.map(call => call.arguments[1].headers['X-Webhook-Id']);
+    assert.deepEqual(ids, [id, id, id, id]);
+  });
+
+  it('caps the backoff at WEBHOOK_RETRY_MAX_SECONDS', async t => {
+    t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 500 }));
+    process.env.WEBHOOK_RETRY_MAX_SECONDS = '45';
+    try {
+      const id = await notifyAndSettle('token_refreshed', { username: 'seller1' });
+      await processWhenDue(t, id);
+      await processWhenDue(t, id);
+
+      const delivery = await webhooks.getDelivery(id);
+      assert.equal(delivery.attempts, 3);
+      assert.equal(delivery.nextAttemptAt - delivery.lastAttemptAt, 45 * 1000);
+    } finally {
+      delete process.env.WEBHOOK_RETRY_MAX_SECONDS;
+    }
+  });
+
+  it('leaves a delivery that is not yet due alone', async t => {
+    const send = t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 500 }));
+
+    await notifyAndSettle('reauth_required', { username: 'seller1' });
+    assert.deepEqual(await webhooks.processQueue(), { due: 0, delivered: 0, retrying: 0, failed: 0 });
+    assert.equal(send.mock.callCount(), 1);
+  });
+
+  it('gives up after WEBHOOK_MAX_ATTEMPTS and keeps the delivery', async t => {
+    const send = t.mock.method(globalThis, 'fetch', async () => {
+      throw new TypeError('fetch failed');
+    });
+    process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+    try {
+      const id = await notifyAndSettle('tokens_deleted', { username: 'seller1' });
+      await processWhenDue(t, id);
+      assert.deepEqual(await processWhenDue(t, id), { due: 1, delivered: 0, retrying: 0, failed: 1 });
+
+      const delivery = await webhooks.getDelivery(id);
+      assert.equal(delivery.status, webhooks.STATUS_FAILED);
+      assert.equal(delivery.attempts, 3);
+      assert.equal(delivery.nextAttemptAt, null);
+      assert.equal(delivery.lastError, 'fetch failed');
+      assert.deepEqual((await webhooks.listDeliveries({ status: 'failed' })).map(failed => failed.id), [id]);
+
+      // Failed deliveries wait for a replay
+      t.mock.method(Date, 'now', () => delivery.lastAttemptAt + 24 * 60 * 60 * 1000);
+      assert.deepEqual(await webhooks.processQueue(), { due: 0, delivered: 0, retrying: 0, failed: 0 });
+      assert.equal(send.mock.callCount(), 3);
+    } finally {
+      delete process.env.WEBHOOK_MAX_ATTEMPTS;
+    }
+  });
+});
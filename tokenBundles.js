@@ -0,0 +1,207 @@
+/**
+ * Token Bundles - Passphrase-encrypted backups of every token record
+ *
+ * A bundle is a JSON document that can be stored anywhere, then imported into
+ * any deployment or token store (e.g. from tokens.json into Redis):
+ *
+ *   {
+ *     "format": "ebay-oauth-token-bundle",
+ *     "version": 1,
+ *     "createdAt": "2024-01-01T00:00:00.000Z",
+ *     "count": 2,
+ *     "kdf": { "name": "scrypt", "N": 32768, "r": 8, "p": 1, "salt": "..." },
+ *     "cipher": { "name": "aes-256-gcm", "iv": "...", "tag": "..." },
+ *     "data": "..."
+ *   }
+ *
+ * The key is derived from the passphrase with scrypt. The records are
+ * encrypted with AES-256-GCM, and the header is authenticated along with
+ * them, so neither can be altered unnoticed. Records inside are plaintext
+ * (not tied to TOKEN_ENCRYPTION_KEY); importing encrypts them with the
+ * target's key.
+ */
+
+const crypto = require('crypto');
+const tokenManager = require('./tokenManager');
+const { createError } = require('./errors');
+
+const FORMAT = 'ebay-oauth-token-bundle';
+const VERSION = 1;
+
+const MIN_PASSPHRASE_LENGTH = 12;
+
+// scrypt cost for new bundles (about 32 MB of memory per derivation)
+const KDF_PARAMS = { N: 32768, r: 8, p: 1 };
+
+// Most memory a derivation may use (scrypt needs 128 * N * r bytes), twice
+// what new bundles need. A bundle asking for more is rejected, so a crafted
+// one can't exhaust memory.
+const MAX_KDF_MEMORY = 2 * 128 * KDF_PARAMS.N * KDF_PARAMS.r;
+const MAX_KDF_P = 4;
+
+/**
+ * Check a passphrase before using it
+ * @param {*} passphrase - Candidate passphrase
+ * @throws {Error} With code PASSPHRASE_INVALID if missing or too short
+ */
+function checkPassphrase(passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw createError('PASSPHRASE_INVALID', `A passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters is required`);
+  }
+}
+
+/**
+ * Derive the bundle key from a passphrase
+ * @param {string} passphrase - Passphrase
+ * @param {Object} kdf - { N, r, p, salt }
+ * @returns {Promise<Buffer>} 32-byte key
+ */
+function deriveKey(passphrase, kdf) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(passphrase, Buffer.from(kdf.salt, 'base64url'), 32, {
+      N: kdf.N,
+      r: kdf.r,
+      p: kdf.p,
+      // Headroom over MAX_KDF_MEMORY for scrypt's smaller buffers
+      maxmem: MAX_KDF_MEMORY + 1024 * 1024
+    }, (error, key) => (error ? reject(error) : resolve(key)));
+  });
+}
+
+/**
+ * Build the authenticated header of a bundle: everything except the
+ * ciphertext and its tag
+ * @param {Object} bundle - Bundle
+ * @returns {Buffer} Associated data
+ */
+function associatedData(bundle) {
+  const { format, version, createdAt, count, kdf, cipher } = bundle;
+  return Buffer.from(JSON.stringify([format, version, createdAt, count, kdf, cipher.name, cipher.iv]));
+}
+
+/**
+ * Check whether a value looks like a bundle (of any version)
+ * @param {*} value - Parsed JSON
+ * @returns {boolean} True for a bundle
+ */
+function isBundle(value) {
+  return Boolean(value) && typeof value === 'object' && value.format === FORMAT;
+}
+
+/**
+ * Encrypt token records into a bundle
+ * @param {Object} records - Plaintext records keyed by token key (see tokenManager.loadTokens())
+ * @param {string} passphrase - Passphrase, at least 12 characters
+ * @returns {Promise<Object>} Bundle
+ * @throws {Error} With code PASSPHRASE_INVALID
+ */
+async function sealBundle(records, passphrase) {
+  checkPassphrase(passphrase);
+
+  const bundle = {
+    format: FORMAT,
+    version: VERSION,
+    createdAt: new Date().toISOString(),
+    count: Object.keys(records).length,
+    kdf: { name: 'scrypt', ...KDF_PARAMS, salt: crypto.randomBytes(16).toString('base64url') },
+    cipher: { name: 'aes-256-gcm', iv: crypto.randomBytes(12).toString('base64url') }
+  };
+
+  const key = await deriveKey(passphrase, bundle.kdf);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, Buffer.from(bundle.cipher.iv, 'base64url'));
+  cipher.setAAD(associatedData(bundle));
+  const data = Buffer.concat([cipher.update(JSON.stringify({ tokens: records }), 'utf8'), cipher.final()]);
+
+  bundle.cipher.tag = cipher.getAuthTag().toString('base64url');
+  bundle.data = data.toString('base64url');
+  return bundle;
+}
+
+/**
+ * Check that a bundle is one this version can open
+ * @param {*} bundle - Parsed JSON
+ * @throws {Error} With code BUNDLE_INVALID
+ */
+function checkBundle(bundle) {
+  if (!isBundle(bundle)) {
+    throw createError('BUNDLE_INVALID', `Not a token bundle (expected format "${FORMAT}")`);
+  }
+  if (bundle.version !== VERSION) {
+    throw createError('BUNDLE_INVALID', `Unsupported bundle version ${bundle.version} (this version reads version ${VERSION})`);
+  }
+
+  const { kdf, cipher } = bundle;
+  const isPowerOfTwo = value => Number.isInteger(value) && value > 1 && (value & (value - 1)) === 0;
+  const validKdf = kdf && kdf.name === 'scrypt' && typeof kdf.salt === 'string' &&
+    isPowerOfTwo(kdf.N) && Number.isInteger(kdf.r) && kdf.r >= 1 &&
+    128 * kdf.N * kdf.r <= MAX_KDF_MEMORY &&
+    Number.isInteger(kdf.p) && kdf.p >= 1 && kdf.p <= MAX_KDF_P;
+  const validCipher = cipher && cipher.name === 'aes-256-gcm' &&
+    typeof cipher.iv === 'string' && typeof cipher.tag === 'string';
+  if (!validKdf || !validCipher || typeof bundle.data !== 'string') {
+    throw createError('BUNDLE_INVALID', 'Malformed token bundle');
+  }
+}
+
+/**
+ * Decrypt a bundle
+ * @param {Object} bundle - Bundle from sealBundle()
+ * @param {string} passphrase - Passphrase it was sealed with
+ * @returns {Promise<Object>} Plaintext records keyed by token key
+ * @throws {Error} With code BUNDLE_INVALID, PASSPHRASE_INVALID or BUNDLE_DECRYPT_FAILED
+ *                 (wrong passphrase, or the bundle was modified)
+ */
+async function openBundle(bundle, passphrase) {
+  checkBundle(bundle);
+  checkPassphrase(passphrase);
+
+  const key = await deriveKey(passphrase, bundle.kdf);
+  let payload;
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(bundle.cipher.iv, 'base64url'));
+    decipher.setAAD(associatedData(bundle));
+    decipher.setAuthTag(Buffer.from(bundle.cipher.tag, 'base64url'));
+    payload = JSON.parse(Buffer.concat([
+      decipher.update(Buffer.from(bundle.data, 'base64url')),
+      decipher.final()
+    ]).toString('utf8'));
+  } catch (error) {
+    throw createError('BUNDLE_DECRYPT_FAILED', 'Cannot open the bundle: wrong passphrase, or the bundle was modified');
+  }
+  return payload.tokens;
+}
+
+/**
+ * Export every stored token record as a bundle
+ * @param {string} passphrase - Passphrase, at least 12 characters
+ * @returns {Promise<Object>} Bundle
+ * @throws {Error} With code PASSPHRASE_INVALID
+ */
+async function exportBundle(passphrase) {
+  checkPassphrase(passphrase);
+  return sealBundle(await tokenManager.loadTokens(), passphrase);
+}
+
+/**
+ * Import the records of a bundle into the token store
+ * @param {Object} bundle - Bundle from exportBundle()
+ * @param {string} passphrase - Passphrase it was sealed with
+ * @param {Object} [options] - { conflict, dryRun }, see tokenManager.importTokens()
+ * @returns {Promise<Object>} Import result, see tokenManager.importTokens()
+ * @throws {Error} With code BUNDLE_INVALID, PASSPHRASE_INVALID, BUNDLE_DECRYPT_FAILED
+ *                 or INVALID_IMPORT
+ */
+async function importBundle(bundle, passphrase, options = {}) {
+  const records = await openBundle(bundle, passphrase);
+  return tokenManager.importTokens(records, options);
+}
+
+module.exports = {
+  FORMAT,
+  VERSION,
+  isBundle,
+  sealBundle,
+  openBundle,
+  exportBundle,
+  importBundle
+};
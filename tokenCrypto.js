@@ -0,0 +1,190 @@
+/**
+ * Token Crypto - Authenticated encryption of stored token values
+ *
+ * Secret fields are encrypted with AES-256-GCM. Each encrypted value is a
+ * self-describing string tagged with the ID of the key that wrote it:
+ *
+ *   enc:v1:<keyId>:<iv>:<authTag>:<ciphertext>
+ *
+ * Keys:
+ *   TOKEN_ENCRYPTION_KEY            - Current key (32 bytes, hex or base64)
+ *   TOKEN_ENCRYPTION_PREVIOUS_KEYS  - Comma-separated retired keys, still
+ *                                     accepted for decryption after rotation
+ *
+ * A key's ID is a short fingerprint of the key itself, so no separate
+ * bookkeeping is needed when rotating.
+ */
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+
+let keyring = null;
+
+/**
+ * Parse a 32-byte key given as hex or base64
+ * @param {string} value - Encoded key
+ * @returns {Buffer} Raw key
+ */
+function parseKey(value) {
+  const trimmed = value.trim();
+  const key = /^[0-9a-f]{64}$/i.test(trimmed)
+    ? Buffer.from(trimmed, 'hex')
+    : Buffer.from(trimmed, 'base64');
+
+  if (key.length !== 32) {
+    throw new Error('Token encryption keys must be 32 bytes, encoded as hex or base64');
+  }
+  return key;
+}
+
+/**
+ * Derive the short ID that tags values encrypted with a key
+ * @param {Buffer} key - Raw key
+ * @returns {string} Key ID
+ */
+function keyIdFor(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+}
+
+/**
+ * Build the keyring from environment variables (cached after first use)
+ * @returns {Object} { currentKeyId, keys: Map<keyId, Buffer> }
+ */
+function getKeyring() {
+  if (keyring) return keyring;
+
+  const keys = new Map();
+  let currentKeyId = null;
+
+  if (process.env.TOKEN_ENCRYPTION_KEY) {
+    const key = parseKey(process.env.TOKEN_ENCRYPTION_KEY);
+    currentKeyId = keyIdFor(key);
+    keys.set(currentKeyId, key);
+  } else {
+    console.warn('⚠️ TOKEN_ENCRYPTION_KEY is not set - tokens will be stored unencrypted');
+  }
+
+  const previous = (process.env.TOKEN_ENCRYPTION_PREVIOUS_KEYS || '')
+    .split(',')
+    .filter(k => k.trim().length > 0);
+  for (const value of previous) {
+    const key = parseKey(value);
+    keys.set(keyIdFor(key), key);
+  }
+
+  keyring = { currentKeyId, keys };
+  return keyring;
+}
+
+/**
+ * Whether new values will be encrypted
+ * @returns {boolean} True if TOKEN_ENCRYPTION_KEY is configured
+ */
+function isEnabled() {
+  return getKeyring().currentKeyId !== null;
+}
+
+/**
+ * Check whether a stored value is an encrypted envelope
+ * @param {*} value - Stored value
+ * @returns {boolean} True if encrypted
+ */
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Get the ID of the key that encrypted a value
+ * @param {*} value - Stored value
+ * @returns {string|null} Key ID, or null for plaintext values
+ */
+function getKeyId(value) {
+  return isEncrypted(value) ? value.slice(PREFIX.length).split(':')[0] : null;
+}
+
+/**
+ * Encrypt a value with the current key
+ * @param {string} plaintext - Value to encrypt
+ * @param {string} context - Associated data binding the value to its owner
+ *                           and field, so ciphertexts can't be swapped around
+ * @returns {string} Encrypted envelope (or the plaintext if encryption is off)
+ */
+function encrypt(plaintext, context) {
+  const { currentKeyId, keys } = getKeyring();
+  if (!currentKeyId || plaintext === undefined || plaintext === null) {
+    return plaintext;
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentKeyId), iv);
+  cipher.setAAD(Buffer.from(context));
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return PREFIX + [
+    currentKeyId,
+    iv.toString('base64url'),
+    cipher.getAuthTag().toString('base64url'),
+    ciphertext.toString('base64url')
+  ].join(':');
+}
+
+/**
+ * Decrypt a value written by encrypt(). Plaintext values pass through
+ * unchanged so records stored before encryption was enabled still load.
+ * @param {string} value - Stored value
+ * @param {string} context - Associated data used when encrypting
+ * @returns {string} Plaintext
+ */
+function decrypt(value, context) {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [keyId, iv, tag, ciphertext] = value.slice(PREFIX.length).split(':');
+  const key = getKeyring().keys.get(keyId);
+  if (!key) {
+    throw new Error(`Cannot decrypt token: encryption key "${keyId}" is not configured`);
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64url'));
+    decipher.setAAD(Buffer.from(context));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, 'base64url')),
+      decipher.final()
+    ]).toString('utf8');
+  } catch (error) {
+    throw new Error(`Cannot decrypt token: integrity check failed for key "${keyId}"`);
+  }
+}
+
+/**
+ * Whether a stored value should be rewritten with the current key
+ * @param {*} value - Stored value
+ * @returns {boolean} True if plaintext or encrypted with a retired key
+ */
+function needsReencryption(value) {
+  if (value === undefined || value === null) return false;
+  const { currentKeyId } = getKeyring();
+  return currentKeyId !== null && getKeyId(value) !== currentKeyId;
+}
+
+/**
+ * Forget the cached keyring so key variables are read again
+ */
+function resetKeyring() {
+  keyring = null;
+}
+
+module.exports = {
+  isEnabled,
+  isEncrypted,
+  getKeyId,
+  encrypt,
+  decrypt,
+  needsReencryption,
+  resetKeyring
+};
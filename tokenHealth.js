@@ -0,0 +1,127 @@
+/**
+ * Token Health - Check every stored user's tokens and classify them
+ *
+ * Each user ends up in exactly one bucket:
+ *
+ *   healthy              - Access token valid, all required scopes granted
+ *   expired_refreshable  - Access token had expired and was refreshed
+ *   needs_reauth         - Refresh token dead or revoked; the seller must log in again
+ *   scope_missing        - Tokens work, but required scopes were never granted
+ *   error                - Refreshing failed for another reason (e.g. eBay down)
+ *
+ * Required scopes are the caller's requiredScopes, or else the current
+ * scopes of the profile the user authorized with, so adding a scope to a
+ * profile flags everyone who has to re-consent.
+ */
+
+const tokenManager = require('./tokenManager');
+const { getApp } = require('./apps');
+
+const HEALTH_STATES = ['healthy', 'expired_refreshable', 'needs_reauth', 'scope_missing', 'error'];
+
+// Records read per page while walking the store
+const PAGE_SIZE = 500;
+
+/**
+ * Get the scopes a user is expected to have granted
+ * @param {Object} tokens - Token record (without secrets)
+ * @param {string[]} [requiredScopes] - Caller-supplied scopes
+ * @returns {string[]} Required scopes
+ */
+function expectedScopes(tokens, requiredScopes) {
+  if (requiredScopes && requiredScopes.length > 0) return requiredScopes;
+  const { scopes, scopeProfiles } = getApp(tokens.app);
+  return (tokens.scopeProfile && scopeProfiles[tokens.scopeProfile]) || scopes;
+}
+
+/**
+ * Check one user's tokens
+ * @param {string} key - Token key
+ * @param {Object} tokens - Token record (without secrets)
+ * @param {Object} options - See checkTokens()
+ * @returns {Promise<Object>} Result with a health state from HEALTH_STATES
+ */
+async function checkUser(key, tokens, options) {
+  const { app, environment } = tokenManager.parseTokenKey(key);
+  const result = {
+    username: tokens.username,
+    userId: tokens.userId,
+    app,
+    environment,
+    expiresAt: tokens.expiresAt,
+    refreshTokenExpiresAt: tokens.refreshTokenExpiresAt || null
+  };
+
+  if (tokenManager.needsReauth(tokens)) {
+    return { ...result, health: 'needs_reauth', reason: tokens.reauthReason || 'Refresh token expired' };
+  }
+
+  let refreshed = false;
+  if (tokenManager.hasExpired(tokens)) {
+    if (options.refresh === false) {
+      return { ...result, health: 'expired_refreshable', refreshed: false };
+    }
+    try {
+      const token = await tokenManager.getValidAccessToken(key);
+      refreshed = token.refreshed;
+      result.expiresAt = token.expiresAt;
+    } catch (error) {
+      return error.code === 'NEEDS_REAUTH'
+        ? { ...result, health: 'needs_reauth', reason: error.message }
+        : { ...result, health: 'error', error: error.message };
+    }
+  }
+
+  const missingScopes = tokenManager.missingScopes(tokens, expectedScopes(tokens, options.requiredScopes));
+  if (missingScopes.length > 0) {
+    return { ...result, health: 'scope_missing', missingScopes, refreshed };
+  }
+  return { ...result, health: refreshed ? 'expired_refreshable' : 'healthy', refreshed };
+}
+
+/**
+ * Check every stored user's tokens, refreshing expired access tokens
+ * @param {Object} [options]
+ * @param {Function} [options.matchKey] - (key) => boolean, limit the check to some keys
+ * @param {Function} [options.match] - (key, record) => boolean, checked on the record
+ * @param {string[]} [options.requiredScopes] - Scopes every user must have granted
+ * @param {boolean} [options.refresh] - Refresh expired access tokens (default true)
+ * @param {boolean} [options.migrate] - Move records under legacy keys first (default
+ *                                      true); otherwise they are left out
+ * @returns {Promise<Object>} { status, checkedAt, summary, users }
+ */
+async function checkTokens(options = {}) {
+  const users = [];
+  let cursor;
+  do {
+    const page = await tokenManager.listTokens({
+      matchKey: options.matchKey,
+      match: options.match,
+      migrate: options.migrate,
+      cursor,
+      limit: PAGE_SIZE
+    });
+    for (const { key, record } of page.records) {
+      users.push(await checkUser(key, record, options));
+    }
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  const summary = { total: users.length };
+  for (const state of HEALTH_STATES) {
+    summary[state] = users.filter(user => user.health === state).length;
+  }
+  const unhealthy = summary.needs_reauth + summary.scope_missing + summary.error;
+
+  return {
+    status: unhealthy === 0 ? 'ok' : 'degraded',
+    checkedAt: new Date().toISOString(),
+    summary,
+    users
+  };
+}
+
+module.exports = {
+  HEALTH_STATES,
+  checkTokens
+};
@@ -1,100 +1,1101 @@
 /**
  * Token Manager - Handles storing and retrieving OAuth tokens
- * In production, you should use a proper database instead of JSON files
+ *
+ * Records are kept in whichever storage adapter TOKEN_STORE selects
+ * (file, Redis or in-memory), so the same code runs locally and on Vercel.
+ * Access and refresh tokens are encrypted at rest (see tokenCrypto.js).
+ *
+ * Records are keyed by app, environment and the seller's immutable eBay
+ * user ID ("default:sandbox:nY9Ndvf6RXi"), so the same seller authorized for
+ * several apps (see apps.js), or in both sandbox and production, never
+ * collides, and re-authorizing updates the seller's existing record. Usernames
+ * (which sellers can change) are aliases kept in the "user_alias" store.
+ * Records saved before identities were tracked are still keyed by username
+ * and move to their user ID key when the seller next authorizes.
+ *
+ * Each record carries its app and environment and is refreshed with that
+ * app's keyset and scopes.
  */
 
-const fs = require('fs');
-const path = require('path');
+const crypto = require('crypto');
+const { createStore } = require('./stores');
+const tokenCrypto = require('./tokenCrypto');
+const locks = require('./locks');
+const audit = require('./audit');
+const webhooks = require('./webhooks');
+const { getAuthClient, parseTokenResponse } = require('./ebayClient');
+const { ENVIRONMENTS, ENVIRONMENT } = require('./config');
+const { DEFAULT_APP, getApp, listApps } = require('./apps');
+const { createError } = require('./errors');
 
-const TOKEN_FILE = path.join(__dirname, 'tokens.json');
+// Refresh if token expires in less than 5 minutes
+const EXPIRY_BUFFER_MS = 5 * 60 * 1000;
+
+// A refresh lock auto-expires after this long in case its holder dies
+const REFRESH_LOCK_TTL_MS = 15 * 1000;
+
+// How long a caller waits for another instance's refresh before giving up
+const REFRESH_WAIT_MS = 20 * 1000;
+
+// Record status values
+const STATUS_ACTIVE = 'active';
+const STATUS_NEEDS_REAUTH = 'needs_reauth';
+
+// Record fields holding secrets; everything else stays readable metadata
+const SECRET_FIELDS = ['accessToken', 'refreshToken'];
+
+// eBay identity fields stored on a record (see ebayClient.getEbayIdentity())
+const IDENTITY_FIELDS = ['userId', 'username', 'accountType', 'registrationMarketplaceId', 'accountStatus'];
+
+// How importTokens() treats users that already exist
+const CONFLICT_STRATEGIES = ['skip', 'overwrite', 'keep-newest'];
+
+// Keys read per round trip while listing in key order
+const LIST_PAGE_SIZE = 500;
+
+// Fields listings can be sorted by (see listTokens())
+const SORT_FIELDS = {
+  username: (key, record) => record.username,
+  environment: key => parseTokenKey(key).environment,
+  status: (key, record) => tokenStatus(record),
+  expiresAt: (key, record) => record.expiresAt || null,
+  refreshTokenExpiresAt: (key, record) => record.refreshTokenExpiresAt || null
+};
+
+let store = null;
+let legacyMigration = null;
 
 /**
- * Load tokens from file
- * @returns {Object} Tokens object with userId, accessToken, refreshToken, expiresAt
+ * Build the storage key for a user's tokens
+ * @param {string} id - eBay user ID (the username for records saved before
+ *                      identities were tracked, and for alias IDs)
+ * @param {string} [environment] - "PRODUCTION" or "SANDBOX" (default EBAY_ENVIRONMENT)
+ * @param {string} [app] - App name (default "default")
+ * @returns {string} Token key, e.g. "default:sandbox:nY9Ndvf6RXi"
  */
-function loadTokens() {
-  try {
-    if (fs.existsSync(TOKEN_FILE)) {
-      const data = fs.readFileSync(TOKEN_FILE, 'utf8');
-      return JSON.parse(data);
+function tokenKey(id, environment = ENVIRONMENT, app = DEFAULT_APP) {
+  return `${app}:${environment.toLowerCase()}:${id}`;
+}
+
+/**
+ * Split a token key into its app, environment and user ID
+ * @param {string} key - Token key from tokenKey()
+ * @returns {Object} { app, environment, id }
+ */
+function parseTokenKey(key) {
+  const [app, environment, ...id] = key.split(':');
+  return {
+    app,
+    environment: environment.toUpperCase(),
+    id: id.join(':')
+  };
+}
+
+/**
+ * Check whether a key predates apps: a bare username (default environment)
+ * or "<environment>:<username>". Either way it belongs to the default app.
+ * @param {string} key - Stored key
+ * @returns {boolean} True for a legacy key
+ */
+function isLegacyKey(key) {
+  return key.split(':').length < 3;
+}
+
+/**
+ * Map a legacy key to its current token key
+ * @param {string} legacyKey - Key accepted by isLegacyKey()
+ * @returns {string} Token key
+ */
+function upgradeKey(legacyKey) {
+  const separator = legacyKey.indexOf(':');
+  if (separator < 0) return tokenKey(legacyKey);
+  return tokenKey(legacyKey.slice(separator + 1), legacyKey.slice(0, separator).toUpperCase());
+}
+
+/**
+ * List the legacy keys a token key may still be stored under
+ * @param {string} key - Token key
+ * @returns {string[]} Legacy keys, newest format first
+ */
+function legacyKeys(key) {
+  const { app, environment, id } = parseTokenKey(key);
+  if (app !== DEFAULT_APP) return [];
+  return environment === ENVIRONMENT
+    ? [`${environment.toLowerCase()}:${id}`, id]
+    : [`${environment.toLowerCase()}:${id}`];
+}
+
+/**
+ * Get the token storage adapter, creating it from configuration on first use
+ * @returns {Object} Storage adapter
+ */
+function getStore() {
+  if (!store) {
+    store = createStore('token');
+  }
+  return store;
+}
+
+/**
+ * Get the username alias store: "<app>:<environment>:<username>" -> { userId }
+ * @returns {Object} Storage adapter
+ */
+function getAliasStore() {
+  return createStore('user_alias');
+}
+
+/**
+ * Replace the storage adapter (e.g. with an in-memory store in tests)
+ * @param {Object} adapter - Storage adapter implementing the stores contract
+ */
+function useStore(adapter) {
+  store = adapter;
+  legacyMigration = null;
+}
+
+/**
+ * Give a record saved before identities were tracked the current shape:
+ * those stored the username as userId and had no eBay user ID
+ * @param {string} key - Token key (see tokenKey())
+ * @param {Object} record - Stored or plaintext record
+ * @returns {Object} Record with username and userId (null if unknown)
+ */
+function withIdentity(key, record) {
+  if (record.username) return record;
+  return { ...record, username: record.userId || parseTokenKey(key).id, userId: null };
+}
+
+/**
+ * Describe the user a record belongs to, for audit entries, webhooks and results
+ * @param {string} key - Token key (see tokenKey())
+ * @param {Object|null} tokens - Token record, if known
+ * @returns {Object} { username, userId, app, environment, tenantId }
+ */
+function describeUser(key, tokens) {
+  const { app, environment, id } = parseTokenKey(key);
+  const identity = tokens ? withIdentity(key, tokens) : { username: id, userId: null };
+  return {
+    username: identity.username,
+    userId: identity.userId,
+    app,
+    environment,
+    tenantId: (tokens && tokens.tenantId) || null
+  };
+}
+
+/**
+ * Summarize a user's record without its secrets, as /api/users lists it
+ * @param {string} key - Token key (see tokenKey())
+ * @param {Object} tokens - Token record (secrets are ignored)
+ * @returns {Object} User summary
+ */
+function summarizeUser(key, tokens) {
+  const { app, environment } = parseTokenKey(key);
+  return {
+    username: tokens.username,
+    userId: tokens.userId,
+    app,
+    environment,
+    tenantId: tokens.tenantId || null,
+    accountType: tokens.accountType || null,
+    registrationMarketplaceId: tokens.registrationMarketplaceId || null,
+    scopeProfile: tokens.scopeProfile || null,
+    scopes: grantedScopes(tokens),
+    expiresAt: tokens.expiresAt,
+    isExpired: hasExpired(tokens),
+    refreshTokenExpiresAt: tokens.refreshTokenExpiresAt || null,
+    status: tokenStatus(tokens),
+    reauthReason: tokens.reauthReason
+  };
+}
+
+/**
+ * Encrypt the secret fields of a record before it is stored
+ * @param {string} key - Token key (see tokenKey())
+ * @param {Object} record - Plaintext record (or partial changes)
+ * @returns {Object} Record with secret fields encrypted
+ */
+function seal(key, record) {
+  const sealed = { ...record };
+  for (const field of SECRET_FIELDS) {
+    if (field in sealed) {
+      sealed[field] = tokenCrypto.encrypt(sealed[field], `${key}:${field}`);
+    }
+  }
+  return sealed;
+}
+
+/**
+ * Decrypt the secret fields of a stored record
+ * @param {string} key - Token key (see tokenKey())
+ * @param {Object|null} record - Stored record
+ * @returns {Object|null} Plaintext record
+ */
+function unseal(key, record) {
+  if (!record) return null;
+  const opened = withIdentity(key, { ...record });
+  for (const field of SECRET_FIELDS) {
+    if (field in opened) {
+      opened[field] = tokenCrypto.decrypt(opened[field], `${key}:${field}`);
+    }
+  }
+  return opened;
+}
+
+/**
+ * Move a record stored under a legacy key (see isLegacyKey()) to its
+ * current token key
+ * @param {string} legacyKey - Legacy key
+ * @returns {Promise<Object|null>} Plaintext record, or null if there was none
+ */
+async function migrateLegacyRecord(legacyKey) {
+  const legacy = await getStore().take(legacyKey);
+  if (!legacy) return null;
+
+  const key = upgradeKey(legacyKey);
+  const { app, environment } = parseTokenKey(key);
+  const record = { ...unseal(legacyKey, legacy), app, environment };
+  await getStore().save(key, seal(key, record));
+  console.log(`Migrated tokens from ${legacyKey} to ${key}`);
+  return record;
+}
+
+/**
+ * Load all tokens
+ * @returns {Promise<Object>} Tokens keyed by token key
+ */
+async function loadTokens() {
+  const stored = await getStore().list();
+  const tokens = {};
+  for (const key of Object.keys(stored)) {
+    if (!isLegacyKey(key)) {
+      tokens[key] = unseal(key, stored[key]);
+    } else {
+      const record = await migrateLegacyRecord(key);
+      if (record) tokens[upgradeKey(key)] = record;
     }
+  }
+  return tokens;
+}
+
+/**
+ * Check every stored record without changing anything: legacy keys are
+ * counted rather than migrated, and decrypting each record catches a missing
+ * or wrong encryption key
+ * @returns {Promise<Object>} { total, legacy, stale } - stale records need re-encryption
+ * @throws {Error} If a record can't be decrypted
+ */
+async function inspectTokens() {
+  const stored = await getStore().list();
+  const summary = { total: 0, legacy: 0, stale: 0 };
+  for (const [key, record] of Object.entries(stored)) {
+    unseal(key, record);
+    summary.total++;
+    if (isLegacyKey(key)) summary.legacy++;
+    if (SECRET_FIELDS.some(field => tokenCrypto.needsReencryption(record[field]))) summary.stale++;
+  }
+  return summary;
+}
+
+/**
+ * Move every record still stored under a legacy key, once per process, so
+ * listings only have to deal with current token keys
+ * @returns {Promise<void>}
+ */
+function migrateLegacyKeys() {
+  if (!legacyMigration) {
+    legacyMigration = (async () => {
+      const ids = await getStore().listIds();
+      for (const id of ids.filter(isLegacyKey)) {
+        await migrateLegacyRecord(id);
+      }
+    })();
+    legacyMigration.catch(() => {
+      legacyMigration = null;
+    });
+  }
+  return legacyMigration;
+}
+
+/**
+ * List token keys without reading any records
+ * @param {Function} [matchKey] - Only keys for which matchKey(key) is true
+ * @param {Object} [options]
+ * @param {boolean} [options.migrate] - Move records under legacy keys first (default
+ *                                      true); otherwise they are left out
+ * @returns {Promise<string[]>} Token keys in ascending order
+ */
+async function listTokenKeys(matchKey = () => true, { migrate = true } = {}) {
+  if (migrate) await migrateLegacyKeys();
+  const ids = await getStore().listIds();
+  return ids.filter(key => !isLegacyKey(key) && matchKey(key));
+}
+
+/**
+ * Drop the secret fields of a stored record, leaving its (plaintext) metadata
+ * @param {string} key - Token key (see tokenKey())
+ * @param {Object} record - Stored record
+ * @returns {Object} Record without accessToken and refreshToken
+ */
+function withoutSecrets(key, record) {
+  const metadata = withIdentity(key, { ...record });
+  for (const field of SECRET_FIELDS) {
+    delete metadata[field];
+  }
+  return metadata;
+}
+
+/**
+ * Build an opaque listing cursor
+ * @param {string} sort - Sort field, or "key"
+ * @param {string} order - "asc" or "desc"
+ * @param {*} value - Sort value of the last listed record
+ * @param {string} key - Token key of the last listed record
+ * @returns {string} Cursor
+ */
+function encodeCursor(sort, order, value, key) {
+  return Buffer.from(JSON.stringify([sort, order, value, key])).toString('base64url');
+}
+
+/**
+ * Read a cursor from encodeCursor()
+ * @param {string} cursor - Cursor
+ * @param {string} sort - Sort field of the current listing, or "key"
+ * @param {string} order - Order of the current listing
+ * @returns {Object} { value, key }
+ */
+function decodeCursor(cursor, sort, order) {
+  let decoded = null;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
   } catch (error) {
-    console.error('Error loading tokens:', error);
+    // Reported below
   }
-  return {};
+  if (!Array.isArray(decoded) || decoded[0] !== sort || decoded[1] !== order || typeof decoded[3] !== 'string') {
+    throw createError('INVALID_LIST_OPTION', 'Invalid cursor: pass nextCursor from a listing with the same sort and order');
+  }
+  return { value: decoded[2], key: decoded[3] };
+}
+
+/**
+ * Compare two listing entries by sort value, then key. Missing values
+ * (null) sort last in either direction.
+ * @param {Object} a - { value, key }
+ * @param {Object} b - { value, key }
+ * @param {number} direction - 1 ascending, -1 descending
+ * @returns {number} Negative if a comes first
+ */
+function compareEntries(a, b, direction) {
+  if (a.value !== b.value) {
+    if (a.value === null) return 1;
+    if (b.value === null) return -1;
+    return (a.value < b.value ? -1 : 1) * direction;
+  }
+  if (a.key === b.key) return 0;
+  return (a.key < b.key ? -1 : 1) * direction;
+}
+
+/**
+ * List token records page by page, without their secrets.
+ *
+ * In key order (app, environment, user ID) the store's index is walked and
+ * only the records a page needs are read. Any other sort reads the records of
+ * every key accepted by matchKey.
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.matchKey] - (key) => boolean, checked before the record is read
+ * @param {Function} [options.match] - (key, record) => boolean, checked on the record
+ * @param {string} [options.sort] - A SORT_FIELDS name (default: key order)
+ * @param {string} [options.order] - "asc" (default) or "desc"
+ * @param {string} [options.cursor] - nextCursor from the previous page
+ * @param {number} [options.limit] - Page size (default 100)
+ * @param {boolean} [options.migrate] - Move records under legacy keys first (default
+ *                                      true); otherwise they are left out
+ * @returns {Promise<Object>} { records: [{ key, record }], nextCursor } - nextCursor is null on the last page
+ */
+async function listTokens(options = {}) {
+  const { matchKey = () => true, match = () => true, sort = null, order = 'asc', limit = 100, migrate = true } = options;
+  if (sort !== null && !SORT_FIELDS[sort]) {
+    throw createError('INVALID_LIST_OPTION', `Unknown sort "${sort}" (expected one of: ${Object.keys(SORT_FIELDS).join(', ')})`);
+  }
+  if (order !== 'asc' && order !== 'desc') {
+    throw createError('INVALID_LIST_OPTION', `Unknown order "${order}" (expected asc or desc)`);
+  }
+  const sortName = sort || 'key';
+  const cursor = options.cursor ? decodeCursor(options.cursor, sortName, order) : null;
+  if (migrate) await migrateLegacyKeys();
+
+  if (!sort && order === 'asc') {
+    const records = [];
+    let after = cursor ? cursor.key : undefined;
+    while (true) {
+      const ids = await getStore().listIds({ after, limit: LIST_PAGE_SIZE });
+      const keys = ids.filter(key => !isLegacyKey(key) && matchKey(key));
+      const stored = await getStore().getMany(keys);
+      for (const key of keys) {
+        const record = stored[key] ? withoutSecrets(key, stored[key]) : null;
+        if (!record || !match(key, record)) continue;
+        records.push({ key, record });
+        if (records.length === limit) {
+          return { records, nextCursor: encodeCursor(sortName, order, null, key) };
+        }
+      }
+      if (ids.length < LIST_PAGE_SIZE) {
+        return { records, nextCursor: null };
+      }
+      after = ids[ids.length - 1];
+    }
+  }
+
+  const direction = order === 'desc' ? -1 : 1;
+  const valueOf = SORT_FIELDS[sort] || (key => key);
+  const keys = await listTokenKeys(matchKey, { migrate });
+  const stored = await getStore().getMany(keys);
+  const entries = keys
+    .filter(key => stored[key])
+    .map(key => ({ key, record: withoutSecrets(key, stored[key]) }))
+    .filter(({ key, record }) => match(key, record))
+    .map(entry => ({ ...entry, value: valueOf(entry.key, entry.record) }))
+    .filter(entry => !cursor || compareEntries(entry, cursor, direction) > 0)
+    .sort((a, b) => compareEntries(a, b, direction));
+
+  const page = entries.slice(0, limit);
+  const last = page[page.length - 1];
+  return {
+    records: page.map(({ key, record }) => ({ key, record })),
+    nextCursor: entries.length > limit ? encodeCursor(sortName, order, last.value, last.key) : null
+  };
 }
 
 /**
- * Save tokens to file
- * @param {string} userId - eBay user ID
+ * Save tokens for a user. A new authorization always starts out active.
+ * The app and environment are taken from the key. Saving over an existing
+ * record keeps its identity and authorization history.
+ * @param {string} key - Token key (see tokenKey())
  * @param {string} accessToken - OAuth access token
  * @param {string} refreshToken - OAuth refresh token
  * @param {number} expiresIn - Token expiration time in seconds
+ * @param {Object} [details]
+ * @param {number} [details.refreshTokenExpiresIn] - Refresh token lifetime in seconds
+ * @param {string[]} [details.scopes] - Scopes the user granted (default: the app's scopes)
+ * @param {string} [details.scopeProfile] - Scope profile the login asked for
+ * @param {Object} [details.identity] - eBay identity (see ebayClient.getEbayIdentity())
+ * @param {string} [details.tenantId] - Tenant the seller was invited by (see invites.js);
+ *                                      kept from the existing record when not given
  */
-function saveTokens(userId, accessToken, refreshToken, expiresIn) {
-  try {
-    const tokens = loadTokens();
-    const expiresAt = Date.now() + (expiresIn * 1000);
-    
-    tokens[userId] = {
-      accessToken,
-      refreshToken,
-      expiresAt,
-      userId
-    };
-    
-    fs.writeFileSync(TOKEN_FILE, JSON.stringify(tokens, null, 2));
-    console.log(`Tokens saved for user: ${userId}`);
-  } catch (error) {
-    console.error('Error saving tokens:', error);
-    throw error;
+async function saveTokens(key, accessToken, refreshToken, expiresIn, details = {}) {
+  const now = Date.now();
+  const expiresAt = now + (expiresIn * 1000);
+  const refreshTokenExpiresAt = details.refreshTokenExpiresIn
+    ? now + (details.refreshTokenExpiresIn * 1000)
+    : null;
+
+  const { app, environment, id } = parseTokenKey(key);
+  const existing = await getStore().get(key);
+  const previous = existing ? withIdentity(key, existing) : { username: id, userId: null };
+  const identity = {};
+  for (const field of IDENTITY_FIELDS) {
+    identity[field] = (details.identity && details.identity[field]) || previous[field] || null;
   }
+
+  await getStore().save(key, seal(key, {
+    accessToken,
+    refreshToken,
+    expiresAt,
+    refreshTokenExpiresAt,
+    status: STATUS_ACTIVE,
+    ...identity,
+    app,
+    environment,
+    scopes: details.scopes || getApp(app).scopes,
+    scopeProfile: details.scopeProfile || null,
+    tenantId: details.tenantId || (existing && existing.tenantId) || null,
+    firstAuthorizedAt: (existing && existing.firstAuthorizedAt) || now,
+    authorizedAt: now,
+    authorizationCount: ((existing && existing.authorizationCount) || (existing ? 1 : 0)) + 1
+  }));
+  console.log(`Tokens saved for user: ${key}`);
+}
+
+/**
+ * Store the tokens of a completed authorization under the seller's eBay
+ * user ID. Re-authorizing updates the seller's record; a record still keyed
+ * by their username (saved before identities were tracked) is merged into it.
+ * @param {Object} identity - eBay identity (see ebayClient.getEbayIdentity())
+ * @param {string} environment - "PRODUCTION" or "SANDBOX"
+ * @param {string} app - App name
+ * @param {Object} tokens
+ * @param {string} tokens.accessToken - OAuth access token
+ * @param {string} tokens.refreshToken - OAuth refresh token
+ * @param {number} tokens.expiresIn - Access token lifetime in seconds
+ * @param {Object} [details] - See saveTokens()
+ * @returns {Promise<Object>} { key, mergedFrom } - mergedFrom is the username key folded in, or null
+ */
+async function saveAuthorization(identity, environment, app, tokens, details = {}) {
+  const key = tokenKey(identity.userId, environment, app);
+  const usernameKey = tokenKey(identity.username, environment, app);
+  let mergedFrom = null;
+
+  if (usernameKey !== key) {
+    // getTokens() also moves older key formats to usernameKey first
+    const byUsername = await getTokens(usernameKey);
+    if (byUsername && !byUsername.userId) {
+      const taken = unseal(usernameKey, await getStore().take(usernameKey));
+      if (taken && !(await getStore().get(key))) {
+        await getStore().save(key, seal(key, { ...taken, username: identity.username, userId: identity.userId }));
+      }
+      mergedFrom = usernameKey;
+      console.log(`Merged tokens from ${usernameKey} into ${key}`);
+    }
+  }
+
+  // Sellers can change their eBay username; the old one stops being an alias
+  const existing = await getStore().get(key);
+  if (existing && existing.username && existing.username !== identity.username) {
+    await getAliasStore().delete(tokenKey(existing.username, environment, app));
+  }
+
+  await saveTokens(key, tokens.accessToken, tokens.refreshToken, tokens.expiresIn, { ...details, identity });
+  await getAliasStore().save(usernameKey, { userId: identity.userId });
+  return { key, mergedFrom };
+}
+
+/**
+ * Resolve a username (or eBay user ID) to the key its tokens are stored under
+ * @param {string} user - eBay username or user ID
+ * @param {string} [environment] - "PRODUCTION" or "SANDBOX" (default EBAY_ENVIRONMENT)
+ * @param {string} [app] - App name (default "default")
+ * @returns {Promise<string>} Token key (the record may not exist)
+ */
+async function resolveTokenKey(user, environment = ENVIRONMENT, app = DEFAULT_APP) {
+  const key = tokenKey(user, environment, app);
+  const alias = await getAliasStore().get(key);
+  return alias ? tokenKey(alias.userId, environment, app) : key;
+}
+
+/**
+ * Find a user's tokens by username or eBay user ID
+ * @param {string} user - eBay username or user ID
+ * @param {string} [environment] - "PRODUCTION" or "SANDBOX" (default EBAY_ENVIRONMENT)
+ * @param {string} [app] - App name (default "default")
+ * @returns {Promise<Object|null>} { key, tokens } or null if not found
+ */
+async function findTokens(user, environment = ENVIRONMENT, app = DEFAULT_APP) {
+  const key = await resolveTokenKey(user, environment, app);
+  const tokens = await getTokens(key);
+  return tokens ? { key, tokens } : null;
 }
 
 /**
  * Get tokens for a specific user
- * @param {string} userId - eBay user ID
- * @returns {Object|null} Token object or null if not found
+ * @param {string} key - Token key (see tokenKey())
+ * @returns {Promise<Object|null>} Token object or null if not found
  */
-function getTokens(userId) {
-  const tokens = loadTokens();
-  return tokens[userId] || null;
+async function getTokens(key) {
+  const record = unseal(key, await getStore().get(key));
+  if (record) return record;
+
+  for (const legacyKey of legacyKeys(key)) {
+    const migrated = await migrateLegacyRecord(legacyKey);
+    if (migrated) return migrated;
+  }
+  return null;
 }
 
 /**
- * Check if access token is expired
- * @param {string} userId - eBay user ID
+ * Check whether a token record's access token is expired (or about to be)
+ * @param {Object|null} tokens - Token record
+ * @param {number} [bufferMs] - Treat tokens expiring within this window as expired
  * @returns {boolean} True if expired or missing
  */
-function isTokenExpired(userId) {
-  const tokens = getTokens(userId);
+function hasExpired(tokens, bufferMs = EXPIRY_BUFFER_MS) {
   if (!tokens || !tokens.expiresAt) {
     return true;
   }
-  // Refresh if token expires in less than 5 minutes
-  return Date.now() >= (tokens.expiresAt - 5 * 60 * 1000);
+  return Date.now() >= (tokens.expiresAt - bufferMs);
+}
+
+/**
+ * Check whether a record's refresh token has expired
+ * @param {Object|null} tokens - Token record
+ * @returns {boolean} True if expired (unknown expiry counts as valid)
+ */
+function hasRefreshTokenExpired(tokens) {
+  return Boolean(tokens && tokens.refreshTokenExpiresAt) && Date.now() >= tokens.refreshTokenExpiresAt;
+}
+
+/**
+ * Check whether a user must re-authorize before tokens can be refreshed
+ * @param {Object|null} tokens - Token record
+ * @returns {boolean} True if the refresh token is dead or known to be invalid
+ */
+function needsReauth(tokens) {
+  return Boolean(tokens) && (tokens.status === STATUS_NEEDS_REAUTH || hasRefreshTokenExpired(tokens));
+}
+
+/**
+ * Get a record's effective status
+ * @param {Object} tokens - Token record
+ * @returns {string} STATUS_NEEDS_REAUTH if needsReauth(), otherwise the stored status
+ */
+function tokenStatus(tokens) {
+  return needsReauth(tokens) ? STATUS_NEEDS_REAUTH : (tokens.status || STATUS_ACTIVE);
+}
+
+/**
+ * Flag a user's record as needing re-authorization
+ * @param {string} key - Token key (see tokenKey())
+ * @param {string} reason - Why the refresh token can no longer be used
+ */
+async function markNeedsReauth(key, reason) {
+  const record = await getStore().update(key, {
+    status: STATUS_NEEDS_REAUTH,
+    reauthReason: reason,
+    needsReauthSince: Date.now()
+  });
+  await audit.record('reauth_required', { ...describeUser(key, record), reason });
+  await webhooks.notify('reauth_required', {
+    ...describeUser(key, record),
+    reason,
+    needsReauthSince: record ? record.needsReauthSince : Date.now()
+  });
+  console.warn(`⚠️ User ${key} needs to re-authorize: ${reason}`);
+}
+
+/**
+ * Get the scopes a user granted. Records saved before scopes were tracked
+ * are assumed to hold their app's scopes.
+ * @param {Object} tokens - Token record
+ * @returns {string[]} Granted scopes
+ */
+function grantedScopes(tokens) {
+  return tokens.scopes || getApp(tokens.app || DEFAULT_APP).scopes;
+}
+
+/**
+ * List the scopes a user would have to grant before a caller can use their token
+ * @param {Object} tokens - Token record
+ * @param {string[]} requiredScopes - Scopes the caller needs
+ * @returns {string[]} Required scopes that were not granted (empty if none)
+ */
+function missingScopes(tokens, requiredScopes) {
+  const granted = grantedScopes(tokens);
+  return requiredScopes.filter(scope => !granted.includes(scope));
+}
+
+/**
+ * Check if access token is expired
+ * @param {string} key - Token key (see tokenKey())
+ * @returns {Promise<boolean>} True if expired or missing
+ */
+async function isTokenExpired(key) {
+  return hasExpired(await getTokens(key));
 }
 
 /**
  * Update access token for a user
- * @param {string} userId - eBay user ID
+ * @param {string} key - Token key (see tokenKey())
  * @param {string} accessToken - New access token
  * @param {number} expiresIn - Token expiration time in seconds
  */
-function updateAccessToken(userId, accessToken, expiresIn) {
-  const tokens = loadTokens();
-  if (tokens[userId]) {
-    tokens[userId].accessToken = accessToken;
-    tokens[userId].expiresAt = Date.now() + (expiresIn * 1000);
-    fs.writeFileSync(TOKEN_FILE, JSON.stringify(tokens, null, 2));
+async function updateAccessToken(key, accessToken, expiresIn) {
+  await getStore().update(key, seal(key, {
+    accessToken,
+    expiresAt: Date.now() + (expiresIn * 1000)
+  }));
+}
+
+/**
+ * Delete tokens for a specific user
+ * @param {string} key - Token key (see tokenKey())
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Why, for the tokens_deleted webhook: "api",
+ *                                    "admin", "cli", "disconnected" or "account_deletion"
+ */
+async function deleteTokens(key, options = {}) {
+  const record = await getStore().take(key);
+  if (record && record.userId && record.username) {
+    const { app, environment } = parseTokenKey(key);
+    const aliasId = tokenKey(record.username, environment, app);
+    const alias = await getAliasStore().get(aliasId);
+    if (alias && alias.userId === record.userId) {
+      await getAliasStore().delete(aliasId);
+    }
+  }
+  // The record may not have been migrated from a legacy key yet
+  for (const legacyKey of legacyKeys(key)) {
+    await getStore().delete(legacyKey);
+  }
+  if (record) {
+    await webhooks.notify('tokens_deleted', { ...describeUser(key, record), reason: options.reason || 'api' });
+  }
+  console.log(`Tokens deleted for user: ${key}`);
+}
+
+/**
+ * Return a usable access token for a user, refreshing it first if expired.
+ *
+ * Concurrent callers for the same user share a single refresh: within this
+ * process via single-flight, and across instances via a refresh lock. Callers
+ * that find the lock taken wait for it and reuse the refreshed token.
+ *
+ * @param {string} key - Token key (see tokenKey())
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Refresh even if the token looks valid
+ * @param {number} [options.minValidityMs] - Refresh if the token expires
+ *                                           within this window (default 5 min)
+ * @returns {Promise<Object>} { accessToken, expiresAt, refreshed }
+ */
+async function getValidAccessToken(key, options = {}) {
+  const tokens = await getTokens(key);
+  if (!tokens) {
+    throw new Error(`No tokens for user: ${key}`);
   }
+
+  if (!options.force && !hasExpired(tokens, options.minValidityMs)) {
+    return { accessToken: tokens.accessToken, expiresAt: tokens.expiresAt, refreshed: false };
+  }
+
+  return locks.singleFlight(`refresh:${key}`, () => refreshAccessToken(key, options));
+}
+
+/**
+ * Build the error returned when a user has to re-authorize
+ * @param {string} key - Token key (see tokenKey())
+ * @param {Object} tokens - Token record
+ * @returns {Error} Error with code NEEDS_REAUTH
+ */
+function reauthError(key, tokens) {
+  const { username, app, environment } = describeUser(key, tokens);
+  return createError('NEEDS_REAUTH', `User ${username} (${app}, ${environment}) must re-authorize at /auth/login`, {
+    username,
+    app,
+    environment
+  });
+}
+
+/**
+ * Refresh a user's access token while holding the refresh lock
+ * @param {string} key - Token key (see tokenKey())
+ * @param {Object} options - See getValidAccessToken()
+ * @returns {Promise<Object>} { accessToken, expiresAt, refreshed }
+ */
+async function refreshAccessToken(key, options) {
+  const refresh = async () => {
+    // Re-read: another instance may have refreshed before we got the lock
+    const tokens = await getTokens(key);
+    if (!tokens) {
+      throw new Error(`No tokens for user: ${key}`);
+    }
+    if (!options.force && !hasExpired(tokens, options.minValidityMs)) {
+      return { accessToken: tokens.accessToken, expiresAt: tokens.expiresAt, refreshed: false };
+    }
+    if (needsReauth(tokens)) {
+      if (tokens.status !== STATUS_NEEDS_REAUTH) {
+        await markNeedsReauth(key, 'Refresh token expired');
+      }
+      throw reauthError(key, tokens);
+    }
+
+    console.log(`🔄 Refreshing expired token for ${key}...`);
+    let data;
+    try {
+      // Ask for exactly what the user granted - eBay rejects anything more
+      const { app, environment } = parseTokenKey(key);
+      const response = await getAuthClient(environment, app)
+        .getAccessToken(environment, tokens.refreshToken, grantedScopes(tokens));
+      data = parseTokenResponse(response);
+    } catch (error) {
+      // invalid_grant means the refresh token was revoked or has expired
+      const invalidGrant = error.code === 'invalid_grant';
+      await audit.record('token_refresh_failed', {
+        ...describeUser(key, tokens),
+        error: error.message,
+        needsReauth: invalidGrant
+      });
+      if (invalidGrant) {
+        await markNeedsReauth(key, error.message);
+        throw reauthError(key, tokens);
+      }
+      throw error;
+    }
+    await updateAccessToken(key, data.access_token, data.expires_in);
+    const expiresAt = Date.now() + (data.expires_in * 1000);
+    await audit.record('token_refreshed', { ...describeUser(key, tokens), forced: Boolean(options.force) });
+    await webhooks.notify('token_refreshed', { ...describeUser(key, tokens), expiresAt });
+    return {
+      accessToken: data.access_token,
+      expiresAt,
+      refreshed: true
+    };
+  };
+
+  // Someone else is refreshing - wait for them and reuse their token
+  const reuse = async () => {
+    const tokens = await getTokens(key);
+    if (tokens && !hasExpired(tokens, options.minValidityMs)) {
+      return { accessToken: tokens.accessToken, expiresAt: tokens.expiresAt, refreshed: false };
+    }
+    return null;
+  };
+
+  return locks.withLock(`refresh:${key}`, refresh, reuse, {
+    ttlMs: REFRESH_LOCK_TTL_MS,
+    waitMs: REFRESH_WAIT_MS
+  });
+}
+
+/**
+ * Get an application (client credentials) token for a set of scopes.
+ * Tokens are cached in the "app_token" store until close to expiry and
+ * minted under the same refresh lock as user tokens.
+ * @param {string[]} scopes - OAuth scopes
+ * @param {string} [environment] - "PRODUCTION" or "SANDBOX" (default EBAY_ENVIRONMENT)
+ * @param {string} [app] - App name (default "default")
+ * @returns {Promise<Object>} { accessToken, expiresAt, scopes, refreshed }
+ */
+async function getApplicationToken(scopes, environment = ENVIRONMENT, app = DEFAULT_APP) {
+  const sortedScopes = [...new Set(scopes)].sort();
+  const cacheId = crypto.createHash('sha256')
+    .update(`${app} ${environment} ${sortedScopes.join(' ')}`)
+    .digest('hex')
+    .slice(0, 16);
+  const appStore = createStore('app_token');
+  const context = `app:${cacheId}:accessToken`;
+
+  const readCached = async () => {
+    const cached = await appStore.get(cacheId);
+    if (cached && !hasExpired(cached)) {
+      return {
+        accessToken: tokenCrypto.decrypt(cached.accessToken, context),
+        expiresAt: cached.expiresAt,
+        scopes: cached.scopes,
+        refreshed: false
+      };
+    }
+    return null;
+  };
+
+  const cached = await readCached();
+  if (cached) return cached;
+
+  const mint = async () => {
+    const current = await readCached();
+    if (current) return current;
+
+    console.log(`🔄 Requesting ${app} ${environment} application token (${sortedScopes.length} scope(s))...`);
+    const response = await getAuthClient(environment, app).getApplicationToken(environment, sortedScopes);
+    const data = parseTokenResponse(response);
+    const expiresAt = Date.now() + (data.expires_in * 1000);
+
+    await appStore.save(cacheId, {
+      accessToken: tokenCrypto.encrypt(data.access_token, context),
+      expiresAt,
+      scopes: sortedScopes
+    }, { ttlSeconds: data.expires_in });
+
+    return { accessToken: data.access_token, expiresAt, scopes: sortedScopes, refreshed: true };
+  };
+
+  const lockKey = `app_token:${cacheId}`;
+  return locks.singleFlight(lockKey, () => locks.withLock(lockKey, mint, readCached, {
+    ttlMs: REFRESH_LOCK_TTL_MS,
+    waitMs: REFRESH_WAIT_MS
+  }));
+}
+
+/**
+ * Explain why a record can't be imported
+ * @param {string} key - Token key it would be stored under
+ * @param {*} record - Plaintext record
+ * @returns {string|null} Problem, or null if it can be imported
+ */
+function importProblem(key, record) {
+  const { app, environment, id } = isLegacyKey(key) ? {} : parseTokenKey(key);
+  if (!id || !ENVIRONMENTS.includes(environment) || tokenKey(id, environment, app) !== key) {
+    return 'Not a token key (expected "<app>:<environment>:<user ID>")';
+  }
+  if (!listApps().some(candidate => candidate.name === app)) {
+    return `Unknown app "${app}"`;
+  }
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return 'Record must be an object';
+  }
+  for (const field of SECRET_FIELDS) {
+    if (typeof record[field] !== 'string' || !record[field]) {
+      return `${field} is missing`;
+    }
+    if (tokenCrypto.isEncrypted(record[field])) {
+      return `${field} is encrypted; export records with their plaintext tokens`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Serialize a record with sorted keys, so equal records compare equal
+ * @param {Object} record - Plaintext record
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(record) {
+  return JSON.stringify(Object.keys(record).sort().map(field => [field, record[field]]));
+}
+
+/**
+ * Check whether a record comes from a later authorization (or a later
+ * refresh of the same one) than another
+ * @param {Object} record - Candidate record
+ * @param {Object} other - Record it would replace
+ * @returns {boolean} True if record is newer
+ */
+function isNewer(record, other) {
+  const authorizedAt = record.authorizedAt || 0;
+  const otherAuthorizedAt = other.authorizedAt || 0;
+  if (authorizedAt !== otherAuthorizedAt) return authorizedAt > otherAuthorizedAt;
+  return (record.expiresAt || 0) > (other.expiresAt || 0);
+}
+
+/**
+ * Decide what importing a record does to the user already stored
+ * @param {Object} imported - Record to import
+ * @param {Object|null} existing - Stored record
+ * @param {string} conflict - One of CONFLICT_STRATEGIES
+ * @returns {Object} { action, reason } - action is "create", "overwrite" or "skip"
+ */
+function importAction(imported, existing, conflict) {
+  if (!existing) return { action: 'create', reason: null };
+  if (canonicalJson(imported) === canonicalJson(existing)) return { action: 'skip', reason: 'unchanged' };
+  if (conflict === 'overwrite') return { action: 'overwrite', reason: null };
+  if (conflict === 'keep-newest') {
+    return isNewer(imported, existing)
+      ? { action: 'overwrite', reason: 'newer' }
+      : { action: 'skip', reason: 'existing is newer' };
+  }
+  return { action: 'skip', reason: 'exists' };
+}
+
+/**
+ * Import plaintext token records, e.g. loadTokens() output from another
+ * deployment or store. Secrets are encrypted with this deployment's key and
+ * username aliases are recreated.
+ * @param {Object} records - Plaintext records keyed by token key
+ * @param {Object} [options]
+ * @param {string} [options.conflict] - For users that already exist: "skip" (default),
+ *                                      "overwrite" or "keep-newest" (the later
+ *                                      authorization, then the later expiry, wins)
+ * @param {boolean} [options.dryRun] - Only report what would change
+ * @returns {Promise<Object>} { conflict, dryRun, total, created, overwritten, skipped,
+ *                              invalid: [{ key, error }], changes: [{ key, username, action, reason }] }
+ * @throws {Error} With code INVALID_IMPORT if records is not an object or the strategy is unknown
+ */
+async function importTokens(records, options = {}) {
+  const { conflict = 'skip', dryRun = false } = options;
+  if (!CONFLICT_STRATEGIES.includes(conflict)) {
+    throw createError('INVALID_IMPORT', `Unknown conflict strategy "${conflict}" (expected one of: ${CONFLICT_STRATEGIES.join(', ')})`);
+  }
+  if (!records || typeof records !== 'object' || Array.isArray(records)) {
+    throw createError('INVALID_IMPORT', 'Expected an object of token records keyed by token key');
+  }
+
+  const result = { conflict, dryRun, total: 0, created: 0, overwritten: 0, skipped: 0, invalid: [], changes: [] };
+  for (const [key, record] of Object.entries(records)) {
+    result.total++;
+    const problem = importProblem(key, record);
+    if (problem) {
+      result.invalid.push({ key, error: problem });
+      continue;
+    }
+
+    const { app, environment, id } = parseTokenKey(key);
+    const imported = { ...withIdentity(key, record), app, environment };
+    const existing = await getTokens(key);
+    const { action, reason } = importAction(imported, existing, conflict);
+    result.changes.push({ key, username: imported.username, action, reason });
+    if (action === 'skip') {
+      result.skipped++;
+      continue;
+    }
+    if (action === 'create') {
+      result.created++;
+    } else {
+      result.overwritten++;
+    }
+    if (dryRun) continue;
+
+    if (existing && existing.username !== imported.username) {
+      await getAliasStore().delete(tokenKey(existing.username, environment, app));
+    }
+    await getStore().save(key, seal(key, imported));
+    if (imported.userId === id && imported.username !== id) {
+      await getAliasStore().save(tokenKey(imported.username, environment, app), { userId: id });
+    }
+  }
+  return result;
+}
+
+/**
+ * Re-encrypt every record whose secrets are plaintext or were written with a
+ * retired key. Run after rotating TOKEN_ENCRYPTION_KEY.
+ * @returns {Promise<Object>} { total, reencrypted }
+ */
+async function reencryptTokens() {
+  if (!tokenCrypto.isEnabled()) {
+    throw new Error('TOKEN_ENCRYPTION_KEY is not set');
+  }
+
+  const stored = await getStore().list();
+  const keys = Object.keys(stored);
+  let reencrypted = 0;
+
+  for (const key of keys) {
+    const record = stored[key];
+    const stale = SECRET_FIELDS.filter(field => tokenCrypto.needsReencryption(record[field]));
+    if (stale.length === 0) continue;
+
+    const opened = unseal(key, record);
+    const changes = {};
+    for (const field of stale) {
+      changes[field] = opened[field];
+    }
+    await getStore().update(key, seal(key, changes));
+    reencrypted++;
+  }
+
+  return { total: keys.length, reencrypted };
 }
 
 module.exports = {
+  STATUS_ACTIVE,
+  STATUS_NEEDS_REAUTH,
+  SORT_FIELDS,
+  CONFLICT_STRATEGIES,
+  getStore,
+  useStore,
+  tokenKey,
+  parseTokenKey,
+  describeUser,
+  summarizeUser,
   loadTokens,
+  inspectTokens,
+  listTokenKeys,
+  listTokens,
   saveTokens,
+  saveAuthorization,
+  resolveTokenKey,
+  findTokens,
   getTokens,
+  hasExpired,
+  hasRefreshTokenExpired,
+  needsReauth,
+  tokenStatus,
+  markNeedsReauth,
+  grantedScopes,
+  missingScopes,
   isTokenExpired,
-  updateAccessToken
+  updateAccessToken,
+  getValidAccessToken,
+  getApplicationToken,
+  deleteTokens,
+  importTokens,
+  reencryptTokens
 };
-
@@ -0,0 +1,453 @@
+/**
+ * Webhooks - Tell your backend when a seller's tokens change
+ *
+ * Events:
+ *
+ *   authorization    - A seller authorized (or re-authorized) an app
+ *   token_refreshed  - An access token was refreshed
+ *   reauth_required  - A refresh token died; the seller must log in again
+ *   tokens_deleted   - A seller's tokens were deleted (API, disconnect or
+ *                      marketplace account deletion)
+ *
+ * Endpoints are configured with WEBHOOK_URL / WEBHOOK_SECRET (optionally
+ * WEBHOOK_EVENTS, comma-separated), and further ones as JSON in WEBHOOKS:
+ *
+ *   { "crm": { "url": "https://...", "secret": "...", "events": ["authorization"] } }
+ *
+ * Each request carries a JSON body { id, event, createdAt, data } - never
+ * tokens - and these headers:
+ *
+ *   X-Webhook-Id         - Delivery ID, the same on every retry
+ *   X-Webhook-Event      - Event name
+ *   X-Webhook-Timestamp  - Unix seconds when this attempt was signed
+ *   X-Webhook-Signature  - "sha256=" + hex HMAC-SHA256 of "<timestamp>.<body>"
+ *                          keyed with the endpoint's secret
+ *
+ * Deliveries are queued in the "webhook_delivery" store before the first
+ * attempt, so they survive restarts. Failed attempts are retried with
+ * exponential backoff (WEBHOOK_RETRY_BASE_SECONDS, doubling up to
+ * WEBHOOK_RETRY_MAX_SECONDS) by processQueue(), which runs on an interval in
+ * server.js and from /api/cron/refresh on Vercel. After WEBHOOK_MAX_ATTEMPTS
+ * a delivery is marked failed and stays in the queue until replayed.
+ * Delivered entries are removed.
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./stores');
+const locks = require('./locks');
+const { createError } = require('./errors');
+
+const EVENTS = ['authorization', 'token_refreshed', 'reauth_required', 'tokens_deleted'];
+
+// Delivery status values
+const STATUS_PENDING = 'pending';
+const STATUS_FAILED = 'failed';
+
+const DEFAULT_ENDPOINT = 'default';
+
+// Endpoint names appear in delivery records and filters
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_RETRY_BASE_SECONDS = 30;
+const DEFAULT_RETRY_MAX_SECONDS = 6 * 60 * 60;
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+const DEFAULT_INTERVAL_SECONDS = 30;
+
+// Guards a delivery against two instances sending it at once
+const DELIVERY_LOCK_TTL_MS = 60 * 1000;
+
+// Queue entries read per page while processing
+const PAGE_SIZE = 500;
+
+// Longest error message kept on a delivery
+const MAX_ERROR_LENGTH = 500;
+
+let endpoints = null;
+
+/**
+ * Get the delivery queue store
+ * @returns {Object} Storage adapter
+ */
+function getStore() {
+  return createStore('webhook_delivery');
+}
+
+/**
+ * Read a positive number from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Default when unset or invalid
+ * @returns {number} Value
+ */
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Normalize an endpoint's event list
+ * @param {string} name - Endpoint name, for error messages
+ * @param {string[]|string|undefined} value - Events as an array or comma-separated list
+ * @returns {string[]} Events (every event when none are configured)
+ * @throws {Error} If an event is unknown
+ */
+function eventList(name, value) {
+  const events = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(event => event.trim())
+    .filter(Boolean);
+  for (const event of events) {
+    if (!EVENTS.includes(event)) {
+      throw new Error(`Unknown event "${event}" for webhook "${name}" (expected one of: ${EVENTS.join(', ')})`);
+    }
+  }
+  return events.length > 0 ? events : EVENTS;
+}
+
+/**
+ * Validate and normalize one endpoint's configuration
+ * @param {string} name - Endpoint name
+ * @param {Object} config - { url, secret, events }
+ * @returns {Object} { name, url, secret, events }
+ * @throws {Error} If the configuration is invalid
+ */
+function buildEndpoint(name, config) {
+  if (!NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid webhook name "${name}" (lowercase letters, digits, "-" and "_")`);
+  }
+  let url;
+  try {
+    url = new URL(config.url);
+  } catch (error) {
+    throw new Error(`Webhook "${name}" needs a valid url`);
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new Error(`Webhook "${name}" must use an http(s) url`);
+  }
+  if (!config.secret) {
+    throw new Error(`Webhook "${name}" needs a secret to sign its payloads`);
+  }
+  return { name, url: url.href, secret: config.secret, events: eventList(name, config.events) };
+}
+
+/**
+ * Build the endpoint list on first use
+ * @returns {Map} Endpoints keyed by name
+ * @throws {Error} If WEBHOOKS can't be parsed or an endpoint is invalid
+ */
+function getEndpoints() {
+  if (endpoints) return endpoints;
+
+  const configured = new Map();
+  if (process.env.WEBHOOK_URL) {
+    configured.set(DEFAULT_ENDPOINT, buildEndpoint(DEFAULT_ENDPOINT, {
+      url: process.env.WEBHOOK_URL,
+      secret: process.env.WEBHOOK_SECRET,
+      events: process.env.WEBHOOK_EVENTS
+    }));
+  }
+
+  let extra = {};
+  if (process.env.WEBHOOKS) {
+    try {
+      extra = JSON.parse(process.env.WEBHOOKS);
+    } catch (error) {
+      throw new Error(`Invalid JSON in WEBHOOKS: ${error.message}`);
+    }
+  }
+  for (const [name, config] of Object.entries(extra)) {
+    if (configured.has(name)) {
+      throw new Error(`Webhook "${name}" is configured twice`);
+    }
+    configured.set(name, buildEndpoint(name, config || {}));
+  }
+
+  endpoints = configured;
+  return endpoints;
+}
+
+/**
+ * List the configured endpoints, without their secrets
+ * @returns {Object[]} { name, url, events }
+ */
+function listEndpoints() {
+  return [...getEndpoints().values()].map(({ name, url, events }) => ({ name, url, events }));
+}
+
+/**
+ * Sign a request body
+ * @param {string} secret - Endpoint secret
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - Exact request body
+ * @returns {string} Signature header value, "sha256=<hex>"
+ */
+function sign(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Work out when a failed delivery should be tried again
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+function retryDelayMs(attempts) {
+  const base = numberFromEnv('WEBHOOK_RETRY_BASE_SECONDS', DEFAULT_RETRY_BASE_SECONDS);
+  const max = numberFromEnv('WEBHOOK_RETRY_MAX_SECONDS', DEFAULT_RETRY_MAX_SECONDS);
+  return Math.min(base * (2 ** (attempts - 1)), max) * 1000;
+}
+
+/**
+ * Send one attempt of a delivery to its endpoint
+ * @param {Object} endpoint - Endpoint from getEndpoints()
+ * @param {Object} delivery - Delivery record
+ * @returns {Promise<Object>} { ok, statusCode, error }
+ */
+async function send(endpoint, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    const response = await fetch(endpoint.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ebay-oauth-portal-webhooks',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': sign(endpoint.secret, timestamp, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(numberFromEnv('WEBHOOK_TIMEOUT_MS', DEFAULT_TIMEOUT_MS))
+    });
+    if (response.ok) {
+      return { ok: true, statusCode: response.status };
+    }
+    const text = await response.text().catch(() => '');
+    return { ok: false, statusCode: response.status, error: `HTTP ${response.status} ${text}`.trim() };
+  } catch (error) {
+    return { ok: false, statusCode: null, error: error.name === 'TimeoutError' ? 'Timed out' : error.message };
+  }
+}
+
+/**
+ * Make one attempt at a queued delivery and record the outcome. Skipped if
+ * another instance is sending it right now.
+ * @param {string} id - Delivery ID
+ * @returns {Promise<Object|null>} The updated delivery (status "delivered" if
+ *                                 it went through), or null if skipped
+ */
+async function attemptDelivery(id) {
+  const lockKey = `webhook:${id}`;
+  const lockToken = await locks.acquireLock(lockKey, DELIVERY_LOCK_TTL_MS);
+  if (!lockToken) return null;
+
+  try {
+    // Re-read: another instance may have delivered it before we got the lock
+    const delivery = await getStore().get(id);
+    if (!delivery || delivery.status !== STATUS_PENDING) return null;
+
+    const endpoint = getEndpoints().get(delivery.endpoint);
+    const result = endpoint
+      ? await send(endpoint, delivery)
+      : { ok: false, statusCode: null, error: `Webhook "${delivery.endpoint}" is no longer configured` };
+    const attempts = delivery.attempts + 1;
+    const now = Date.now();
+
+    if (result.ok) {
+      await getStore().delete(id);
+      return { ...delivery, status: 'delivered', attempts, lastAttemptAt: now, lastStatusCode: result.statusCode };
+    }
+
+    const exhausted = !endpoint || attempts >= numberFromEnv('WEBHOOK_MAX_ATTEMPTS', DEFAULT_MAX_ATTEMPTS);
+    const updated = await getStore().update(id, {
+      status: exhausted ? STATUS_FAILED : STATUS_PENDING,
+      attempts,
+      lastAttemptAt: now,
+      lastStatusCode: result.statusCode,
+      lastError: result.error.slice(0, MAX_ERROR_LENGTH),
+      nextAttemptAt: exhausted ? null : now + retryDelayMs(attempts)
+    });
+    if (exhausted) {
+      console.error(`❌ Webhook ${delivery.event} to ${delivery.endpoint} failed after ${attempts} attempt(s): ${result.error}`);
+    }
+    return updated;
+  } finally {
+    await locks.releaseLock(lockKey, lockToken);
+  }
+}
+
+/**
+ * Queue an event for every endpoint subscribed to it and make a first
+ * delivery attempt in the background. Never throws: a failing webhook must
+ * not break the operation that triggered it.
+ * @param {string} event - Event name (see EVENTS)
+ * @param {Object} data - Event data; must not contain tokens
+ * @returns {Promise<string[]>} IDs of the queued deliveries
+ */
+async function notify(event, data) {
+  const ids = [];
+  try {
+    const createdAt = Date.now();
+    for (const endpoint of getEndpoints().values()) {
+      if (!endpoint.events.includes(event)) continue;
+
+      // Time-ordered IDs, so the queue is processed oldest first
+      const id = `${createdAt.toString(36).padStart(9, '0')}_${crypto.randomBytes(6).toString('hex')}`;
+      await getStore().save(id, {
+        id,
+        endpoint: endpoint.name,
+        event,
+        payload: { id, event, createdAt: new Date(createdAt).toISOString(), data },
+        status: STATUS_PENDING,
+        attempts: 0,
+        createdAt,
+        nextAttemptAt: createdAt,
+        lastAttemptAt: null,
+        lastStatusCode: null,
+        lastError: null
+      });
+      ids.push(id);
+    }
+  } catch (error) {
+    console.error(`❌ Could not queue webhook ${event}:`, error.message);
+  }
+
+  for (const id of ids) {
+    attemptDelivery(id).catch(error => {
+      console.error(`❌ Webhook delivery ${id} failed:`, error.message);
+    });
+  }
+  return ids;
+}
+
+/**
+ * Walk the queue, calling visit() on every delivery, oldest first
+ * @param {Function} visit - async (delivery) => void
+ */
+async function eachDelivery(visit) {
+  let after;
+  for (;;) {
+    const ids = await getStore().listIds({ after, limit: PAGE_SIZE });
+    if (ids.length === 0) return;
+    const records = await getStore().getMany(ids);
+    for (const id of ids) {
+      if (records[id]) await visit(records[id]);
+    }
+    if (ids.length < PAGE_SIZE) return;
+    after = ids[ids.length - 1];
+  }
+}
+
+/**
+ * Retry every pending delivery that is due
+ * @returns {Promise<Object>} { due, delivered, retrying, failed }
+ */
+async function processQueue() {
+  // Overlapping runs share one pass
+  return locks.singleFlight('webhooks', async () => {
+    const summary = { due: 0, delivered: 0, retrying: 0, failed: 0 };
+    const now = Date.now();
+
+    await eachDelivery(async delivery => {
+      if (delivery.status !== STATUS_PENDING || delivery.nextAttemptAt > now) return;
+      summary.due++;
+      const result = await attemptDelivery(delivery.id);
+      if (!result) return;
+      if (result.status === 'delivered') summary.delivered++;
+      else if (result.status === STATUS_FAILED) summary.failed++;
+      else summary.retrying++;
+    });
+    return summary;
+  });
+}
+
+/**
+ * List queued deliveries (pending retries and failures)
+ * @param {Object} [filter]
+ * @param {string} [filter.status] - "pending" or "failed"
+ * @param {string} [filter.endpoint] - Endpoint name
+ * @param {string} [filter.event] - Event name
+ * @param {number} [filter.limit] - Maximum deliveries to return (default 100)
+ * @returns {Promise<Object[]>} Deliveries, oldest first
+ */
+async function listDeliveries(filter = {}) {
+  const limit = filter.limit || 100;
+  const results = [];
+  await eachDelivery(async delivery => {
+    if (results.length >= limit) return;
+    if (filter.status && delivery.status !== filter.status) return;
+    if (filter.endpoint && delivery.endpoint !== filter.endpoint) return;
+    if (filter.event && delivery.event !== filter.event) return;
+    results.push(delivery);
+  });
+  return results;
+}
+
+/**
+ * Get one queued delivery
+ * @param {string} id - Delivery ID
+ * @returns {Promise<Object|null>} The delivery, or null if unknown or already delivered
+ */
+async function getDelivery(id) {
+  return getStore().get(id);
+}
+
+/**
+ * Put a delivery back in the queue with a fresh set of attempts and try it now
+ * @param {string} id - Delivery ID
+ * @returns {Promise<Object>} The delivery after the attempt
+ * @throws {Error} With code WEBHOOK_DELIVERY_UNKNOWN if there is no such delivery
+ */
+async function replayDelivery(id) {
+  const delivery = await getStore().update(id, {
+    status: STATUS_PENDING,
+    attempts: 0,
+    nextAttemptAt: Date.now()
+  });
+  if (!delivery) {
+    throw createError('WEBHOOK_DELIVERY_UNKNOWN', 'Unknown webhook delivery (it may already have been delivered)', { id });
+  }
+  return (await attemptDelivery(id)) || getStore().get(id);
+}
+
+/**
+ * Start processing the queue on an interval (long-running servers only)
+ * @returns {Object|null} Interval handle, or null if no webhooks are configured
+ */
+function startWorker() {
+  if (getEndpoints().size === 0) {
+    return null;
+  }
+
+  const run = async () => {
+    try {
+      const summary = await processQueue();
+      if (summary.delivered || summary.failed) {
+        console.log('📬 Webhook retries:', summary);
+      }
+    } catch (error) {
+      console.error('❌ Webhook retries failed:', error.message);
+    }
+  };
+
+  const timer = setInterval(run, numberFromEnv('WEBHOOK_RETRY_INTERVAL_SECONDS', DEFAULT_INTERVAL_SECONDS) * 1000);
+  timer.unref();
+  run();
+  return timer;
+}
+
+module.exports = {
+  EVENTS,
+  STATUS_PENDING,
+  STATUS_FAILED,
+  listEndpoints,
+  sign,
+  notify,
+  processQueue,
+  listDeliveries,
+  getDelivery,
+  replayDelivery,
+  startWorker
+};